@@ -19,9 +19,18 @@ const {
 } = require('./middleware/rateLimit');
 const { sanitize } = require('./middleware/validation');
 
+// Import background workers
+const { startCampaignWorker } = require('./services/newsletterCampaignService');
+const { startContactDigestWorker } = require('./services/notificationService');
+const { startNewsScheduler } = require('./services/newsSchedulerService');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const newsRoutes = require('./routes/news');
+const newsReviewRoutes = require('./routes/newsReview');
+const newsTagRoutes = require('./routes/newsTags');
+const authorRoutes = require('./routes/authors');
+const collectionRoutes = require('./routes/collections');
 const uploadRoutes = require('./routes/upload');
 const contactRoutes = require('./routes/contact');
 const successStoriesRoutes = require('./routes/successStories');
@@ -30,6 +39,17 @@ const metricsRoutes = require('./routes/metrics');
 const faqRoutes = require('./routes/faq');
 const teamMembersRoutes = require('./routes/teamMembers');
 const dashboardRoutes = require('./routes/dashboard');
+const analyticsRoutes = require('./routes/analytics');
+const translationRoutes = require('./routes/translations');
+const newsletterRoutes = require('./routes/newsletter');
+const newsletterCampaignRoutes = require('./routes/newsletterCampaigns');
+const ticketRoutes = require('./routes/tickets');
+const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const auditRoutes = require('./routes/audit');
+const searchRoutes = require('./routes/search');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemap');
 
 // Create Express app
 const app = express();
@@ -128,7 +148,11 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/news', newsReviewRoutes);
+app.use('/api/news', newsTagRoutes);
 app.use('/api/news', newsRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/collections', collectionRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/success-stories', successStoriesRoutes);
@@ -137,6 +161,19 @@ app.use('/api/metrics', metricsRoutes);
 app.use('/api/faq', faqRoutes);
 app.use('/api/team-members', teamMembersRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/translations', translationRoutes);
+app.use('/api/newsletter/campaigns', newsletterCampaignRoutes);
+app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/search', searchRoutes);
+
+// Syndication feeds and sitemaps
+app.use('/feeds', feedRoutes);
+app.use('/', sitemapRoutes);
 
 // Swagger documentation setup
 if (process.env.NODE_ENV === 'development') {
@@ -258,6 +295,11 @@ const server = app.listen(PORT, () => {
   logger.info(`Environment: ${process.env.NODE_ENV}`);
   logger.info(`Health check: http://localhost:${PORT}/health`);
 
+  // Start background workers
+  startCampaignWorker();
+  startContactDigestWorker();
+  startNewsScheduler();
+
   if (process.env.NODE_ENV === 'development') {
     logger.info(`API Documentation: http://localhost:${PORT}/api-docs`);
   }
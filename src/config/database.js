@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const Role = require('../models/RoleModel');
 
 const connectDB = async () => {
   try {
@@ -21,6 +22,9 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
+    // Create any built-in roles that don't exist yet
+    await Role.ensureDefaultRoles();
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       logger.error('MongoDB connection error:', err);
@@ -4,25 +4,27 @@ const logger = require('../utils/logger');
 // Create transporter
 const createTransporter = () => {
   // Check if email configuration is available
-  if (
-    !process.env.SMTP_HOST ||
-    !process.env.SMTP_USER ||
-    !process.env.SMTP_PASS
-  ) {
+  if (!process.env.SMTP_HOST) {
     logger.warn(
       'Email configuration not found. Email features will be disabled.'
     );
     return null;
   }
 
-  return nodemailer.createTransporter({
+  // Credentials are optional so a local SMTP stub (e.g. MailHog) can be used
+  const auth =
+    process.env.SMTP_USER && process.env.SMTP_PASS
+      ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        }
+      : undefined;
+
+  return nodemailer.createTransport({
     host: process.env.SMTP_HOST,
     port: process.env.SMTP_PORT || 587,
     secure: false, // true for 465, false for other ports
-    auth: {
-      user: process.env.SMTP_USER,
-      pass: process.env.SMTP_PASS,
-    },
+    auth,
   });
 };
 
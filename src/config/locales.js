@@ -0,0 +1,29 @@
+// Languages content can be published in. Content is written in the source
+// locale; the others are stored as translations.
+const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  ha: { name: 'Hausa', dir: 'ltr' },
+  ar: { name: 'Arabic', dir: 'rtl' },
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+const SOURCE_LOCALE = 'en';
+
+const TRANSLATION_LOCALES = SUPPORTED_LOCALES.filter(
+  (locale) => locale !== SOURCE_LOCALE
+);
+
+// Served when the reader asks for no supported locale, and used for fields
+// not yet translated into the one they asked for
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : SOURCE_LOCALE;
+
+module.exports = {
+  LOCALES,
+  SUPPORTED_LOCALES,
+  SOURCE_LOCALE,
+  TRANSLATION_LOCALES,
+  DEFAULT_LOCALE,
+};
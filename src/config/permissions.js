@@ -0,0 +1,89 @@
+// Every permission a role can grant, with a short description for admin UIs
+const PERMISSIONS = {
+  'dashboard:read': 'View dashboard statistics',
+  'users:manage': 'Create, update, deactivate and delete user accounts',
+  'roles:manage': 'Create and edit roles and their permissions',
+  'audit:read': 'View the audit log of content changes',
+  'news:write': 'Create articles and edit own articles',
+  'news:publish':
+    'Publish, schedule, unpublish, suspend and reactivate own articles',
+  'news:delete': 'Delete own articles',
+  'news:review': 'Comment on, approve or request changes to submitted articles',
+  'news:manage_any': "View, edit, publish and delete other authors' articles",
+  'categories:write': 'Manage news categories',
+  'tags:write': 'Create, rename and delete news tags',
+  'uploads:write': 'Upload files',
+  'faq:write': 'Manage FAQs',
+  'team:write': 'Manage team members',
+  'metrics:write': 'Manage impact metrics',
+  'stories:read': 'View all success stories, including unapproved ones',
+  'stories:write': 'Edit, verify and feature success stories',
+  'stories:approve': 'Approve and reject submitted success stories',
+  'stories:delete': 'Delete success stories',
+  'contact:read': 'View contact messages',
+  'contact:write': 'Update the status of contact messages',
+  'contact:delete': 'Delete contact messages',
+  'tickets:read': 'View helpdesk tickets and receive contact notifications',
+  'tickets:respond': 'Respond to tickets and change their status or priority',
+  'tickets:assign': 'Assign tickets to staff',
+  'newsletter:read': 'View newsletter subscribers and statistics',
+  'newsletter:send': 'Compose, test and schedule newsletter campaigns',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// The admin role always holds every permission and cannot be edited
+const ADMIN_ROLE = 'admin';
+
+const CONTENT_MANAGER_PERMISSIONS = [
+  'faq:write',
+  'team:write',
+  'metrics:write',
+  'stories:read',
+  'stories:write',
+  'tickets:read',
+  'tickets:respond',
+];
+
+// Built-in roles, matching what each role could do under the old hierarchy.
+// They are created on startup if missing; admins may edit all but admin.
+const DEFAULT_ROLES = [
+  {
+    name: ADMIN_ROLE,
+    displayName: 'Administrator',
+    description: 'Full access to every feature',
+    permissions: ALL_PERMISSIONS,
+  },
+  {
+    name: 'news_editor',
+    displayName: 'News Editor',
+    description: 'Writes and publishes news, and manages site content',
+    permissions: [
+      ...CONTENT_MANAGER_PERMISSIONS,
+      'news:write',
+      'news:publish',
+      'news:delete',
+      'news:review',
+      'uploads:write',
+    ],
+  },
+  {
+    name: 'content_manager',
+    displayName: 'Content Manager',
+    description: 'Manages FAQs, team, metrics, success stories and tickets',
+    permissions: CONTENT_MANAGER_PERMISSIONS,
+  },
+  {
+    name: 'viewer',
+    displayName: 'Viewer',
+    description: 'Signed-in user with no management access',
+    permissions: [],
+  },
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+};
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { recordAudit } = require('../services/auditService');
+const logger = require('../utils/logger');
+
+// Find the id of a document the handler created, either set explicitly on
+// res.locals.auditTargetId or taken from the first object in response data
+const getCreatedId = (res, body) => {
+  if (res.locals.auditTargetId) {
+    return res.locals.auditTargetId;
+  }
+
+  const data = body && body.data;
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const created = Object.values(data).find((value) => value && value._id);
+  return created ? created._id : null;
+};
+
+/**
+ * Audit trail middleware
+ * Snapshots the target document before the handler runs and records the
+ * field changes once a successful response has been sent
+ * @param {Object} Model - Mongoose model being written
+ * @param {string} action - Action name, e.g. 'create', 'update', 'delete'
+ * @param {string} idParam - Route parameter identifying the target
+ * @param {string} lookupField - Field the parameter matches, for targets
+ *   addressed by something other than their id (e.g. roles by name)
+ */
+const auditTrail = (Model, action, idParam = 'id', lookupField = '_id') => {
+  return async (req, res, next) => {
+    const paramId = req.params[idParam];
+    let before = null;
+
+    try {
+      if (lookupField !== '_id') {
+        before = paramId
+          ? await Model.findOne({ [lookupField]: paramId }).lean()
+          : null;
+      } else if (paramId && mongoose.isValidObjectId(paramId)) {
+        before = await Model.findById(paramId).lean();
+      }
+    } catch (error) {
+      logger.error(`Audit snapshot error for ${Model.modelName}:`, error);
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) {
+        return;
+      }
+
+      try {
+        const targetId = before ? before._id : getCreatedId(res, responseBody);
+        const after =
+          targetId && action !== 'delete'
+            ? await Model.findById(targetId).lean()
+            : null;
+
+        await recordAudit(req, {
+          action,
+          targetModel: Model.modelName,
+          targetId,
+          before,
+          after,
+        });
+      } catch (error) {
+        logger.error(`Audit record error for ${Model.modelName}:`, error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail,
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/UserModel');
+const { isSessionActive } = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 /**
@@ -26,7 +27,25 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or reset are no longer valid
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed, please log in again',
+      });
+    }
+
+    // Access tokens are bound to a device session so logout takes effect
+    // immediately; tokens issued before sessions existed carry no sid
+    if (decoded.sid && !(await isSessionActive(decoded.sid, user._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended, please log in again',
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -38,10 +57,11 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Permission-based authorization middleware
+ * Passes only if the user's role grants every listed permission
  */
-const requireRole = (requiredRole) => {
-  return (req, res, next) => {
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -49,26 +69,28 @@ const requireRole = (requiredRole) => {
       });
     }
 
-    if (!req.user.hasPermission(requiredRole)) {
-      return res.status(403).json({
+    try {
+      const granted = await req.user.getPermissions();
+
+      if (!permissions.every((permission) => granted.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check error:', error);
+      res.status(500).json({
         success: false,
-        message: 'Insufficient permissions',
+        message: 'Failed to check permissions',
       });
     }
-
-    next();
   };
 };
 
-// Convenience middleware for common roles
-const requireAdmin = requireRole('admin');
-const requireNewsEditor = requireRole('news_editor');
-const requireContentManager = requireRole('content_manager');
-
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireAdmin,
-  requireNewsEditor,
-  requireContentManager,
+  requirePermission,
 };
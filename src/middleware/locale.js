@@ -0,0 +1,26 @@
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config/locales');
+
+/**
+ * Pick the locale to serve content in: a supported ?lang= wins, then the
+ * best match from Accept-Language, then the default locale
+ */
+const resolveLocale = (req, res, next) => {
+  const requested =
+    typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+
+  if (SUPPORTED_LOCALES.includes(requested)) {
+    req.locale = requested;
+  } else if (req.get('accept-language')) {
+    req.locale = req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+  } else {
+    req.locale = DEFAULT_LOCALE;
+  }
+
+  res.vary('Accept-Language');
+  res.set('Content-Language', req.locale);
+  next();
+};
+
+module.exports = {
+  resolveLocale,
+};
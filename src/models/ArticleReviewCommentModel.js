@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const articleReviewCommentSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsArticle',
+      required: true,
+    },
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Where in the article the comment applies; omitted for general comments
+    anchor: {
+      field: {
+        type: String,
+        enum: ['title', 'description', 'content'],
+      },
+      // Character offsets into the field, end exclusive
+      start: {
+        type: Number,
+        min: 0,
+      },
+      end: {
+        type: Number,
+        min: 0,
+      },
+      // The text that was highlighted, so the comment still makes sense
+      // after the article is edited
+      quote: {
+        type: String,
+        maxlength: 1000,
+      },
+    },
+    // Article revision the comment was made against
+    revisionNumber: {
+      type: Number,
+    },
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ArticleReviewComment',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+articleReviewCommentSchema.index({ articleId: 1, createdAt: 1 });
+articleReviewCommentSchema.index({ articleId: 1, resolvedAt: 1 });
+
+// Virtual for public data
+articleReviewCommentSchema.virtual('publicData').get(function () {
+  return {
+    _id: this._id,
+    articleId: this.articleId,
+    author: this.authorId,
+    body: this.body,
+    anchor: this.anchor && this.anchor.field ? this.anchor : null,
+    revisionNumber: this.revisionNumber,
+    parentId: this.parentId,
+    isResolved: Boolean(this.resolvedAt),
+    resolvedAt: this.resolvedAt,
+    resolvedBy: this.resolvedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+});
+
+// Instance method to resolve the comment
+articleReviewCommentSchema.methods.resolve = function (userId) {
+  this.resolvedAt = new Date();
+  this.resolvedBy = userId;
+  return this.save();
+};
+
+// Instance method to reopen a resolved comment
+articleReviewCommentSchema.methods.reopen = function () {
+  this.resolvedAt = undefined;
+  this.resolvedBy = undefined;
+  return this.save();
+};
+
+// Static method to count unresolved comments on an article
+articleReviewCommentSchema.statics.countOpen = function (articleId) {
+  return this.countDocuments({ articleId, resolvedAt: { $exists: false } });
+};
+
+module.exports = mongoose.model(
+  'ArticleReviewComment',
+  articleReviewCommentSchema
+);
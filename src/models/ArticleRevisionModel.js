@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+// Article fields captured in each revision. Changes to anything else
+// (status, view counts) don't create a revision.
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'description',
+  'content',
+  'categoryId',
+  'categoryIds',
+  'tags',
+  'authors',
+  'minToRead',
+  'postLink',
+  'featuredImage',
+  'isFeatured',
+  'metaTitle',
+  'metaDescription',
+  'canonicalUrl',
+  'ogImage',
+  'noindex',
+  'contentFormat',
+  'translations',
+];
+
+const articleRevisionSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsArticle',
+      required: true,
+    },
+    revisionNumber: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Values of REVISION_FIELDS as saved in this revision
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Set when this revision was created by restoring an older one
+    restoredFrom: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+articleRevisionSchema.index(
+  { articleId: 1, revisionNumber: -1 },
+  { unique: true }
+);
+
+// Virtual for summary data (without the snapshot)
+articleRevisionSchema.virtual('summaryData').get(function () {
+  return {
+    _id: this._id,
+    revisionNumber: this.revisionNumber,
+    changedFields: this.changedFields,
+    editedBy: this.editedBy,
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt,
+  };
+});
+
+// Virtual for full data
+articleRevisionSchema.virtual('fullData').get(function () {
+  return {
+    ...this.summaryData,
+    articleId: this.articleId,
+    snapshot: this.snapshot,
+  };
+});
+
+// Instance method to compare this revision's snapshot with another's
+articleRevisionSchema.methods.diff = function (other) {
+  return REVISION_FIELDS.reduce((changes, field) => {
+    const from = this.snapshot[field];
+    const to = other.snapshot[field];
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+// Static method to record a revision of an article
+articleRevisionSchema.statics.record = async function (
+  article,
+  changedFields,
+  options = {}
+) {
+  const latest = await this.findOne({ articleId: article._id })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber');
+
+  const snapshot = REVISION_FIELDS.reduce((result, field) => {
+    result[field] = article.get(field);
+    return result;
+  }, {});
+
+  return this.create({
+    articleId: article._id,
+    revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+    snapshot,
+    changedFields,
+    editedBy: options.editedBy,
+    restoredFrom: options.restoredFrom,
+  });
+};
+
+// Static method to find one revision of an article
+articleRevisionSchema.statics.findRevision = function (
+  articleId,
+  revisionNumber
+) {
+  return this.findOne({ articleId, revisionNumber });
+};
+
+articleRevisionSchema.statics.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('ArticleRevision', articleRevisionSchema);
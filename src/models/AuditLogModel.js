@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Unset for anonymous public submissions
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Kept so entries stay readable after the user is deleted
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    targetModel: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Top-level fields that changed, with their values before and after
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Virtual for admin data
+auditLogSchema.virtual('adminData').get(function () {
+  return {
+    _id: this._id,
+    actor: this.actor,
+    actorEmail: this.actorEmail,
+    action: this.action,
+    targetModel: this.targetModel,
+    targetId: this.targetId,
+    changes: this.changes,
+    ipAddress: this.ipAddress,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+  };
+});
+
+// Static method to build a query from admin filters
+auditLogSchema.statics.buildFilterQuery = function (filters = {}) {
+  const query = {};
+
+  if (filters.actor) query.actor = filters.actor;
+  if (filters.action) query.action = filters.action;
+  if (filters.targetModel) query.targetModel = filters.targetModel;
+  if (filters.targetId) query.targetId = filters.targetId;
+  if (filters.field) query['changes.field'] = filters.field;
+
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = new Date(filters.from);
+    if (filters.to) query.createdAt.$lte = new Date(filters.to);
+  }
+
+  return query;
+};
+
+// Static method to get the change history of one document
+auditLogSchema.statics.findForTarget = function (targetModel, targetId) {
+  return this.find({ targetModel, targetId }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
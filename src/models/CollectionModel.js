@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const User = require('./UserModel');
+const translatable = require('./plugins/translatable');
+
+const MAX_ARTICLES = 100;
+
+const collectionSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+    // A series is multi-part coverage read in order; a collection is a
+    // hand-picked set, e.g. for a campaign landing page
+    type: {
+      type: String,
+      enum: {
+        values: ['series', 'collection'],
+        message: 'Type must be either "series" or "collection"',
+      },
+      default: 'collection',
+    },
+    coverImage: {
+      type: String,
+      trim: true,
+    },
+    // Articles in reading order. Only published ones are shown publicly.
+    articles: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'NewsArticle',
+        },
+      ],
+      validate: {
+        validator: (articles) => articles.length <= MAX_ARTICLES,
+        message: `A collection can have at most ${MAX_ARTICLES} articles`,
+      },
+    },
+    isPublished: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+collectionSchema.plugin(translatable, { fields: ['title', 'description'] });
+
+// Indexes
+collectionSchema.index({ isPublished: 1, type: 1, updatedAt: -1 });
+collectionSchema.index({ articles: 1 });
+
+// Virtual for public data
+collectionSchema.virtual('publicData').get(function () {
+  return {
+    _id: this._id,
+    title: this.title,
+    slug: this.slug,
+    description: this.description,
+    type: this.type,
+    coverImage: this.coverImage,
+    updatedAt: this.updatedAt,
+  };
+});
+
+// Virtual for admin data
+collectionSchema.virtual('adminData').get(function () {
+  return {
+    _id: this._id,
+    title: this.title,
+    slug: this.slug,
+    description: this.description,
+    type: this.type,
+    coverImage: this.coverImage,
+    articles: this.articles,
+    isPublished: this.isPublished,
+    translations: this.translations,
+    missingTranslations: this.getMissingTranslations(),
+    createdBy: this.createdBy,
+    updatedBy: this.updatedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+});
+
+// Static method to find a published collection by slug
+collectionSchema.statics.findPublishedBySlug = function (slug) {
+  return this.findOne({ slug: slug.toLowerCase(), isPublished: true });
+};
+
+// Static method to get a collection's published articles, in its order
+collectionSchema.statics.getPublishedArticles = async function (collection) {
+  const articles = await this.model('NewsArticle')
+    .find({ _id: { $in: collection.articles }, status: 'published' })
+    .populate('categoryId', 'name slug')
+    .populate('categoryIds', 'name slug')
+    .populate('authors', User.BYLINE_FIELDS);
+  const byId = new Map(
+    articles.map((article) => [article._id.toString(), article])
+  );
+
+  return collection.articles
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+collectionSchema.statics.MAX_ARTICLES = MAX_ARTICLES;
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/helpers');
 
 const contactSchema = new mongoose.Schema(
   {
@@ -102,11 +103,12 @@ contactSchema.statics.search = function (searchTerm, options = {}) {
   let query = {};
 
   if (searchTerm) {
+    const pattern = escapeRegex(String(searchTerm));
     query.$or = [
-      { fullName: { $regex: searchTerm, $options: 'i' } },
-      { email: { $regex: searchTerm, $options: 'i' } },
-      { subject: { $regex: searchTerm, $options: 'i' } },
-      { message: { $regex: searchTerm, $options: 'i' } },
+      { fullName: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { subject: { $regex: pattern, $options: 'i' } },
+      { message: { $regex: pattern, $options: 'i' } },
     ];
   }
 
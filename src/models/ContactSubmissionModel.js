@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/helpers');
 
 const contactSubmissionSchema = new mongoose.Schema(
   {
@@ -35,12 +36,18 @@ const contactSubmissionSchema = new mongoose.Schema(
       ],
       required: true,
     },
+    // Free-text subject line as typed by the sender
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
     message: {
       type: String,
       required: true,
       trim: true,
       minlength: 10,
-      maxlength: 1000,
+      maxlength: 2000,
     },
     status: {
       type: String,
@@ -59,6 +66,23 @@ const contactSubmissionSchema = new mongoose.Schema(
     respondedAt: {
       type: Date,
     },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    closedAt: {
+      type: Date,
+    },
+    // Original contact form message this ticket was opened from
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      unique: true,
+      sparse: true,
+    },
     priority: {
       type: String,
       enum: ['low', 'medium', 'high', 'urgent'],
@@ -78,6 +102,22 @@ const contactSubmissionSchema = new mongoose.Schema(
   }
 );
 
+// Allowed status transitions for the ticket workflow
+const STATUS_TRANSITIONS = {
+  new: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['in_progress', 'closed'],
+  closed: ['in_progress'],
+};
+
+// Maps legacy ContactModel statuses onto ticket statuses
+const CONTACT_STATUS_MAP = {
+  unread: 'new',
+  read: 'in_progress',
+  replied: 'resolved',
+  archived: 'closed',
+};
+
 // Indexes
 contactSubmissionSchema.index({ email: 1 });
 contactSubmissionSchema.index({ status: 1 });
@@ -109,11 +149,16 @@ contactSubmissionSchema.methods.getAdminData = function () {
     email: this.email,
     phone: this.phone,
     subject: this.subject,
+    title: this.title,
     message: this.message,
     status: this.status,
     assignedTo: this.assignedTo,
     response: this.response,
     respondedAt: this.respondedAt,
+    respondedBy: this.respondedBy,
+    resolvedAt: this.resolvedAt,
+    closedAt: this.closedAt,
+    contactId: this.contactId,
     priority: this.priority,
     ipAddress: this.ipAddress,
     userAgent: this.userAgent,
@@ -122,12 +167,26 @@ contactSubmissionSchema.methods.getAdminData = function () {
   };
 };
 
+// Instance method to check whether a status change is allowed
+contactSubmissionSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
 // Instance method to update status
 contactSubmissionSchema.methods.updateStatus = function (
   status,
   userId = null
 ) {
   this.status = status;
+  if (status === 'resolved') {
+    this.resolvedAt = new Date();
+  } else if (status === 'closed') {
+    this.closedAt = new Date();
+  } else if (status === 'in_progress') {
+    // Reopened tickets are no longer resolved or closed
+    this.resolvedAt = undefined;
+    this.closedAt = undefined;
+  }
   if (userId) {
     this.assignedTo = userId;
   }
@@ -142,7 +201,10 @@ contactSubmissionSchema.methods.addResponse = function (
   this.response = response;
   this.respondedAt = new Date();
   if (userId) {
-    this.assignedTo = userId;
+    this.respondedBy = userId;
+    if (!this.assignedTo) {
+      this.assignedTo = userId;
+    }
   }
   if (this.status === 'new') {
     this.status = 'in_progress';
@@ -150,6 +212,26 @@ contactSubmissionSchema.methods.addResponse = function (
   return this.save();
 };
 
+// Static method to build ticket data from a ContactModel document
+contactSubmissionSchema.statics.fromContact = function (
+  contact,
+  category = 'other'
+) {
+  return {
+    name: contact.fullName,
+    email: contact.email,
+    phone: contact.phoneNumber,
+    subject: category,
+    title: contact.subject,
+    message: contact.message,
+    status: CONTACT_STATUS_MAP[contact.status] || 'new',
+    ipAddress: contact.ipAddress,
+    userAgent: contact.userAgent,
+    contactId: contact._id,
+    createdAt: contact.createdAt,
+  };
+};
+
 // Static method to find by status
 contactSubmissionSchema.statics.findByStatus = function (status) {
   return this.find({ status }).sort({ createdAt: -1 });
@@ -165,6 +247,33 @@ contactSubmissionSchema.statics.findUnassigned = function () {
   return this.find({ assignedTo: { $exists: false } }).sort({ createdAt: -1 });
 };
 
+// Static method to build the admin ticket query from list filters
+contactSubmissionSchema.statics.buildTicketQuery = function (
+  searchTerm,
+  filters = {}
+) {
+  const { status, priority, subject, assignedTo, unassigned } = filters;
+  const query = {};
+
+  if (searchTerm) {
+    const pattern = escapeRegex(String(searchTerm));
+    query.$or = [
+      { name: { $regex: pattern, $options: 'i' } },
+      { email: { $regex: pattern, $options: 'i' } },
+      { title: { $regex: pattern, $options: 'i' } },
+      { message: { $regex: pattern, $options: 'i' } },
+    ];
+  }
+
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (subject) query.subject = subject;
+  if (assignedTo) query.assignedTo = assignedTo;
+  if (unassigned) query.assignedTo = { $exists: false };
+
+  return query;
+};
+
 // Static method to get submission statistics
 contactSubmissionSchema.statics.getStatistics = async function () {
   const stats = await this.aggregate([
@@ -184,13 +293,35 @@ contactSubmissionSchema.statics.getStatistics = async function () {
     createdAt: { $gte: today },
   });
 
+  const priorityStats = await this.aggregate([
+    {
+      $match: { status: { $in: ['new', 'in_progress'] } },
+    },
+    {
+      $group: {
+        _id: '$priority',
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const unassigned = await this.countDocuments({
+    assignedTo: { $exists: false },
+    status: { $in: ['new', 'in_progress'] },
+  });
+
   return {
     total,
     today: todayCount,
+    unassigned,
     byStatus: stats.reduce((acc, stat) => {
       acc[stat._id] = stat.count;
       return acc;
     }, {}),
+    openByPriority: priorityStats.reduce((acc, stat) => {
+      acc[stat._id] = stat.count;
+      return acc;
+    }, {}),
   };
 };
 
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Counted views of one item on one day (UTC) from one referrer
+const dailyViewSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    required: true,
+    enum: ['news', 'faq', 'success_story'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Midnight UTC of the day the views happened
+  date: {
+    type: Date,
+    required: true,
+  },
+  // Host name of the referring site, or 'direct' when there was none
+  referrer: {
+    type: String,
+    required: true,
+    default: 'direct',
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Indexes
+dailyViewSchema.index(
+  { contentType: 1, contentId: 1, date: 1, referrer: 1 },
+  { unique: true }
+);
+dailyViewSchema.index({ date: 1, contentType: 1 });
+
+module.exports = mongoose.model('DailyView', dailyViewSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const translatable = require('./plugins/translatable');
+const { escapeRegex } = require('../utils/helpers');
 
 const faqSchema = new mongoose.Schema(
   {
@@ -58,10 +60,16 @@ const faqSchema = new mongoose.Schema(
   }
 );
 
+faqSchema.plugin(translatable, { fields: ['question', 'answer'] });
+
 // Indexes
 faqSchema.index({ category: 1, isActive: 1 });
 faqSchema.index({ isFeatured: 1, isActive: 1 });
 faqSchema.index({ orderIndex: 1 });
+faqSchema.index(
+  { question: 'text', answer: 'text' },
+  { name: 'faq_text_search', weights: { question: 5, answer: 1 } }
+);
 
 // Virtual for public data
 faqSchema.virtual('publicData').get(function () {
@@ -87,6 +95,8 @@ faqSchema.virtual('adminData').get(function () {
     isFeatured: this.isFeatured,
     orderIndex: this.orderIndex,
     viewCount: this.viewCount,
+    translations: this.translations,
+    missingTranslations: this.getMissingTranslations(),
     createdBy: this.createdBy,
     updatedBy: this.updatedBy,
     createdAt: this.createdAt,
@@ -120,9 +130,10 @@ faqSchema.statics.search = function (searchTerm, options = {}) {
   let query = { isActive: true };
 
   if (searchTerm) {
+    const pattern = escapeRegex(String(searchTerm));
     query.$or = [
-      { question: { $regex: searchTerm, $options: 'i' } },
-      { answer: { $regex: searchTerm, $options: 'i' } },
+      { question: { $regex: pattern, $options: 'i' } },
+      { answer: { $regex: pattern, $options: 'i' } },
     ];
   }
 
@@ -141,11 +152,6 @@ faqSchema.statics.search = function (searchTerm, options = {}) {
 };
 
 // Instance methods
-faqSchema.methods.incrementViewCount = async function () {
-  this.viewCount += 1;
-  return this.save();
-};
-
 faqSchema.methods.toggleFeatured = async function () {
   this.isFeatured = !this.isFeatured;
   return this.save();
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Last run of a periodic background job, shared by every server instance
+const jobRunSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Identifies the period last run for, e.g. the day of a daily job
+    lastPeriod: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to atomically claim a job's run for a period
+// Resolves to false when the period has already been claimed
+jobRunSchema.statics.claim = async function (name, period) {
+  try {
+    await this.findOneAndUpdate(
+      { name, lastPeriod: { $ne: period } },
+      { lastPeriod: period },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The upsert collides with the existing job when it already ran
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -1,4 +1,63 @@
 const mongoose = require('mongoose');
+const ArticleRevision = require('./ArticleRevisionModel');
+const User = require('./UserModel');
+const translatable = require('./plugins/translatable');
+const { TRANSLATION_LOCALES } = require('../config/locales');
+const {
+  truncateText,
+  generateMetaDescription,
+  renderContent,
+  extractSearchTerms,
+  buildTermVector,
+  cosineSimilarity,
+} = require('../utils/helpers');
+const { articleUrl } = require('../utils/siteUrls');
+const logger = require('../utils/logger');
+
+const MAX_TAGS = 10;
+
+const MAX_CATEGORIES = 5;
+
+const MAX_AUTHORS = 5;
+
+const RELATED_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Related articles kept per article; requests can ask for fewer
+const MAX_RELATED = 20;
+
+// Most candidates considered from each of the shared-topic and text queries
+const RELATED_CANDIDATES = 200;
+
+// Fields that decide which articles are related
+const RELATED_FIELDS = [
+  'title',
+  'description',
+  'content',
+  'categoryIds',
+  'tags',
+];
+
+// Fields readers see; changing them on a live article needs a new review
+const REVIEWED_FIELDS = [
+  'title',
+  'description',
+  'content',
+  'contentFormat',
+  'translations',
+  'featuredImage',
+  'postLink',
+];
+
+// How much each kind of overlap adds to an article's relevance. Text
+// similarity is a cosine between 0 and 1, and rarely passes 0.5.
+const RELATED_WEIGHTS = {
+  category: 2,
+  tag: 1.5,
+  text: 6,
+};
+
+// A related article loses half its recency boost every this many days
+const RECENCY_HALF_LIFE_DAYS = 90;
 
 const newsArticleSchema = new mongoose.Schema(
   {
@@ -16,22 +75,66 @@ const newsArticleSchema = new mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    // Slugs the article was published under before, so old links redirect
+    previousSlugs: [
+      {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+    ],
     description: {
       type: String,
       required: true,
       trim: true,
       maxlength: 500,
     },
+    // Body as the author wrote it, in contentFormat
     content: {
       type: String,
       required: true,
       minlength: 50,
     },
+    contentFormat: {
+      type: String,
+      enum: ['html', 'markdown'],
+      default: 'html',
+    },
+    // Sanitized HTML rendered from content on save; what readers are shown
+    contentHtml: {
+      type: String,
+    },
+    // Primary category, shown as the article's category
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'NewsCategory',
       required: true,
     },
+    // Every category the article is listed under, the primary one first
+    categoryIds: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'NewsCategory',
+        },
+      ],
+      validate: {
+        validator: (categoryIds) => categoryIds.length <= MAX_CATEGORIES,
+        message: `An article can be in at most ${MAX_CATEGORIES} categories`,
+      },
+    },
+    tags: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Tag',
+        },
+      ],
+      validate: {
+        validator: (tags) => tags.length <= MAX_TAGS,
+        message: `An article can have at most ${MAX_TAGS} tags`,
+      },
+    },
     minToRead: {
       type: Number,
       required: true,
@@ -48,19 +151,37 @@ const newsArticleSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Owner of the article; permissions to edit it are checked against this
     authorId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    // Users credited in the byline, in order. Defaults to the owner.
+    authors: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      ],
+      validate: {
+        validator: (authors) => authors.length <= MAX_AUTHORS,
+        message: `An article can credit at most ${MAX_AUTHORS} authors`,
+      },
+    },
     status: {
       type: String,
-      enum: ['published', 'suspended', 'archived'],
+      enum: ['draft', 'scheduled', 'published', 'suspended', 'archived'],
       default: 'published',
     },
     publishedAt: {
       type: Date,
     },
+    // When a scheduled article should go live
+    publishAt: {
+      type: Date,
+    },
     viewCount: {
       type: Number,
       default: 0,
@@ -70,27 +191,366 @@ const newsArticleSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // SEO overrides; getSeoMetadata fills in defaults for empty ones
+    metaTitle: {
+      type: String,
+      trim: true,
+      maxlength: 60,
+    },
+    metaDescription: {
+      type: String,
+      trim: true,
+      maxlength: 160,
+    },
+    canonicalUrl: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      match: [/^https?:\/\//, 'Canonical URL must be an absolute http(s) URL'],
+    },
+    ogImage: {
+      type: String,
+      trim: true,
+    },
+    // Ask search engines not to index the article
+    noindex: {
+      type: Boolean,
+      default: false,
+    },
+    // Editorial review state; only approved articles can be published
+    reviewStatus: {
+      type: String,
+      enum: ['not_submitted', 'in_review', 'changes_requested', 'approved'],
+      default: 'not_submitted',
+    },
+    reviewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    // Every review state change and who made it
+    reviewHistory: [
+      {
+        _id: false,
+        from: {
+          type: String,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: 2000,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+newsArticleSchema.plugin(translatable, {
+  fields: ['title', 'description', 'content'],
+  derived: { contentHtml: 'content' },
+});
+
 // Indexes
 newsArticleSchema.index({ categoryId: 1 });
+newsArticleSchema.index({ categoryIds: 1, status: 1 });
+newsArticleSchema.index({ previousSlugs: 1 });
+newsArticleSchema.index({ tags: 1, status: 1 });
 newsArticleSchema.index({ status: 1 });
 newsArticleSchema.index({ authorId: 1 });
+newsArticleSchema.index({ authors: 1, status: 1, publishedAt: -1 });
 newsArticleSchema.index({ publishedAt: -1 });
 newsArticleSchema.index({ isFeatured: 1 });
 newsArticleSchema.index({ viewCount: -1 });
 newsArticleSchema.index({ minToRead: 1 });
+newsArticleSchema.index({ status: 1, publishAt: 1 });
+newsArticleSchema.index({ reviewStatus: 1, reviewers: 1 });
+newsArticleSchema.index(
+  { title: 'text', description: 'text', content: 'text' },
+  {
+    name: 'article_text_search',
+    weights: { title: 10, description: 5, content: 1 },
+  }
+);
+
+// Credit the owner when no authors are given
+newsArticleSchema.pre('validate', function (next) {
+  if (this.authors.length === 0 && this.authorId) {
+    this.authors = [this.authorId];
+  }
+  next();
+});
+
+// List the article under its primary category, ahead of any others
+newsArticleSchema.pre('validate', function (next) {
+  if (this.categoryId) {
+    const others = (this.categoryIds || []).filter(
+      (id) => !id.equals(this.categoryId)
+    );
+    this.categoryIds = [this.categoryId, ...others];
+  }
+  next();
+});
+
+// Render the body, and each translation of it, to sanitized HTML
+newsArticleSchema.pre('save', function (next) {
+  const formatChanged = this.isModified('contentFormat');
+
+  if (formatChanged || this.isModified('content') || !this.contentHtml) {
+    this.contentHtml = renderContent(this.content, this.contentFormat);
+  }
+  TRANSLATION_LOCALES.forEach((locale) => {
+    const path = `translations.${locale}.content`;
+    if (formatChanged || this.isModified(path)) {
+      const translated = this.get(path);
+      this.set(
+        `translations.${locale}.contentHtml`,
+        translated ? renderContent(translated, this.contentFormat) : undefined
+      );
+    }
+  });
+  next();
+});
+
+// Remember the stored slug, so a save that changes it can keep the old one
+newsArticleSchema.post('init', function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Keep a history of replaced slugs. Going back to an earlier slug takes it
+// out of the history again.
+newsArticleSchema.pre('save', function (next) {
+  const storedSlug = this.$locals.storedSlug;
+  if (!this.isNew && this.isModified('slug') && storedSlug !== this.slug) {
+    const previousSlugs = this.previousSlugs.filter(
+      (slug) => slug !== this.slug && slug !== storedSlug
+    );
+    if (storedSlug) {
+      previousSlugs.push(storedSlug);
+    }
+    this.previousSlugs = previousSlugs;
+  }
+  next();
+});
+
+newsArticleSchema.post('save', function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Note which tracked fields this save changes, for the revision history
+newsArticleSchema.pre('save', function (next) {
+  this.$locals.revisionFields = ArticleRevision.REVISION_FIELDS.filter(
+    (field) => this.isNew || this.isModified(field)
+  );
+  next();
+});
+
+// Editing an approved article voids the approval, and a scheduled or
+// published article goes back to draft until it is approved again. On live
+// articles only changes to what readers see count, so SEO tweaks and
+// featuring keep the approval, as do suspending and reactivating.
+newsArticleSchema.pre('save', function (next) {
+  if (this.isNew || this.reviewStatus !== 'approved') {
+    return next();
+  }
+
+  const isLive = ['published', 'suspended'].includes(this.status);
+  const changed = isLive
+    ? REVIEWED_FIELDS.some((field) => this.isModified(field))
+    : this.$locals.revisionFields.length > 0;
+  if (!changed) {
+    return next();
+  }
+
+  this.setReviewStatus(
+    'not_submitted',
+    this.$locals.editedBy,
+    'Edited after approval'
+  );
+  if (['scheduled', 'published'].includes(this.status)) {
+    this.$locals.unpublishedForReview = this.status === 'published';
+    this.status = 'draft';
+    this.publishAt = undefined;
+  }
+  next();
+});
 
-// Instance method to increment view count
-newsArticleSchema.methods.incrementViewCount = function () {
-  this.viewCount = (this.viewCount || 0) + 1;
+// Ranked related articles per article id, shared by all requests
+const relatedCache = new Map();
+
+// Any change to what is live, or to a live article's topic or text, can
+// reorder other articles' related lists, so the whole cache is dropped
+newsArticleSchema.pre('save', function (next) {
+  this.$locals.relatedChanged =
+    this.isModified('status') ||
+    (this.status === 'published' &&
+      RELATED_FIELDS.some((field) => this.isModified(field)));
+  next();
+});
+
+newsArticleSchema.post('save', function () {
+  if (this.$locals.relatedChanged) {
+    relatedCache.clear();
+  }
+});
+
+newsArticleSchema.post('findOneAndDelete', () => relatedCache.clear());
+
+// Bulk edits, such as taking a deleted tag off every article, skip the save
+// hooks above
+newsArticleSchema.post('updateMany', () => relatedCache.clear());
+
+// Record a revision whenever a save changes a tracked field. Routes set
+// $locals.editedBy (and $locals.restoredFrom) before saving. The article is
+// already saved by now, so a failure (e.g. two saves racing for the same
+// revision number) is logged rather than failing the save.
+newsArticleSchema.post('save', async function () {
+  const changedFields = this.$locals.revisionFields || [];
+  if (changedFields.length === 0) {
+    return;
+  }
+
+  try {
+    await ArticleRevision.record(this, changedFields, {
+      editedBy: this.$locals.editedBy,
+      restoredFrom: this.$locals.restoredFrom,
+    });
+  } catch (error) {
+    logger.error(`Record revision error for article ${this._id}:`, error);
+  }
+  this.$locals.revisionFields = [];
+});
+
+// Instance method to move the review to a new state and record who did it
+newsArticleSchema.methods.setReviewStatus = function (to, userId, note) {
+  this.reviewHistory.push({
+    from: this.reviewStatus,
+    to,
+    by: userId,
+    note,
+  });
+  this.reviewStatus = to;
+};
+
+// Instance method to get SEO metadata, with defaults for unset fields
+newsArticleSchema.methods.getSeoMetadata = function () {
+  return {
+    metaTitle: this.metaTitle || truncateText(this.title, 60),
+    metaDescription:
+      this.metaDescription ||
+      generateMetaDescription(this.description || this.content),
+    canonicalUrl: this.canonicalUrl || articleUrl(this),
+    ogImage: this.ogImage || this.featuredImage || null,
+    noindex: Boolean(this.noindex),
+  };
+};
+
+// Instance method to check if the review state allows a transition
+newsArticleSchema.methods.canTransitionReview = function (to) {
+  const transitions = {
+    not_submitted: ['in_review'],
+    changes_requested: ['in_review'],
+    in_review: ['approved', 'changes_requested'],
+    approved: [],
+  };
+
+  return transitions[this.reviewStatus].includes(to);
+};
+
+// Instance method to check if the article has passed review
+newsArticleSchema.methods.isApproved = function () {
+  return this.reviewStatus === 'approved';
+};
+
+// Instance method to publish the article now
+newsArticleSchema.methods.publish = function () {
+  this.status = 'published';
+  if (!this.publishedAt) {
+    this.publishedAt = this.publishAt || new Date();
+  }
+  this.publishAt = undefined;
+  return this.save();
+};
+
+// Instance method to schedule the article to go live later
+newsArticleSchema.methods.schedulePublish = function (publishAt) {
+  this.status = 'scheduled';
+  this.publishAt = publishAt;
   return this.save();
 };
 
+// Instance method to take the article back to draft
+newsArticleSchema.methods.unpublish = function () {
+  this.status = 'draft';
+  this.publishAt = undefined;
+  return this.save();
+};
+
+// Static method to find scheduled articles that are due to go live
+newsArticleSchema.statics.findDueScheduled = function (now = new Date()) {
+  return this.find({
+    status: 'scheduled',
+    publishAt: { $lte: now },
+  }).sort({ publishAt: 1 });
+};
+
+// Static method to atomically take a due article out of the schedule, so
+// that only one scheduler run handles it. Approved articles go live and
+// others go back to draft, as publish() and unpublish() would leave them.
+// Resolves to the article as it was before the claim, or null if it is no
+// longer due; call publish() or unpublish() on it to run the save hooks.
+newsArticleSchema.statics.claimDueScheduled = function (id, now = new Date()) {
+  const isApproved = { $eq: ['$reviewStatus', 'approved'] };
+
+  return this.findOneAndUpdate(
+    { _id: id, status: 'scheduled', publishAt: { $lte: now } },
+    [
+      {
+        $set: {
+          status: { $cond: [isApproved, 'published', 'draft'] },
+          publishedAt: {
+            $cond: [
+              isApproved,
+              { $ifNull: ['$publishedAt', '$publishAt'] },
+              '$publishedAt',
+            ],
+          },
+        },
+      },
+      { $unset: 'publishAt' },
+    ],
+    { new: false }
+  );
+};
+
+// Static method to count articles in each state
+newsArticleSchema.statics.getStatusCounts = async function (query = {}) {
+  const counts = await this.aggregate([
+    { $match: query },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce(
+    (result, { _id, count }) => ({ ...result, [_id]: count }),
+    { draft: 0, scheduled: 0, published: 0, suspended: 0, archived: 0 }
+  );
+};
+
 // Static method to generate slug from title
 newsArticleSchema.statics.generateSlug = function (title) {
   return title
@@ -99,9 +559,205 @@ newsArticleSchema.statics.generateSlug = function (title) {
     .replace(/(^-|-$)/g, '');
 };
 
+// Static method to run a ranked full-text search over published articles.
+// Category facet counts cover every match, ignoring the category filter,
+// so clients can show how many results each category would give.
+newsArticleSchema.statics.searchPublished = async function (
+  searchTerm,
+  options = {}
+) {
+  const { categoryId, page = 1, limit = 10 } = options;
+  const resultFilter = categoryId
+    ? { categoryIds: new mongoose.Types.ObjectId(categoryId) }
+    : {};
+
+  const [result] = await this.aggregate([
+    { $match: { $text: { $search: searchTerm }, status: 'published' } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        articles: [
+          { $match: resultFilter },
+          { $sort: { score: -1, publishedAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+        ],
+        total: [{ $match: resultFilter }, { $count: 'count' }],
+        categories: [
+          { $unwind: '$categoryIds' },
+          { $group: { _id: '$categoryIds', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const articles = await this.populate(result.articles, [
+    { path: 'categoryId', select: 'name slug' },
+    { path: 'categoryIds', select: 'name slug' },
+    { path: 'authorId', select: 'fullName' },
+    { path: 'authors', select: User.BYLINE_FIELDS },
+  ]);
+  const categories = await this.model('NewsCategory')
+    .find({ _id: { $in: result.categories.map((facet) => facet._id) } })
+    .select('name slug');
+
+  return {
+    articles,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    categories: result.categories
+      .map((facet) => {
+        const category = categories.find((item) => item._id.equals(facet._id));
+        return category
+          ? {
+              _id: category._id,
+              name: category.name,
+              slug: category.slug,
+              count: facet.count,
+            }
+          : null;
+      })
+      .filter(Boolean),
+  };
+};
+
 // Static method to find by slug
 newsArticleSchema.statics.findBySlug = function (slug) {
   return this.findOne({ slug, status: 'published' });
 };
 
+// Static method to find a published article by one of its old slugs
+newsArticleSchema.statics.findByPreviousSlug = function (slug) {
+  return this.findOne({
+    previousSlugs: slug.toLowerCase(),
+    status: 'published',
+  });
+};
+
+// Score other published articles by how related they are to an article:
+// shared categories and tags plus text similarity, boosted for recent and
+// popular articles. Returns up to MAX_RELATED ids with scores, best first.
+const rankRelated = async (Model, article) => {
+  const base = { _id: { $ne: article._id }, status: 'published' };
+  const select =
+    'title description content categoryIds tags viewCount publishedAt createdAt';
+
+  const sharedTopic = [];
+  if (article.categoryIds && article.categoryIds.length > 0) {
+    sharedTopic.push({ categoryIds: { $in: article.categoryIds } });
+  }
+  if (article.tags && article.tags.length > 0) {
+    sharedTopic.push({ tags: { $in: article.tags } });
+  }
+  const terms = extractSearchTerms(`${article.title} ${article.description}`);
+
+  const [topicMatches, textMatches] = await Promise.all([
+    sharedTopic.length > 0
+      ? Model.find({ ...base, $or: sharedTopic })
+          .select(select)
+          .sort({ publishedAt: -1 })
+          .limit(RELATED_CANDIDATES)
+          .lean()
+      : [],
+    terms.length > 0
+      ? Model.find(
+          { ...base, $text: { $search: terms.join(' ') } },
+          { score: { $meta: 'textScore' } }
+        )
+          .select(select)
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(RELATED_CANDIDATES)
+          .lean()
+      : [],
+  ]);
+
+  const candidates = new Map();
+  [...topicMatches, ...textMatches].forEach((candidate) => {
+    candidates.set(candidate._id.toString(), candidate);
+  });
+
+  const termVector = (doc) =>
+    buildTermVector([
+      { text: doc.title, weight: 3 },
+      { text: doc.description, weight: 2 },
+      { text: doc.content, weight: 1 },
+    ]);
+  const vector = termVector(article);
+  const categoryIds = new Set(
+    (article.categoryIds || []).map((category) => category.toString())
+  );
+  const tagIds = new Set((article.tags || []).map((tag) => tag.toString()));
+  const now = Date.now();
+
+  const ranked = [];
+  candidates.forEach((candidate) => {
+    const sameCategory = (candidate.categoryIds || []).some((category) =>
+      categoryIds.has(category.toString())
+    );
+    const sharedTags = (candidate.tags || []).filter((tag) =>
+      tagIds.has(tag.toString())
+    ).length;
+    const relevance =
+      (sameCategory ? RELATED_WEIGHTS.category : 0) +
+      sharedTags * RELATED_WEIGHTS.tag +
+      cosineSimilarity(vector, termVector(candidate)) * RELATED_WEIGHTS.text;
+    if (relevance <= 0) {
+      return;
+    }
+
+    const published = candidate.publishedAt || candidate.createdAt;
+    const ageDays = Math.max(0, (now - published) / (24 * 60 * 60 * 1000));
+    const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    const popularity = Math.log10(1 + (candidate.viewCount || 0));
+
+    ranked.push({
+      _id: candidate._id,
+      score:
+        Math.round(
+          relevance * (0.5 + 0.5 * recency) * (1 + 0.1 * popularity) * 1000
+        ) / 1000,
+    });
+  });
+
+  return ranked.sort((a, b) => b.score - a.score).slice(0, MAX_RELATED);
+};
+
+// Static method to get the published articles most related to an article,
+// best first, each with its score. Rankings are cached per article.
+newsArticleSchema.statics.findRelated = async function (article, limit = 5) {
+  const key = article._id.toString();
+  let cached = relatedCache.get(key);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    cached = {
+      related: await rankRelated(this, article),
+      expiresAt: Date.now() + RELATED_CACHE_TTL_MS,
+    };
+    relatedCache.set(key, cached);
+  }
+
+  const top = cached.related.slice(0, limit);
+  const articles = await this.find({
+    _id: { $in: top.map((entry) => entry._id) },
+    status: 'published',
+  })
+    .populate('categoryId', 'name slug')
+    .populate('categoryIds', 'name slug')
+    .populate('tags', 'name slug')
+    .populate('authorId', 'fullName')
+    .populate('authors', User.BYLINE_FIELDS);
+  const byId = new Map(articles.map((doc) => [doc._id.toString(), doc]));
+
+  return top
+    .filter((entry) => byId.has(entry._id.toString()))
+    .map((entry) => ({
+      article: byId.get(entry._id.toString()),
+      score: entry.score,
+    }));
+};
+
+newsArticleSchema.statics.MAX_TAGS = MAX_TAGS;
+newsArticleSchema.statics.MAX_CATEGORIES = MAX_CATEGORIES;
+newsArticleSchema.statics.MAX_AUTHORS = MAX_AUTHORS;
+newsArticleSchema.statics.MAX_RELATED = MAX_RELATED;
+
 module.exports = mongoose.model('NewsArticle', newsArticleSchema);
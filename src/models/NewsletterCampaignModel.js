@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+// Statuses in which a campaign can still be edited, rescheduled or deleted
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+
+const newsletterCampaignSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      required: [true, 'Subject is required'],
+      trim: true,
+      minlength: [3, 'Subject must be at least 3 characters long'],
+      maxlength: [200, 'Subject cannot exceed 200 characters'],
+    },
+    html: {
+      type: String,
+      required: [true, 'HTML content is required'],
+    },
+    text: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['draft', 'scheduled', 'sending', 'sent'],
+        message: 'Status must be one of: draft, scheduled, sending, sent',
+      },
+      default: 'draft',
+    },
+    scheduledAt: {
+      type: Date,
+    },
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // Worker lease so only one process sends a campaign at a time
+    lockedUntil: {
+      type: Date,
+    },
+    // Last subscriber processed, used to resume an interrupted send
+    lastSubscriberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsletterSubscriber',
+    },
+    totalRecipients: {
+      type: Number,
+      default: 0,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastTestSentAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+newsletterCampaignSchema.index({ status: 1, scheduledAt: 1 });
+newsletterCampaignSchema.index({ createdAt: -1 });
+
+// Virtual for admin data
+newsletterCampaignSchema.virtual('adminData').get(function () {
+  return {
+    id: this._id,
+    subject: this.subject,
+    html: this.html,
+    text: this.text,
+    status: this.status,
+    scheduledAt: this.scheduledAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    totalRecipients: this.totalRecipients,
+    sentCount: this.sentCount,
+    failedCount: this.failedCount,
+    lastTestSentAt: this.lastTestSentAt,
+    createdBy: this.createdBy,
+    updatedBy: this.updatedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+});
+
+// Instance method to check if the campaign can still be edited
+newsletterCampaignSchema.methods.isEditable = function () {
+  return EDITABLE_STATUSES.includes(this.status);
+};
+
+// Instance method to get content in the shape emailTemplates.newsletter expects
+newsletterCampaignSchema.methods.getContent = function () {
+  return {
+    subject: this.subject,
+    html: this.html,
+    text: this.text,
+  };
+};
+
+// Static method to atomically update a campaign only while it is still
+// editable, so changes can't race a worker claiming it for sending
+newsletterCampaignSchema.statics.updateIfEditable = function (id, update) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: EDITABLE_STATUSES } },
+    update,
+    { new: true, runValidators: true }
+  );
+};
+
+// Static method to atomically delete a campaign only while it is still editable
+newsletterCampaignSchema.statics.deleteIfEditable = function (id) {
+  return this.findOneAndDelete({
+    _id: id,
+    status: { $in: EDITABLE_STATUSES },
+  });
+};
+
+// Static method to schedule an editable campaign
+newsletterCampaignSchema.statics.schedule = function (id, scheduledAt, userId) {
+  return this.updateIfEditable(id, {
+    status: 'scheduled',
+    scheduledAt: scheduledAt || new Date(),
+    updatedBy: userId,
+  });
+};
+
+// Static method to move an editable campaign back to draft
+newsletterCampaignSchema.statics.unschedule = function (id, userId) {
+  return this.updateIfEditable(id, {
+    status: 'draft',
+    $unset: { scheduledAt: 1 },
+    updatedBy: userId,
+  });
+};
+
+// Static method to atomically claim the next campaign that is due to send
+newsletterCampaignSchema.statics.claimNextDue = function (lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', scheduledAt: { $lte: now } },
+        // Resume sends whose worker stopped renewing its lease
+        { status: 'sending', lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + lockMs),
+    },
+    { new: true, sort: { scheduledAt: 1 } }
+  );
+};
+
+// Derive plain text from HTML by stripping tags and collapsing whitespace
+const htmlToText = (html) =>
+  html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Pre-save middleware to derive plain text from HTML when missing
+newsletterCampaignSchema.pre('save', function (next) {
+  if (this.isModified('html') && !this.text) {
+    this.text = htmlToText(this.html);
+  }
+  next();
+});
+
+// Same for edits made through updateIfEditable that clear the text
+newsletterCampaignSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  if (update.html && 'text' in update && !update.text) {
+    update.text = htmlToText(update.html);
+  }
+  next();
+});
+
+const NewsletterCampaign = mongoose.model(
+  'NewsletterCampaign',
+  newsletterCampaignSchema
+);
+
+module.exports = NewsletterCampaign;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const newsletterDeliverySchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsletterCampaign',
+      required: true,
+    },
+    subscriberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NewsletterSubscriber',
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+    },
+    messageId: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+// One delivery record per recipient per campaign, so a resumed send never
+// mails the same subscriber twice
+newsletterDeliverySchema.index(
+  { campaignId: 1, subscriberId: 1 },
+  { unique: true }
+);
+newsletterDeliverySchema.index({ campaignId: 1, status: 1 });
+
+// Instance method to get admin data
+newsletterDeliverySchema.methods.getAdminData = function () {
+  return {
+    _id: this._id,
+    campaignId: this.campaignId,
+    subscriberId: this.subscriberId,
+    email: this.email,
+    status: this.status,
+    messageId: this.messageId,
+    error: this.error,
+    attemptedAt: this.attemptedAt,
+  };
+};
+
+// Static method to find which of the given subscribers already have a delivery
+newsletterDeliverySchema.statics.findDeliveredSubscriberIds = async function (
+  campaignId,
+  subscriberIds
+) {
+  const ids = await this.find({
+    campaignId,
+    subscriberId: { $in: subscriberIds },
+  }).distinct('subscriberId');
+
+  return new Set(ids.map((id) => id.toString()));
+};
+
+module.exports = mongoose.model('NewsletterDelivery', newsletterDeliverySchema);
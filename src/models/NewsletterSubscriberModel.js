@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// How long a double opt-in confirmation link stays valid
+const CONFIRMATION_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+
 const newsletterSubscriberSchema = new mongoose.Schema(
   {
     email: {
@@ -30,6 +33,17 @@ const newsletterSubscriberSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    confirmationToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    confirmationSentAt: {
+      type: Date,
+    },
+    confirmedAt: {
+      type: Date,
+    },
     lastEmailSent: {
       type: Date,
     },
@@ -61,6 +75,7 @@ newsletterSubscriberSchema.index({ email: 1 });
 newsletterSubscriberSchema.index({ isActive: 1 });
 newsletterSubscriberSchema.index({ subscribedAt: -1 });
 newsletterSubscriberSchema.index({ unsubscribeToken: 1 });
+newsletterSubscriberSchema.index({ confirmationToken: 1 });
 
 // Pre-save middleware to generate unsubscribe token
 newsletterSubscriberSchema.pre('save', function (next) {
@@ -77,10 +92,33 @@ newsletterSubscriberSchema.methods.getPublicData = function () {
     email: this.email,
     isActive: this.isActive,
     subscribedAt: this.subscribedAt,
+    confirmedAt: this.confirmedAt,
     source: this.source,
   };
 };
 
+// Instance method to start (or restart) double opt-in confirmation
+newsletterSubscriberSchema.methods.requestConfirmation = function () {
+  this.isActive = false;
+  this.confirmationToken = crypto.randomBytes(32).toString('hex');
+  this.confirmationSentAt = new Date();
+  return this.save();
+};
+
+// Instance method to confirm subscription
+newsletterSubscriberSchema.methods.confirm = function () {
+  this.isActive = true;
+  this.confirmedAt = new Date();
+  this.unsubscribedAt = null;
+  this.confirmationToken = undefined;
+  return this.save();
+};
+
+// Instance method to check if subscription is awaiting confirmation
+newsletterSubscriberSchema.methods.isPendingConfirmation = function () {
+  return !this.isActive && Boolean(this.confirmationToken);
+};
+
 // Instance method to unsubscribe
 newsletterSubscriberSchema.methods.unsubscribe = function () {
   this.isActive = false;
@@ -118,11 +156,23 @@ newsletterSubscriberSchema.statics.findByUnsubscribeToken = function (token) {
   return this.findOne({ unsubscribeToken: token });
 };
 
+// Static method to find by confirmation token, ignoring expired ones
+newsletterSubscriberSchema.statics.findByConfirmationToken = function (token) {
+  return this.findOne({
+    confirmationToken: token,
+    confirmationSentAt: { $gt: new Date(Date.now() - CONFIRMATION_TTL_MS) },
+  });
+};
+
 // Static method to get subscription statistics
 newsletterSubscriberSchema.statics.getStatistics = async function () {
   const total = await this.countDocuments();
   const active = await this.countDocuments({ isActive: true });
-  const inactive = total - active;
+  const pending = await this.countDocuments({
+    isActive: false,
+    confirmationToken: { $exists: true },
+  });
+  const inactive = total - active - pending;
 
   const today = new Date();
   today.setHours(0, 0, 0, 0);
@@ -146,6 +196,7 @@ newsletterSubscriberSchema.statics.getStatistics = async function () {
   return {
     total,
     active,
+    pending,
     inactive,
     today: {
       subscriptions: todaySubscriptions,
@@ -169,17 +220,24 @@ newsletterSubscriberSchema.statics.bulkUnsubscribe = function (emails) {
 };
 
 // Static method to get subscribers for email campaign
+// Pages by _id so an interrupted campaign can resume after the last recipient
 newsletterSubscriberSchema.statics.getSubscribersForCampaign = function (
-  limit = 1000
+  limit = 1000,
+  afterId = null
 ) {
-  return this.find({
-    isActive: true,
-  })
-    .sort({ lastEmailSent: 1, subscribedAt: -1 })
+  const query = { isActive: true };
+  if (afterId) {
+    query._id = { $gt: afterId };
+  }
+
+  return this.find(query)
+    .sort({ _id: 1 })
     .limit(limit)
-    .select('email unsubscribeToken');
+    .select('email unsubscribeToken emailCount');
 };
 
+newsletterSubscriberSchema.statics.CONFIRMATION_TTL_MS = CONFIRMATION_TTL_MS;
+
 module.exports = mongoose.model(
   'NewsletterSubscriber',
   newsletterSubscriberSchema
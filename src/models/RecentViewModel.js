@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Marks that a visitor has been counted for an item. Until the marker
+// expires, further views from the same visitor are not counted again.
+const recentViewSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    required: true,
+    enum: ['news', 'faq', 'success_story'],
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // SHA-256 of the visitor's IP address and user agent
+  visitorHash: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Indexes
+recentViewSchema.index(
+  { contentType: 1, contentId: 1, visitorHash: 1 },
+  { unique: true }
+);
+// Let MongoDB remove markers once the dedupe window has passed
+recentViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RecentView', recentViewSchema);
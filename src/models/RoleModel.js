@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const {
+  ALL_PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+} = require('../config/permissions');
+
+const PERMISSION_CACHE_TTL_MS = 60 * 1000; // 1 minute
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored on users as their role, so it cannot change after creation
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      immutable: true,
+      match: [
+        /^[a-z][a-z0-9_]*$/,
+        'Role name may only contain lowercase letters, digits and underscores',
+      ],
+      maxlength: 50,
+    },
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    permissions: [
+      {
+        type: String,
+        enum: ALL_PERMISSIONS,
+      },
+    ],
+    // Built-in roles cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+roleSchema.index({ permissions: 1 });
+
+// Resolved permissions per role name, shared by all requests
+const permissionCache = new Map();
+
+const clearPermissionCache = () => permissionCache.clear();
+
+roleSchema.post('save', clearPermissionCache);
+roleSchema.post(
+  'deleteOne',
+  { document: true, query: false },
+  clearPermissionCache
+);
+roleSchema.post('findOneAndDelete', clearPermissionCache);
+
+// Instance method to check whether the role's permissions may be edited
+roleSchema.methods.isEditable = function () {
+  return this.name !== ADMIN_ROLE;
+};
+
+// Instance method to get admin data
+roleSchema.methods.getAdminData = function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    displayName: this.displayName,
+    description: this.description,
+    permissions: this.name === ADMIN_ROLE ? ALL_PERMISSIONS : this.permissions,
+    isSystem: this.isSystem,
+    isEditable: this.isEditable(),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Static method to find by name
+roleSchema.statics.findByName = function (name) {
+  return this.findOne({ name: name.toLowerCase() });
+};
+
+// Static method to get the permissions granted by a role
+roleSchema.statics.getPermissions = async function (name) {
+  if (name === ADMIN_ROLE) {
+    return ALL_PERMISSIONS;
+  }
+
+  const cached = permissionCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  const permissions = role ? role.permissions : [];
+
+  permissionCache.set(name, {
+    permissions,
+    expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS,
+  });
+
+  return permissions;
+};
+
+// Static method to list the names of roles that grant a permission
+roleSchema.statics.findNamesWithPermission = async function (permission) {
+  const roles = await this.find({ permissions: permission }).select('name');
+  const names = roles.map((role) => role.name);
+
+  if (!names.includes(ADMIN_ROLE)) {
+    names.push(ADMIN_ROLE);
+  }
+
+  return names;
+};
+
+// Static method to create any missing built-in roles without
+// overwriting permissions an admin has since changed
+roleSchema.statics.ensureDefaultRoles = async function () {
+  await Promise.all(
+    DEFAULT_ROLES.map((role) =>
+      this.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, isSystem: true } },
+        { upsert: true }
+      )
+    )
+  );
+  clearPermissionCache();
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token id; rotated on every refresh
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the token this one replaced, used to detect refresh token reuse
+    previousTokenHash: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ipAddress: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the session
+sessionSchema.methods.revoke = function () {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Instance method to get public data
+sessionSchema.methods.getPublicData = function (currentSessionId = null) {
+  return {
+    _id: this._id,
+    userAgent: this.userAgent,
+    ipAddress: this.ipAddress,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    createdAt: this.createdAt,
+    isCurrent: currentSessionId
+      ? this._id.toString() === currentSessionId.toString()
+      : false,
+  };
+};
+
+// Static method to find a user's active sessions
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Static method to revoke all of a user's sessions
+sessionSchema.statics.revokeAllForUser = function (
+  userId,
+  exceptSessionId = null
+) {
+  const query = { userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
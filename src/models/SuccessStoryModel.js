@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const translatable = require('./plugins/translatable');
+const { escapeRegex } = require('../utils/helpers');
 
 const successStorySchema = new mongoose.Schema(
   {
@@ -94,6 +96,8 @@ const successStorySchema = new mongoose.Schema(
   }
 );
 
+successStorySchema.plugin(translatable, { fields: ['content', 'location'] });
+
 // Indexes
 successStorySchema.index({ isVerified: 1, isActive: 1 });
 successStorySchema.index({ categoryId: 1 });
@@ -101,6 +105,13 @@ successStorySchema.index({ createdAt: -1 });
 successStorySchema.index({ featured: 1 });
 successStorySchema.index({ rating: -1 });
 successStorySchema.index({ submittedEmail: 1 });
+successStorySchema.index(
+  { content: 'text', location: 'text', submittedBy: 'text' },
+  {
+    name: 'success_story_text_search',
+    weights: { submittedBy: 5, location: 3, content: 1 },
+  }
+);
 
 // Virtual for public data (only verified stories)
 successStorySchema.virtual('publicData').get(function () {
@@ -133,6 +144,8 @@ successStorySchema.virtual('adminData').get(function () {
     isActive: this.isActive,
     featured: this.featured,
     viewCount: this.viewCount,
+    translations: this.translations,
+    missingTranslations: this.getMissingTranslations(),
     approvedBy: this.approvedBy,
     approvedAt: this.approvedAt,
     ipAddress: this.ipAddress,
@@ -182,11 +195,12 @@ successStorySchema.statics.search = function (searchTerm, options = {}) {
   let query = adminView ? {} : { isActive: true };
 
   if (searchTerm) {
+    const pattern = escapeRegex(String(searchTerm));
     query.$or = [
-      { content: { $regex: searchTerm, $options: 'i' } },
-      { submittedBy: { $regex: searchTerm, $options: 'i' } },
-      { location: { $regex: searchTerm, $options: 'i' } },
-      { submittedEmail: { $regex: searchTerm, $options: 'i' } },
+      { content: { $regex: pattern, $options: 'i' } },
+      { submittedBy: { $regex: pattern, $options: 'i' } },
+      { location: { $regex: pattern, $options: 'i' } },
+      { submittedEmail: { $regex: pattern, $options: 'i' } },
     ];
   }
 
@@ -232,11 +246,6 @@ successStorySchema.methods.toggleActive = async function () {
   return this.save();
 };
 
-successStorySchema.methods.incrementViewCount = async function () {
-  this.viewCount += 1;
-  return this.save();
-};
-
 // Pre-save middleware
 successStorySchema.pre('save', function (next) {
   if (
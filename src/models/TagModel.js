@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      maxlength: 50,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+tagSchema.index({ name: 1 });
+
+// Virtual for public data
+tagSchema.virtual('publicData').get(function () {
+  return {
+    _id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+  };
+});
+
+// Static method to find by slug
+tagSchema.statics.findBySlug = function (slug) {
+  return this.findOne({ slug: slug.toLowerCase() });
+};
+
+// Static method to count published articles per tag
+tagSchema.statics.countPublishedArticles = async function (tagIds) {
+  const counts = await this.model('NewsArticle').aggregate([
+    { $match: { status: 'published', tags: { $in: tagIds } } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: tagIds } } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce((result, { _id, count }) => {
+    result[_id.toString()] = count;
+    return result;
+  }, {});
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { escapeRegex } = require('../utils/helpers');
 
 const teamMemberSchema = new mongoose.Schema(
   {
@@ -80,6 +81,13 @@ const teamMemberSchema = new mongoose.Schema(
 teamMemberSchema.index({ type: 1, isActive: 1 });
 teamMemberSchema.index({ orderIndex: 1 });
 teamMemberSchema.index({ name: 1 });
+teamMemberSchema.index(
+  { name: 'text', position: 'text', description: 'text' },
+  {
+    name: 'team_member_text_search',
+    weights: { name: 10, position: 5, description: 1 },
+  }
+);
 
 // Virtual for public data
 teamMemberSchema.virtual('publicData').get(function () {
@@ -147,10 +155,11 @@ teamMemberSchema.statics.search = function (searchTerm, options = {}) {
   let query = { isActive: true };
 
   if (searchTerm) {
+    const pattern = escapeRegex(String(searchTerm));
     query.$or = [
-      { name: { $regex: searchTerm, $options: 'i' } },
-      { position: { $regex: searchTerm, $options: 'i' } },
-      { description: { $regex: searchTerm, $options: 'i' } },
+      { name: { $regex: pattern, $options: 'i' } },
+      { position: { $regex: pattern, $options: 'i' } },
+      { description: { $regex: pattern, $options: 'i' } },
     ];
   }
 
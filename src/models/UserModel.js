@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Role = require('./RoleModel');
+const { generateSlug, generateUniqueSlug } = require('../utils/helpers');
+
+const PASSWORD_RESET_EXPIRY_MS = 60 * 60 * 1000; // 1 hour
+
+// What articles show about each credited author
+const BYLINE_FIELDS = 'fullName profile.slug profile.photo';
+
+const socialLink = {
+  type: String,
+  trim: true,
+  maxlength: 500,
+};
 
 const userSchema = new mongoose.Schema(
   {
@@ -29,9 +43,11 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number'],
     },
+    // Name of a Role, which bundles the user's permissions
     role: {
       type: String,
-      enum: ['admin', 'news_editor', 'content_manager', 'viewer'],
+      lowercase: true,
+      trim: true,
       default: 'viewer',
     },
     isActive: {
@@ -41,6 +57,53 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Only a SHA-256 hash of the emailed reset token is stored
+    passwordResetTokenHash: {
+      type: String,
+    },
+    passwordResetExpires: {
+      type: Date,
+    },
+    notificationPreferences: {
+      // Email on new contact form messages: one per message, a daily digest, or none
+      contactMessages: {
+        type: String,
+        enum: ['off', 'instant', 'daily'],
+        default: 'off',
+      },
+    },
+    // Public author profile, shown on articles the user is credited on.
+    // The slug is generated from the name if none is chosen.
+    profile: {
+      slug: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxlength: 100,
+        match: [
+          /^[a-z0-9]+(-[a-z0-9]+)*$/,
+          'Slug can only contain lowercase letters, numbers and hyphens',
+        ],
+      },
+      bio: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+      },
+      photo: {
+        type: String,
+        trim: true,
+      },
+      socialLinks: {
+        website: socialLink,
+        twitter: socialLink,
+        linkedin: socialLink,
+        facebook: socialLink,
+      },
+    },
   },
   {
     timestamps: true,
@@ -52,19 +115,170 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ 'profile.slug': 1 }, { unique: true, sparse: true });
+
+// Give every user an author slug
+userSchema.pre('validate', async function (next) {
+  try {
+    if (!this.profile.slug && this.fullName) {
+      this.profile.slug = await generateUniqueSlug(
+        generateSlug(this.fullName) || 'author',
+        (slug) => this.constructor.isProfileSlugTaken(slug, this._id)
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Hash a password reset token for storage and lookup
+const hashResetToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Instance method to get the permissions granted by the user's role
+userSchema.methods.getPermissions = async function () {
+  if (!this.$locals.permissions) {
+    this.$locals.permissions = await Role.getPermissions(this.role);
+  }
+  return this.$locals.permissions;
+};
 
 // Instance method to check if user has permission
-userSchema.methods.hasPermission = function (requiredRole) {
-  const roleHierarchy = {
-    viewer: 0,
-    content_manager: 1,
-    news_editor: 2,
-    admin: 3,
+userSchema.methods.hasPermission = async function (permission) {
+  const permissions = await this.getPermissions();
+  return permissions.includes(permission);
+};
+
+// Instance method to list the permissions in a set that the user's role
+// doesn't grant. Users can't hand out access they don't hold themselves.
+userSchema.methods.getUngrantedPermissions = async function (permissions) {
+  const granted = await this.getPermissions();
+  return permissions.filter((permission) => !granted.includes(permission));
+};
+
+// Instance method to get admin data
+userSchema.methods.getAdminData = function () {
+  return {
+    _id: this._id,
+    email: this.email,
+    fullName: this.fullName,
+    phone: this.phone,
+    role: this.role,
+    isActive: this.isActive,
+    lastLogin: this.lastLogin,
+    notificationPreferences: this.notificationPreferences,
+    profile: this.profile,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+// Instance method to get the public author profile
+userSchema.methods.getAuthorProfile = function () {
+  return {
+    _id: this._id,
+    fullName: this.fullName,
+    slug: this.profile.slug,
+    bio: this.profile.bio,
+    photo: this.profile.photo,
+    socialLinks: this.profile.socialLinks,
   };
+};
 
-  return roleHierarchy[this.role] >= roleHierarchy[requiredRole];
+// Instance method to apply author profile changes from a request body. An
+// empty string clears a field; clearing the slug generates a new one.
+userSchema.methods.setAuthorProfile = function (profile = {}) {
+  ['slug', 'bio', 'photo'].forEach((field) => {
+    if (profile[field] !== undefined) {
+      this.set(`profile.${field}`, profile[field] || undefined);
+    }
+  });
+  Object.entries(profile.socialLinks || {}).forEach(([network, url]) => {
+    this.set(`profile.socialLinks.${network}`, url || undefined);
+  });
 };
 
+// Instance method to set a new password hash and invalidate existing sessions
+userSchema.methods.setPasswordHash = function (passwordHash) {
+  this.passwordHash = passwordHash;
+  // Back-date by a second so a token issued right after the change stays valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpires = undefined;
+};
+
+// Instance method to check if the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function (jwtIssuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Instance method to create a single-use password reset token
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS);
+  return token;
+};
+
+// Static method to find the user for an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne({
+    passwordResetTokenHash: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+};
+
+// Static method to find active users subscribed to contact notifications
+userSchema.statics.findContactNotificationRecipients = async function (mode) {
+  const roles = await Role.findNamesWithPermission('tickets:read');
+  return this.find({
+    isActive: true,
+    role: { $in: roles },
+    'notificationPreferences.contactMessages': mode,
+  }).select('email');
+};
+
+// Static method to find active users whose role grants a permission
+userSchema.statics.findActiveWithPermission = async function (permission) {
+  const roles = await Role.findNamesWithPermission(permission);
+  return this.find({ isActive: true, role: { $in: roles } }).select(
+    'email fullName role'
+  );
+};
+
+// Static method to count active admins, optionally ignoring one user
+userSchema.statics.countActiveAdmins = function (excludeUserId = null) {
+  const query = { role: 'admin', isActive: true };
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+  return this.countDocuments(query);
+};
+
+// Static method to check if another user has an author slug
+userSchema.statics.isProfileSlugTaken = async function (
+  slug,
+  excludeUserId = null
+) {
+  const query = { 'profile.slug': slug };
+  if (excludeUserId) {
+    query._id = { $ne: excludeUserId };
+  }
+  return Boolean(await this.exists(query));
+};
+
+// Static method to find by author slug
+userSchema.statics.findByProfileSlug = function (slug) {
+  return this.findOne({ 'profile.slug': slug.toLowerCase() });
+};
+
+userSchema.statics.BYLINE_FIELDS = BYLINE_FIELDS;
+
 // Static method to find by email
 userSchema.statics.findByEmail = function (email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -0,0 +1,136 @@
+const {
+  SOURCE_LOCALE,
+  TRANSLATION_LOCALES,
+  DEFAULT_LOCALE,
+} = require('../../config/locales');
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Mongoose plugin storing translations of some of a model's fields. The
+ * fields themselves keep the source locale's text; translations.<locale>
+ * holds the same fields for each other supported locale, with the same
+ * maximum lengths. Apply it after the fields are defined.
+ * @param {mongoose.Schema} schema - Schema to extend
+ * @param {Object} options
+ * @param {Array<string>} options.fields - Names of the translatable fields
+ * @param {Object} [options.derived] - Fields the model computes from a
+ *   translatable one, e.g. { contentHtml: 'content' }. They are stored per
+ *   locale too, but can't be set directly and are localized to whichever
+ *   locale their source field is served in.
+ */
+const translatable = (schema, { fields, derived = {} }) => {
+  const localeFields = fields.reduce((result, field) => {
+    const { maxlength } = schema.path(field).options;
+    result[field] = maxlength
+      ? { type: String, trim: true, maxlength }
+      : { type: String, trim: true };
+    return result;
+  }, {});
+  Object.keys(derived).forEach((field) => {
+    localeFields[field] = { type: String };
+  });
+
+  schema.add({
+    translations: TRANSLATION_LOCALES.reduce((result, locale) => {
+      result[locale] = localeFields;
+      return result;
+    }, {}),
+  });
+
+  schema.statics.TRANSLATABLE_FIELDS = fields;
+
+  // Instance method to get a field's text in one locale, or undefined if it
+  // hasn't been translated
+  schema.methods.getTranslation = function (field, locale) {
+    const value =
+      locale === SOURCE_LOCALE
+        ? this.get(field)
+        : this.get(`translations.${locale}.${field}`);
+    return isBlank(value) ? undefined : value;
+  };
+
+  // Instance method to get the translatable fields in a locale. Untranslated
+  // fields fall back to the default locale, then to the source text.
+  // locale is the language the first field ended up in.
+  schema.methods.localize = function (locale) {
+    const chain = [...new Set([locale, DEFAULT_LOCALE, SOURCE_LOCALE])];
+    const result = {};
+    let firstLocale;
+
+    fields.forEach((field) => {
+      const found = chain.find(
+        (candidate) => this.getTranslation(field, candidate) !== undefined
+      );
+      result[field] = found
+        ? this.getTranslation(field, found)
+        : this.get(field);
+      firstLocale = firstLocale || found || SOURCE_LOCALE;
+
+      Object.entries(derived)
+        .filter(([, source]) => source === field)
+        .forEach(([derivedField]) => {
+          result[derivedField] = this.getTranslation(
+            derivedField,
+            found || SOURCE_LOCALE
+          );
+        });
+    });
+
+    result.locale = firstLocale;
+    return result;
+  };
+
+  // Instance method to apply translations from a request body, e.g.
+  // { ha: { title: '...' } }. An empty string removes a translation.
+  schema.methods.setTranslations = function (translations = {}) {
+    Object.entries(translations).forEach(([locale, values]) => {
+      if (
+        !TRANSLATION_LOCALES.includes(locale) ||
+        !values ||
+        typeof values !== 'object'
+      ) {
+        return;
+      }
+      Object.entries(values).forEach(([field, value]) => {
+        if (!fields.includes(field)) {
+          return;
+        }
+        this.set(
+          `translations.${locale}.${field}`,
+          isBlank(value) ? undefined : value
+        );
+      });
+    });
+  };
+
+  // Instance method to list, per locale, the fields that have source text
+  // but no translation
+  schema.methods.getMissingTranslations = function () {
+    return TRANSLATION_LOCALES.reduce((missing, locale) => {
+      const untranslated = fields.filter(
+        (field) =>
+          !isBlank(this.get(field)) &&
+          this.getTranslation(field, locale) === undefined
+      );
+      if (untranslated.length > 0) {
+        missing[locale] = untranslated;
+      }
+      return missing;
+    }, {});
+  };
+
+  // Static method to build a query condition matching documents missing a
+  // translation of any field in a locale
+  schema.statics.missingTranslationQuery = function (locale) {
+    return {
+      $or: fields.map((field) => ({
+        [field]: { $nin: [null, ''] },
+        [`translations.${locale}.${field}`]: { $in: [null, ''] },
+      })),
+    };
+  };
+};
+
+module.exports = translatable;
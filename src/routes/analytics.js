@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuery } = require('../middleware/validation');
+
+// Import services
+const {
+  VIEW_TYPES,
+  getViewAnalytics,
+} = require('../services/viewAnalyticsService');
+
+// Import utilities
+const logger = require('../utils/logger');
+
+// Range covered when no dates are given, ending today
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range one report may cover
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const viewsQuerySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .optional(),
+  type: Joi.string()
+    .valid(...Object.keys(VIEW_TYPES))
+    .optional(),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+});
+
+/**
+ * @swagger
+ * /api/analytics/views:
+ *   get:
+ *     summary: Get view analytics for news, FAQs and success stories
+ *     description: >
+ *       Counted views over a date range (UTC days), with a daily trend, the
+ *       most viewed content and the top referring sites. Views from crawlers
+ *       and signed-in staff are not counted, and repeat views by the same
+ *       visitor within VIEW_DEDUPE_WINDOW_MINUTES count once. Defaults to the
+ *       last 30 days.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [news, faq, success_story]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Entries in the top content and referrer lists
+ *     responses:
+ *       200:
+ *         description: View analytics retrieved successfully
+ *       400:
+ *         description: Validation error or range longer than a year
+ */
+router.get(
+  '/views',
+  authenticateToken,
+  requirePermission('dashboard:read'),
+  validateQuery(viewsQuerySchema),
+  async (req, res) => {
+    try {
+      const { type, limit } = req.query;
+      const to = req.query.to || new Date();
+      const from =
+        req.query.from ||
+        new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+      if (to.getTime() - from.getTime() >= MAX_RANGE_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `Date range cannot be longer than ${MAX_RANGE_DAYS} days`,
+        });
+      }
+
+      const analytics = await getViewAnalytics({ from, to, type, limit });
+
+      res.json({
+        success: true,
+        data: {
+          range: {
+            from: from.toISOString().slice(0, 10),
+            to: to.toISOString().slice(0, 10),
+          },
+          ...analytics,
+        },
+      });
+    } catch (error) {
+      logger.error('Get view analytics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get view analytics',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuery, validateObjectId } = require('../middleware/validation');
+
+// Import models
+const AuditLog = require('../models/AuditLogModel');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const AUDITED_MODELS = [
+  'NewsArticle',
+  'NewsCategory',
+  'Tag',
+  'FAQ',
+  'TeamMember',
+  'ImpactMetric',
+  'SuccessStory',
+  'Contact',
+  'ContactSubmission',
+  'Collection',
+  'User',
+  'Role',
+];
+
+const auditQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  actor: Joi.string().hex().length(24).optional(),
+  action: Joi.string().max(50).optional(),
+  targetModel: Joi.string()
+    .valid(...AUDITED_MODELS)
+    .optional(),
+  targetId: Joi.string().hex().length(24).optional(),
+  field: Joi.string().max(100).optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .optional(),
+});
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of whoever made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. create, update, delete, approve
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *           enum: [NewsArticle, NewsCategory, Tag, FAQ, TeamMember, ImpactMetric, SuccessStory, Contact, ContactSubmission, Collection, User, Role]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Only entries that changed this field
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('audit:read'),
+  validateQuery(auditQuerySchema),
+  async (req, res) => {
+    try {
+      const { page, limit, ...filters } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = AuditLog.buildFilterQuery(filters);
+
+      const entries = await AuditLog.find(query)
+        .populate('actor', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await AuditLog.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          entries: entries.map((entry) => entry.adminData),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get audit log error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audit log',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/{id}:
+ *   get:
+ *     summary: Get an audit log entry by ID
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry retrieved successfully
+ *       404:
+ *         description: Audit log entry not found
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission('audit:read'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const entry = await AuditLog.findById(req.params.id).populate(
+        'actor',
+        'fullName email'
+      );
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Audit log entry not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          entry: entry.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Get audit log entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get audit log entry',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/UserModel');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const Session = require('../models/SessionModel');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateBody, validateObjectId } = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimit');
+const { userValidation } = require('../utils/validators');
+const { sendPasswordResetEmail } = require('../services/emailService');
+const {
+  createSession,
+  rotateRefreshToken,
+} = require('../services/tokenService');
 const logger = require('../utils/logger');
 
 /**
@@ -71,10 +79,8 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '24h',
-    });
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -87,6 +93,8 @@ router.post('/register', async (req, res) => {
           role: user.role,
         },
         token,
+        refreshToken,
+        expiresIn,
       },
     });
   } catch (error) {
@@ -159,10 +167,8 @@ router.post('/login', async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: '24h',
-    });
+    // Start a session for this device
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -175,6 +181,8 @@ router.post('/login', async (req, res) => {
           role: user.role,
         },
         token,
+        refreshToken,
+        expiresIn,
       },
     });
   } catch (error) {
@@ -186,6 +194,223 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single use; each call returns a new one. Replaying an old refresh token ends the session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post(
+  '/refresh',
+  validateBody(userValidation.refreshToken),
+  async (req, res) => {
+    try {
+      const result = await rotateRefreshToken(req.body.refreshToken, req);
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token',
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tokens refreshed successfully',
+        data: {
+          token: result.token,
+          refreshToken: result.refreshToken,
+          expiresIn: result.expiresIn,
+        },
+      });
+    } catch (error) {
+      logger.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refresh tokens',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.updateOne(
+        { _id: req.sessionId, userId: req.user._id },
+        { revokedAt: new Date() }
+      );
+    }
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out every device, including this one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions ended
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id);
+
+    logger.info(
+      `User logged out of all devices: ${req.user.email} (${result.modifiedCount} sessions)`
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      data: {
+        revokedSessions: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all devices',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) =>
+          session.getPublicData(req.sessionId)
+        ),
+      },
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: End one of my sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session ended
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/sessions/:id',
+  authenticateToken,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const session = await Session.findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        revokedAt: { $exists: false },
+      });
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found',
+        });
+      }
+
+      await session.revoke();
+
+      logger.info(`Session ${session._id} ended by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Session ended successfully',
+      });
+    } catch (error) {
+      logger.error('End session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to end session',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -211,6 +436,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
           fullName: req.user.fullName,
           role: req.user.role,
           lastLogin: req.user.lastLogin,
+          notificationPreferences: req.user.notificationPreferences,
+          profile: req.user.profile,
         },
       },
     });
@@ -223,6 +450,85 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/author-profile:
+ *   put:
+ *     summary: Update your public author profile
+ *     description: Shown on articles you are credited on and on your author page.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slug:
+ *                 type: string
+ *                 description: Author page slug; an empty string generates one from your name
+ *               bio:
+ *                 type: string
+ *                 description: Short biography (max 1000 characters)
+ *               photo:
+ *                 type: string
+ *                 description: Photo URL from file upload
+ *               socialLinks:
+ *                 type: object
+ *                 properties:
+ *                   website:
+ *                     type: string
+ *                   twitter:
+ *                     type: string
+ *                   linkedin:
+ *                     type: string
+ *                   facebook:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Author profile updated successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Slug already taken
+ */
+router.put(
+  '/author-profile',
+  authenticateToken,
+  validateBody(userValidation.authorProfile),
+  async (req, res) => {
+    try {
+      const { slug } = req.body;
+
+      if (slug && (await User.isProfileSlugTaken(slug, req.user._id))) {
+        return res.status(409).json({
+          success: false,
+          message: 'This author slug is already taken',
+        });
+      }
+
+      req.user.setAuthorProfile(req.body);
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: 'Author profile updated successfully',
+        data: {
+          profile: req.user.getAuthorProfile(),
+        },
+      });
+    } catch (error) {
+      logger.error('Update author profile error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update author profile',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/change-password:
@@ -256,10 +562,13 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
+    // req.user is loaded without the password hash
+    const user = await User.findById(req.user._id);
+
     // Verify current password
     const isValidPassword = await bcrypt.compare(
       currentPassword,
-      req.user.passwordHash
+      user.passwordHash
     );
     if (!isValidPassword) {
       return res.status(400).json({
@@ -272,13 +581,22 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     const salt = await bcrypt.genSalt(12);
     const hashedPassword = await bcrypt.hash(newPassword, salt);
 
-    // Update password
-    req.user.passwordHash = hashedPassword;
-    await req.user.save();
+    // Update password (invalidates tokens issued before now)
+    user.setPasswordHash(hashedPassword);
+    await user.save();
+
+    // Sign out every device, then start a fresh session for this one
+    await Session.revokeAllForUser(user._id);
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+      },
     });
   } catch (error) {
     logger.error('Change password error:', error);
@@ -289,6 +607,196 @@ router.post('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       429:
+ *         description: Too many attempts
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validateBody(userValidation.forgotPassword),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const user = await User.findByEmail(email);
+
+      // Same response whether or not the account exists
+      if (user && user.isActive) {
+        const resetToken = user.createPasswordResetToken();
+        await user.save();
+        await sendPasswordResetEmail(user.email, resetToken);
+
+        logger.info(`Password reset requested for ${user.email}`);
+      }
+
+      res.json({
+        success: true,
+        message:
+          'If an account exists for that email, a password reset link has been sent',
+      });
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to request password reset',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using an emailed token
+ *     description: Tokens expire after 1 hour and can only be used once. All existing sessions are signed out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ *       429:
+ *         description: Too many attempts
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  validateBody(userValidation.resetPassword),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const user = await User.findByPasswordResetToken(token);
+      if (!user || !user.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired reset token',
+        });
+      }
+
+      const salt = await bcrypt.genSalt(12);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      // Clears the reset token and invalidates outstanding JWTs
+      user.setPasswordHash(hashedPassword);
+      await user.save();
+      await Session.revokeAllForUser(user._id);
+
+      logger.info(`Password reset completed for ${user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in again.',
+      });
+    } catch (error) {
+      logger.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/notification-preferences:
+ *   put:
+ *     summary: Update email notification preferences (Content Manager + Admin)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contactMessages
+ *             properties:
+ *               contactMessages:
+ *                 type: string
+ *                 enum: [off, instant, daily]
+ *                 description: Email on new contact messages, once per message or as a daily digest
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *       400:
+ *         description: Invalid preference
+ */
+router.put(
+  '/notification-preferences',
+  authenticateToken,
+  requirePermission('tickets:read'),
+  async (req, res) => {
+    try {
+      const { contactMessages } = req.body;
+
+      if (!['off', 'instant', 'daily'].includes(contactMessages)) {
+        return res.status(400).json({
+          success: false,
+          message: 'contactMessages must be one of: off, instant, daily',
+        });
+      }
+
+      req.user.notificationPreferences.contactMessages = contactMessages;
+      await req.user.save();
+
+      res.json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: {
+          notificationPreferences: req.user.notificationPreferences,
+        },
+      });
+    } catch (error) {
+      logger.error('Update notification preferences error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update notification preferences',
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/users:
@@ -303,33 +811,38 @@ router.post('/change-password', authenticateToken, async (req, res) => {
  *       403:
  *         description: Insufficient permissions
  */
-router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const users = await User.find({})
-      .select('-passwordHash')
-      .sort({ createdAt: -1 });
+router.get(
+  '/users',
+  authenticateToken,
+  requirePermission('users:manage'),
+  async (req, res) => {
+    try {
+      const users = await User.find({})
+        .select('-passwordHash')
+        .sort({ createdAt: -1 });
 
-    res.json({
-      success: true,
-      data: {
-        users: users.map((user) => ({
-          _id: user._id,
-          email: user.email,
-          fullName: user.fullName,
-          role: user.role,
-          isActive: user.isActive,
-          lastLogin: user.lastLogin,
-          createdAt: user.createdAt,
-        })),
-      },
-    });
-  } catch (error) {
-    logger.error('Get users error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get users',
-    });
+      res.json({
+        success: true,
+        data: {
+          users: users.map((user) => ({
+            _id: user._id,
+            email: user.email,
+            fullName: user.fullName,
+            role: user.role,
+            isActive: user.isActive,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error('Get users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get users',
+      });
+    }
   }
-});
+);
 
 module.exports = router;
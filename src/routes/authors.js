@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { validatePagination } = require('../middleware/validation');
+const { resolveLocale } = require('../middleware/locale');
+
+// Import models
+const User = require('../models/UserModel');
+const NewsArticle = require('../models/NewsArticleModel');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const { authorUrl } = require('../utils/siteUrls');
+const logger = require('../utils/logger');
+
+/**
+ * @swagger
+ * /api/authors/{slug}:
+ *   get:
+ *     summary: Get an author's profile and the published articles they are credited on
+ *     description: >
+ *       Only users credited on at least one published article have a public
+ *       profile.
+ *     tags: [Authors]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
+ *     responses:
+ *       200:
+ *         description: Author and articles retrieved successfully, newest first
+ *       404:
+ *         description: Author not found
+ */
+router.get('/:slug', validatePagination, resolveLocale, async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const author = await User.findByProfileSlug(req.params.slug);
+    const query = author && { status: 'published', authors: author._id };
+    const total = author ? await NewsArticle.countDocuments(query) : 0;
+    if (total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const articles = await NewsArticle.find(query)
+      .populate('categoryId', 'name slug')
+      .populate('categoryIds', 'name slug')
+      .populate('tags', 'name slug')
+      .populate('authors', User.BYLINE_FIELDS)
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: {
+        author: {
+          ...author.getAuthorProfile(),
+          url: authorUrl(author),
+          articleCount: total,
+        },
+        articles: articles.map((article) => {
+          const localized = article.localize(req.locale);
+          return {
+            _id: article._id,
+            title: localized.title,
+            slug: article.slug,
+            description: localized.description,
+            locale: localized.locale,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            tags: article.tags,
+            authors: article.authors,
+            minToRead: article.minToRead,
+            featuredImage: article.featuredImage,
+            viewCount: article.viewCount,
+            publishedAt: article.publishedAt,
+          };
+        }),
+        pagination: createPagination(page, limit, total),
+      },
+    });
+  } catch (error) {
+    logger.error('Get author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get author',
+    });
+  }
+});
+
+module.exports = router;
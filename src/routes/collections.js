@@ -0,0 +1,706 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { resolveLocale } = require('../middleware/locale');
+const {
+  validateBody,
+  validateObjectId,
+  validatePagination,
+} = require('../middleware/validation');
+
+// Import models
+const Collection = require('../models/CollectionModel');
+const NewsArticle = require('../models/NewsArticleModel');
+
+// Import utilities
+const { collectionValidation } = require('../utils/validators');
+const {
+  createPagination,
+  escapeRegex,
+  generateSlug,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const COLLECTION_TYPES = ['series', 'collection'];
+
+// Reject titles whose slug would be empty or already used by another
+// collection. Sends the error response and returns null if so.
+const resolveCollectionSlug = async (title, res, excludeId) => {
+  const slug = generateSlug(title);
+  if (!slug) {
+    res.status(400).json({
+      success: false,
+      message: 'Title must contain letters or numbers',
+    });
+    return null;
+  }
+
+  const query = { slug };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  if (await Collection.exists(query)) {
+    res.status(409).json({
+      success: false,
+      message: 'A collection with this title already exists',
+    });
+    return null;
+  }
+
+  return slug;
+};
+
+// Check a collection's article IDs exist, dropping duplicates but keeping
+// the order. Sends a 400 and returns null if they don't.
+const resolveArticleIds = async (articles, res) => {
+  const ids = [...new Set(articles)];
+  const found = await NewsArticle.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more articles not found',
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+const localizedCollection = (collection, locale) => ({
+  ...collection.publicData,
+  ...collection.localize(locale),
+});
+
+// What a collection page shows of each article
+const articleSummary = (article, locale) => {
+  const localized = article.localize(locale);
+  return {
+    _id: article._id,
+    title: localized.title,
+    slug: article.slug,
+    description: localized.description,
+    locale: localized.locale,
+    category: article.categoryId,
+    categories: article.categoryIds,
+    authors: article.authors,
+    minToRead: article.minToRead,
+    featuredImage: article.featuredImage,
+    publishedAt: article.publishedAt,
+  };
+};
+
+// Public routes
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: Get published series and collections
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [series, collection]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully, most recently updated first
+ */
+router.get('/', validatePagination, resolveLocale, async (req, res) => {
+  try {
+    const { page, limit, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { isPublished: true };
+    if (COLLECTION_TYPES.includes(type)) {
+      query.type = type;
+    }
+
+    const collections = await Collection.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Collection.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        collections: collections.map((collection) =>
+          localizedCollection(collection, req.locale)
+        ),
+        pagination: createPagination(page, limit, total),
+      },
+    });
+  } catch (error) {
+    logger.error('Get collections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get collections',
+    });
+  }
+});
+
+// Admin routes
+/**
+ * @swagger
+ * /api/collections/admin/all:
+ *   get:
+ *     summary: Get all series and collections, including unpublished ones (News Editor + Admin)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for the title
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [series, collection]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ */
+router.get(
+  '/admin/all',
+  authenticateToken,
+  requirePermission('news:publish'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page, limit, type, search } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (COLLECTION_TYPES.includes(type)) {
+        query.type = type;
+      }
+      if (search) {
+        query.title = { $regex: escapeRegex(String(search)), $options: 'i' };
+      }
+
+      const collections = await Collection.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await Collection.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          collections: collections.map((collection) => collection.adminData),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get admin collections error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collections',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/collections/admin/{id}:
+ *   get:
+ *     summary: Get a series or collection with all its articles (News Editor + Admin)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *       404:
+ *         description: Collection not found
+ */
+router.get(
+  '/admin/:id',
+  authenticateToken,
+  requirePermission('news:publish'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const collection = await Collection.findById(req.params.id).populate(
+        'articles',
+        'title slug status publishedAt'
+      );
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          collection: collection.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Get admin collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/collections/{slug}:
+ *   get:
+ *     summary: Get a published series or collection and its articles
+ *     description: Articles are listed in the collection's order; unpublished ones are left out.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/:slug', resolveLocale, async (req, res) => {
+  try {
+    const collection = await Collection.findPublishedBySlug(req.params.slug);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    const articles = await Collection.getPublishedArticles(collection);
+
+    res.json({
+      success: true,
+      data: {
+        collection: localizedCollection(collection, req.locale),
+        articles: articles.map((article) =>
+          articleSummary(article, req.locale)
+        ),
+      },
+    });
+  } catch (error) {
+    logger.error('Get collection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get collection',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{slug}/articles/{articleSlug}:
+ *   get:
+ *     summary: Get an article's place in a series, with the previous and next parts
+ *     description: Positions count only published articles.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: articleSlug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
+ *     responses:
+ *       200:
+ *         description: Navigation retrieved successfully
+ *       404:
+ *         description: Collection not found, or the article is not in it
+ */
+router.get('/:slug/articles/:articleSlug', resolveLocale, async (req, res) => {
+  try {
+    const collection = await Collection.findPublishedBySlug(req.params.slug);
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found',
+      });
+    }
+
+    const articles = await Collection.getPublishedArticles(collection);
+    const index = articles.findIndex(
+      (article) => article.slug === req.params.articleSlug.toLowerCase()
+    );
+    if (index === -1) {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found in this collection',
+      });
+    }
+
+    const previous = articles[index - 1];
+    const next = articles[index + 1];
+
+    res.json({
+      success: true,
+      data: {
+        collection: localizedCollection(collection, req.locale),
+        article: articleSummary(articles[index], req.locale),
+        position: index + 1,
+        total: articles.length,
+        previous: previous ? articleSummary(previous, req.locale) : null,
+        next: next ? articleSummary(next, req.locale) : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Get collection navigation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get collection navigation',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections:
+ *   post:
+ *     summary: Create a series or collection (News Editor + Admin)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [series, collection]
+ *                 default: collection
+ *               coverImage:
+ *                 type: string
+ *                 description: Cover image URL from file upload
+ *               articles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Article IDs in reading order (up to 100)
+ *               isPublished:
+ *                 type: boolean
+ *                 default: false
+ *               translations:
+ *                 type: object
+ *                 description: >
+ *                   Title and description per locale, e.g.
+ *                   { ha: { title, description } }
+ *     responses:
+ *       201:
+ *         description: Collection created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A collection with this title already exists
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission('news:publish'),
+  validateBody(collectionValidation.create),
+  auditTrail(Collection, 'create'),
+  async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        type,
+        coverImage,
+        articles,
+        isPublished,
+        translations,
+      } = req.body;
+
+      const slug = await resolveCollectionSlug(title, res);
+      if (!slug) return;
+
+      const articleIds = await resolveArticleIds(articles, res);
+      if (!articleIds) return;
+
+      const collection = new Collection({
+        title,
+        slug,
+        description: description || undefined,
+        type,
+        coverImage: coverImage || undefined,
+        articles: articleIds,
+        isPublished,
+        createdBy: req.user._id,
+      });
+      collection.setTranslations(translations);
+      await collection.save();
+
+      logger.info(
+        `Collection created: ${collection.title} by ${req.user.email}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Collection created successfully',
+        data: {
+          collection: collection.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Create collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create collection',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   put:
+ *     summary: Update a series or collection (News Editor + Admin)
+ *     description: >
+ *       Renaming a collection changes its slug. articles replaces the whole
+ *       list, so send it in the new order to reorder.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [series, collection]
+ *               coverImage:
+ *                 type: string
+ *               articles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Article IDs in reading order (up to 100)
+ *               isPublished:
+ *                 type: boolean
+ *               translations:
+ *                 type: object
+ *                 description: >
+ *                   Title and description per locale; an empty string
+ *                   removes a translation
+ *     responses:
+ *       200:
+ *         description: Collection updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: A collection with this title already exists
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  requirePermission('news:publish'),
+  validateObjectId('id'),
+  validateBody(collectionValidation.update),
+  auditTrail(Collection, 'update'),
+  async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        type,
+        coverImage,
+        articles,
+        isPublished,
+        translations,
+      } = req.body;
+
+      const collection = await Collection.findById(req.params.id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found',
+        });
+      }
+
+      if (title) {
+        const slug = await resolveCollectionSlug(title, res, collection._id);
+        if (!slug) return;
+        collection.title = title;
+        collection.slug = slug;
+      }
+      if (articles !== undefined) {
+        const articleIds = await resolveArticleIds(articles, res);
+        if (!articleIds) return;
+        collection.articles = articleIds;
+      }
+      if (description !== undefined)
+        collection.description = description || undefined;
+      if (type !== undefined) collection.type = type;
+      if (coverImage !== undefined)
+        collection.coverImage = coverImage || undefined;
+      if (isPublished !== undefined) collection.isPublished = isPublished;
+      collection.setTranslations(translations);
+      collection.updatedBy = req.user._id;
+
+      await collection.save();
+
+      logger.info(
+        `Collection updated: ${collection.title} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Collection updated successfully',
+        data: {
+          collection: collection.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Update collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update collection',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   delete:
+ *     summary: Delete a series or collection; its articles are kept (News Editor + Admin)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Collection deleted successfully
+ *       404:
+ *         description: Collection not found
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  requirePermission('news:publish'),
+  validateObjectId('id'),
+  auditTrail(Collection, 'delete'),
+  async (req, res) => {
+    try {
+      const collection = await Collection.findByIdAndDelete(req.params.id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found',
+        });
+      }
+
+      logger.info(
+        `Collection deleted: ${collection.title} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Collection deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete collection',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 const Joi = require('joi');
 
 // Import middleware
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const {
   validateBody,
   validateObjectId,
@@ -12,6 +13,12 @@ const {
 
 // Import models
 const Contact = require('../models/ContactModel');
+const ContactSubmission = require('../models/ContactSubmissionModel');
+
+// Import services
+const {
+  notifyNewContactSubmission,
+} = require('../services/notificationService');
 
 // Import utilities
 const { createPagination } = require('../utils/helpers');
@@ -46,6 +53,19 @@ const contactValidation = {
       'string.max': 'Message cannot exceed 2000 characters',
       'any.required': 'Message is required',
     }),
+    category: Joi.string()
+      .valid(
+        'general_inquiry',
+        'zakkat_payment',
+        'waqf_establishment',
+        'technical_support',
+        'other'
+      )
+      .optional()
+      .messages({
+        'any.only':
+          'Category must be one of: general_inquiry, zakkat_payment, waqf_establishment, technical_support, other',
+      }),
   }),
   updateStatus: Joi.object({
     status: Joi.string()
@@ -88,37 +108,64 @@ const contactValidation = {
  *                 type: string
  *               message:
  *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [general_inquiry, zakkat_payment, waqf_establishment, technical_support, other]
  *     responses:
  *       201:
  *         description: Contact message submitted successfully
  */
-router.post('/', validateBody(contactValidation.create), async (req, res) => {
-  try {
-    const contactData = {
-      ...req.body,
-      ipAddress: req.ip || req.connection.remoteAddress,
-      userAgent: req.get('User-Agent'),
-    };
-
-    const contact = new Contact(contactData);
-    await contact.save();
-
-    logger.info(
-      `Contact message submitted: ${contact.fullName} (${contact.email})`
-    );
-
-    res.status(201).json({
-      success: true,
-      message: 'Thank you for your message. We will get back to you soon!',
-    });
-  } catch (error) {
-    logger.error('Submit contact message error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to submit message. Please try again later.',
-    });
+router.post(
+  '/',
+  validateBody(contactValidation.create),
+  auditTrail(Contact, 'create'),
+  async (req, res) => {
+    try {
+      const { category, ...messageData } = req.body;
+      const contactData = {
+        ...messageData,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent'),
+      };
+
+      const contact = new Contact(contactData);
+      await contact.save();
+      res.locals.auditTargetId = contact._id;
+
+      // Open a helpdesk ticket for the message. The message is already
+      // saved, so a failure here must not invite the sender to resubmit;
+      // migrate:contact-tickets picks up messages left without one.
+      try {
+        const ticket = await ContactSubmission.create(
+          ContactSubmission.fromContact(contact, category)
+        );
+
+        // Notify admins without holding up the response
+        notifyNewContactSubmission(ticket);
+      } catch (error) {
+        logger.error(
+          `Create ticket error for contact message ${contact._id}:`,
+          error
+        );
+      }
+
+      logger.info(
+        `Contact message submitted: ${contact.fullName} (${contact.email})`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Thank you for your message. We will get back to you soon!',
+      });
+    } catch (error) {
+      logger.error('Submit contact message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit message. Please try again later.',
+      });
+    }
   }
-});
+);
 
 // Protected routes (Admin only)
 /**
@@ -156,7 +203,7 @@ router.post('/', validateBody(contactValidation.create), async (req, res) => {
 router.get(
   '/',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:read'),
   validatePagination,
   async (req, res) => {
     try {
@@ -204,7 +251,7 @@ router.get(
 router.get(
   '/:id',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:read'),
   validateObjectId('id'),
   async (req, res) => {
     try {
@@ -251,25 +298,30 @@ router.get(
  *       200:
  *         description: Unread contact messages retrieved successfully
  */
-router.get('/unread', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const unreadContacts = await Contact.findUnread();
-
-    res.json({
-      success: true,
-      data: {
-        unreadContacts: unreadContacts.map((contact) => contact.adminData),
-        count: unreadContacts.length,
-      },
-    });
-  } catch (error) {
-    logger.error('Get unread contact messages error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get unread contact messages',
-    });
+router.get(
+  '/unread',
+  authenticateToken,
+  requirePermission('contact:read'),
+  async (req, res) => {
+    try {
+      const unreadContacts = await Contact.findUnread();
+
+      res.json({
+        success: true,
+        data: {
+          unreadContacts: unreadContacts.map((contact) => contact.adminData),
+          count: unreadContacts.length,
+        },
+      });
+    } catch (error) {
+      logger.error('Get unread contact messages error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unread contact messages',
+      });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -304,9 +356,10 @@ router.get('/unread', authenticateToken, requireAdmin, async (req, res) => {
 router.put(
   '/:id/status',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:write'),
   validateObjectId('id'),
   validateBody(contactValidation.updateStatus),
+  auditTrail(Contact, 'update_status'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -365,8 +418,9 @@ router.put(
 router.post(
   '/:id/mark-read',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:write'),
   validateObjectId('id'),
+  auditTrail(Contact, 'mark_read'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -423,8 +477,9 @@ router.post(
 router.post(
   '/:id/mark-replied',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:write'),
   validateObjectId('id'),
+  auditTrail(Contact, 'mark_replied'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -481,8 +536,9 @@ router.post(
 router.post(
   '/:id/archive',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:write'),
   validateObjectId('id'),
+  auditTrail(Contact, 'archive'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -539,8 +595,9 @@ router.post(
 router.delete(
   '/:id',
   authenticateToken,
-  requireAdmin,
+  requirePermission('contact:delete'),
   validateObjectId('id'),
+  auditTrail(Contact, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -3,10 +3,9 @@ const router = express.Router();
 const Joi = require('joi');
 
 // Import middleware
-const {
-  authenticateToken,
-  requireContentManager,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { resolveLocale } = require('../middleware/locale');
 const {
   validateBody,
   validateObjectId,
@@ -16,8 +15,12 @@ const {
 // Import models
 const FAQ = require('../models/FAQModel');
 
+// Import services
+const { recordView } = require('../services/viewAnalyticsService');
+
 // Import utilities
 const { createPagination } = require('../utils/helpers');
+const { translationsSchema } = require('../utils/validators');
 const logger = require('../utils/logger');
 
 // Validation schemas
@@ -42,6 +45,7 @@ const faqValidation = {
       }),
     isFeatured: Joi.boolean().optional(),
     orderIndex: Joi.number().integer().min(0).optional(),
+    translations: translationsSchema({ question: 500, answer: 2000 }),
   }),
   update: Joi.object({
     question: Joi.string().min(10).max(500).optional().messages({
@@ -61,9 +65,16 @@ const faqValidation = {
     isActive: Joi.boolean().optional(),
     isFeatured: Joi.boolean().optional(),
     orderIndex: Joi.number().integer().min(0).optional(),
+    translations: translationsSchema({ question: 500, answer: 2000 }),
   }),
 };
 
+// Public data with the question and answer in the reader's language
+const localizedFaq = (faq, locale) => ({
+  ...faq.publicData,
+  ...faq.localize(locale),
+});
+
 // Public routes
 /**
  * @swagger
@@ -95,11 +106,17 @@ const faqValidation = {
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: FAQs retrieved successfully
  */
-router.get('/', validatePagination, async (req, res) => {
+router.get('/', validatePagination, resolveLocale, async (req, res) => {
   try {
     const { page, limit, category, featured, search } = req.query;
 
@@ -110,7 +127,7 @@ router.get('/', validatePagination, async (req, res) => {
     res.json({
       success: true,
       data: {
-        faqs: faqs.map((faq) => faq.publicData),
+        faqs: faqs.map((faq) => localizedFaq(faq, req.locale)),
         pagination: createPagination(page, limit, total),
       },
     });
@@ -135,11 +152,17 @@ router.get('/', validatePagination, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: FAQ retrieved successfully
  */
-router.get('/:id', validateObjectId('id'), async (req, res) => {
+router.get('/:id', validateObjectId('id'), resolveLocale, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -151,13 +174,14 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
       });
     }
 
-    // Increment view count
-    await faq.incrementViewCount();
+    if (await recordView(req, 'faq', faq)) {
+      faq.viewCount += 1;
+    }
 
     res.json({
       success: true,
       data: {
-        faq: faq.publicData,
+        faq: localizedFaq(faq, req.locale),
       },
     });
   } catch (error) {
@@ -208,18 +232,25 @@ router.get('/categories', async (req, res) => {
  *   get:
  *     summary: Get featured FAQs (Public)
  *     tags: [FAQ]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Featured FAQs retrieved successfully
  */
-router.get('/featured', async (req, res) => {
+router.get('/featured', resolveLocale, async (req, res) => {
   try {
     const faqs = await FAQ.findFeatured();
 
     res.json({
       success: true,
       data: {
-        faqs: faqs.map((faq) => faq.publicData),
+        faqs: faqs.map((faq) => localizedFaq(faq, req.locale)),
       },
     });
   } catch (error) {
@@ -262,6 +293,9 @@ router.get('/featured', async (req, res) => {
  *                 type: boolean
  *               orderIndex:
  *                 type: number
+ *               translations:
+ *                 type: object
+ *                 description: Question and answer per locale, e.g. { ha: { question, answer } }
  *     responses:
  *       201:
  *         description: FAQ created successfully
@@ -269,16 +303,19 @@ router.get('/featured', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
-  requireContentManager,
+  requirePermission('faq:write'),
   validateBody(faqValidation.create),
+  auditTrail(FAQ, 'create'),
   async (req, res) => {
     try {
+      const { translations, ...fields } = req.body;
       const faqData = {
-        ...req.body,
+        ...fields,
         createdBy: req.user.id,
       };
 
       const faq = new FAQ(faqData);
+      faq.setTranslations(translations);
       await faq.save();
 
       logger.info(`FAQ created: ${faq.question} by ${req.user.email}`);
@@ -321,9 +358,10 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('faq:write'),
   validateObjectId('id'),
   validateBody(faqValidation.update),
+  auditTrail(FAQ, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -336,7 +374,9 @@ router.put(
         });
       }
 
-      Object.assign(faq, req.body, { updatedBy: req.user.id });
+      const { translations, ...updates } = req.body;
+      Object.assign(faq, updates, { updatedBy: req.user.id });
+      faq.setTranslations(translations);
       await faq.save();
 
       logger.info(`FAQ updated: ${faq.question} by ${req.user.email}`);
@@ -379,8 +419,9 @@ router.put(
 router.delete(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('faq:write'),
   validateObjectId('id'),
+  auditTrail(FAQ, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -432,8 +473,9 @@ router.delete(
 router.post(
   '/:id/toggle-featured',
   authenticateToken,
-  requireContentManager,
+  requirePermission('faq:write'),
   validateObjectId('id'),
+  auditTrail(FAQ, 'toggle_featured'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -490,8 +532,9 @@ router.post(
 router.post(
   '/:id/toggle-active',
   authenticateToken,
-  requireContentManager,
+  requirePermission('faq:write'),
   validateObjectId('id'),
+  auditTrail(FAQ, 'toggle_active'),
   async (req, res) => {
     try {
       const { id } = req.params;
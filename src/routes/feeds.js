@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const NewsArticle = require('../models/NewsArticleModel');
+const NewsCategory = require('../models/NewsCategoryModel');
+const User = require('../models/UserModel');
+
+// Import services
+const {
+  FEED_FORMATS,
+  getFeedValidators,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+} = require('../services/feedService');
+
+// Import utilities
+const { siteUrl, apiUrl, categoryUrl } = require('../utils/siteUrls');
+const logger = require('../utils/logger');
+
+// Number of latest articles in each feed
+const FEED_SIZE = 50;
+
+// Let readers and proxies reuse a feed for a few minutes before revalidating
+const FEED_MAX_AGE_SECONDS = 300;
+
+// Render the latest published articles matching a query in the requested
+// format, answering 304 when the reader's copy is still current
+const sendNewsFeed = async (req, res, feed) => {
+  const { format } = req.params;
+  if (!Object.hasOwn(FEED_FORMATS, format)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Feed not found',
+    });
+  }
+
+  const articles = await NewsArticle.find({
+    status: 'published',
+    ...feed.query,
+  })
+    .populate('categoryId', 'name slug')
+    .populate('tags', 'name slug')
+    .populate('authorId', 'fullName')
+    .populate('authors', User.BYLINE_FIELDS)
+    .sort({ publishedAt: -1 })
+    .limit(FEED_SIZE);
+
+  const { etag, lastModified } = getFeedValidators(
+    format,
+    articles,
+    feed.updatedAt
+  );
+  res.set('Cache-Control', `public, max-age=${FEED_MAX_AGE_SECONDS}`);
+  res.set('ETag', etag);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const details = {
+    ...feed,
+    baseUrl: apiUrl(''),
+    selfUrl: apiUrl(req.originalUrl.split('?')[0]),
+  };
+
+  res.type(FEED_FORMATS[format]);
+  if (format === 'json') {
+    return res.send(JSON.stringify(buildJsonFeed(details, articles)));
+  }
+  res.send(
+    format === 'rss'
+      ? buildRssFeed(details, articles)
+      : buildAtomFeed(details, articles)
+  );
+};
+
+/**
+ * @swagger
+ * /feeds/news.{format}:
+ *   get:
+ *     summary: Feed of the latest published news articles
+ *     description: >
+ *       The 50 most recently published articles as RSS 2.0, Atom 1.0 or JSON
+ *       Feed 1.1, with featured images as enclosures. Supports conditional
+ *       requests through ETag and Last-Modified.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom, json]
+ *     responses:
+ *       200:
+ *         description: Feed document
+ *       304:
+ *         description: Feed unchanged since the reader's copy
+ *       404:
+ *         description: Unknown feed format
+ */
+router.get('/news.:format', async (req, res) => {
+  try {
+    await sendNewsFeed(req, res, {
+      title: 'Kazwab News',
+      description: 'The latest news from Kazwab',
+      link: siteUrl('/news'),
+      query: {},
+    });
+  } catch (error) {
+    logger.error('News feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build feed',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /feeds/news/category/{slug}.{format}:
+ *   get:
+ *     summary: Feed of the latest published articles in a category
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [rss, atom, json]
+ *     responses:
+ *       200:
+ *         description: Feed document
+ *       304:
+ *         description: Feed unchanged since the reader's copy
+ *       404:
+ *         description: Category not found or unknown feed format
+ */
+router.get('/news/category/:slug.:format', async (req, res) => {
+  try {
+    const category = await NewsCategory.findBySlug(req.params.slug);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    await sendNewsFeed(req, res, {
+      title: `Kazwab News: ${category.name}`,
+      description:
+        category.description || `The latest ${category.name} news from Kazwab`,
+      link: categoryUrl(category),
+      query: { categoryIds: category._id },
+      updatedAt: category.updatedAt,
+    });
+  } catch (error) {
+    logger.error('Category feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build feed',
+    });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const {
-  authenticateToken,
-  requireContentManager,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const {
   validateBody,
   validateObjectId,
@@ -149,8 +147,9 @@ router.get('/success-stories', validatePagination, async (req, res) => {
 router.post(
   '/',
   authenticateToken,
-  requireContentManager,
+  requirePermission('metrics:write'),
   validateBody(impactMetricValidation.create),
+  auditTrail(ImpactMetric, 'create'),
   async (req, res) => {
     try {
       const metric = new ImpactMetric(req.body);
@@ -198,9 +197,10 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('metrics:write'),
   validateObjectId('id'),
   validateBody(impactMetricValidation.update),
+  auditTrail(ImpactMetric, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -258,8 +258,9 @@ router.put(
 router.delete(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('metrics:write'),
   validateObjectId('id'),
+  auditTrail(ImpactMetric, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -334,8 +335,9 @@ router.delete(
 router.post(
   '/success-stories',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateBody(successStoryValidation.create),
+  auditTrail(SuccessStory, 'create'),
   async (req, res) => {
     try {
       const story = new SuccessStory(req.body);
@@ -381,9 +383,10 @@ router.post(
 router.put(
   '/success-stories/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
   validateBody(successStoryValidation.update),
+  auditTrail(SuccessStory, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -439,8 +442,9 @@ router.put(
 router.delete(
   '/success-stories/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -492,8 +496,9 @@ router.delete(
 router.post(
   '/success-stories/:id/verify',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'verify'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -550,8 +555,9 @@ router.post(
 router.post(
   '/success-stories/:id/toggle-featured',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'toggle_featured'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -591,7 +597,7 @@ router.post(
 router.post(
   '/success-stories/upload-image',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   uploadSingleFile,
   handleUploadError,
   async (req, res) => {
@@ -3,17 +3,33 @@ const mongoose = require('mongoose');
 const router = express.Router();
 
 // Import middleware
-const {
-  authenticateToken,
-  requireNewsEditor,
-  requireAdmin,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { validateQuery } = require('../middleware/validation');
+const { resolveLocale } = require('../middleware/locale');
 
 // Import models
 const NewsArticle = require('../models/NewsArticleModel');
 const NewsCategory = require('../models/NewsCategoryModel');
+const ArticleRevision = require('../models/ArticleRevisionModel');
+const ArticleReviewComment = require('../models/ArticleReviewCommentModel');
+const Collection = require('../models/CollectionModel');
+const Tag = require('../models/TagModel');
+const User = require('../models/UserModel');
+
+// Import services
+const { buildArticleSeo } = require('../services/seoService');
+const { recordView } = require('../services/viewAnalyticsService');
 
 // Import utilities
+const { queryValidation } = require('../utils/validators');
+const {
+  escapeRegex,
+  extractSearchTerms,
+  highlightSnippet,
+  renderContent,
+} = require('../utils/helpers');
+const { articleUrl } = require('../utils/siteUrls');
 const logger = require('../utils/logger');
 
 // Error handling utility
@@ -56,6 +72,196 @@ const handleError = (error, res, operation = 'operation') => {
   });
 };
 
+// Validate the time a scheduled article should go live
+const parsePublishAt = (publishAt) => {
+  if (publishAt === undefined || publishAt === null || publishAt === '') {
+    return { error: 'publishAt is required to schedule an article' };
+  }
+
+  const date = new Date(publishAt);
+  if (isNaN(date.getTime())) {
+    return { error: 'Invalid publishAt date' };
+  }
+  if (date <= new Date()) {
+    return { error: 'publishAt must be in the future' };
+  }
+
+  return { publishAt: date };
+};
+
+// Check an article's tag IDs exist, dropping duplicates. Sends a 400 and
+// returns null if they don't.
+const resolveTagIds = async (tags, res) => {
+  const ids = Array.isArray(tags) ? [...new Set(tags.map(String))] : null;
+  if (
+    !ids ||
+    ids.length > NewsArticle.MAX_TAGS ||
+    !ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Tags must be a list of up to ${NewsArticle.MAX_TAGS} tag IDs`,
+    });
+    return null;
+  }
+
+  const found = await Tag.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more tags not found',
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+// Check the extra categories an article is listed under exist, dropping
+// duplicates. Sends a 400 and returns null if they don't.
+const resolveCategoryIds = async (categoryIds, res) => {
+  const ids = Array.isArray(categoryIds)
+    ? [...new Set(categoryIds.map(String))]
+    : null;
+  if (
+    !ids ||
+    ids.length > NewsArticle.MAX_CATEGORIES ||
+    !ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Categories must be a list of up to ${NewsArticle.MAX_CATEGORIES} category IDs`,
+    });
+    return null;
+  }
+
+  const found = await NewsCategory.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more categories not found',
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+// Check the users credited on an article exist and are active, dropping
+// duplicates. Sends a 400 and returns null if they don't.
+const resolveAuthorIds = async (authors, res) => {
+  const ids = Array.isArray(authors) ? [...new Set(authors.map(String))] : null;
+  if (
+    !ids ||
+    ids.length === 0 ||
+    ids.length > NewsArticle.MAX_AUTHORS ||
+    !ids.every((id) => mongoose.Types.ObjectId.isValid(id))
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Authors must be a list of 1 to ${NewsArticle.MAX_AUTHORS} user IDs`,
+    });
+    return null;
+  }
+
+  const found = await User.countDocuments({
+    _id: { $in: ids },
+    isActive: true,
+  });
+  if (found !== ids.length) {
+    res.status(400).json({
+      success: false,
+      message: 'One or more authors not found',
+    });
+    return null;
+  }
+
+  return ids;
+};
+
+// Answer a request for a retired slug with a 301 pointing at the article's
+// current slug. Returns false, sending nothing, if no article used the slug.
+const sendSlugRedirect = async (req, res, slug, pathFor) => {
+  const article = await NewsArticle.findByPreviousSlug(slug);
+  if (!article) {
+    return false;
+  }
+
+  const location = `${req.baseUrl}${pathFor(article.slug)}`;
+  res
+    .status(301)
+    .location(location)
+    .json({
+      success: true,
+      message: 'Article has moved to a new address',
+      data: {
+        slug: article.slug,
+        location,
+        url: articleUrl(article),
+      },
+    });
+  return true;
+};
+
+// An article's text in a locale for public responses. Only the sanitized
+// body is served; the raw source stays on the editor endpoints. Articles
+// not yet migrated are rendered on the fly.
+const localizePublic = (article, locale) => {
+  const { content, ...localized } = article.localize(locale);
+  if (localized.contentHtml === undefined) {
+    localized.contentHtml = renderContent(content, article.contentFormat);
+  }
+  return localized;
+};
+
+// Only approved articles may go live
+const sendNotApproved = (res, article) =>
+  res.status(409).json({
+    success: false,
+    message: 'Only approved articles can be published',
+    data: {
+      reviewStatus: article.reviewStatus,
+    },
+  });
+
+// Load an article for a state change, checking the user may manage it.
+// Sends the error response and returns null if not.
+const findManageableArticle = async (req, res, verb) => {
+  const article = await NewsArticle.findById(req.params.id);
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      message: 'Article not found',
+    });
+    return null;
+  }
+
+  if (
+    article.authorId.toString() !== req.user._id.toString() &&
+    !(await req.user.hasPermission('news:manage_any'))
+  ) {
+    res.status(403).json({
+      success: false,
+      message: `You can only ${verb} your own articles`,
+    });
+    return null;
+  }
+
+  return article;
+};
+
+// Summary returned after a publishing state change
+const formatStateChange = (article) => ({
+  _id: article._id,
+  title: article.title,
+  slug: article.slug,
+  status: article.status,
+  publishAt: article.publishAt,
+  reviewStatus: article.reviewStatus,
+  publishedAt: article.publishedAt,
+  updatedAt: article.updatedAt,
+});
+
 // Public routes
 /**
  * @swagger
@@ -80,7 +286,19 @@ const handleError = (error, res, operation = 'operation') => {
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category ID
+ *         description: Filter by category ID, matching articles listed under it; comma-separate several to match any of them
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Filter by tag slugs, comma-separated
+ *       - in: query
+ *         name: tagMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether articles need any or all of the given tags
  *       - in: query
  *         name: featured
  *         schema:
@@ -90,16 +308,26 @@ const handleError = (error, res, operation = 'operation') => {
  *         name: search
  *         schema:
  *           type: string
- *         description: Search term for article title or description
+ *         description: >
+ *           Substring match on title or description; use /api/news/search
+ *           for ranked full-text search
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Articles retrieved successfully
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveLocale, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const category = req.query.category;
+    const tags = req.query.tags;
+    const tagMatch = req.query.tagMatch === 'all' ? 'all' : 'any';
     const featured = req.query.featured;
     const search = req.query.search || '';
     const skip = (page - 1) * limit;
@@ -109,30 +337,50 @@ router.get('/', async (req, res) => {
 
     // Category filter with ObjectId validation
     if (category) {
-      // Validate if category is a valid ObjectId
-      if (!mongoose.Types.ObjectId.isValid(category)) {
+      const categoryIds = String(category).split(',').filter(Boolean);
+      // Validate if every category is a valid ObjectId
+      if (!categoryIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid category ID format',
         });
       }
-      query.categoryId = new mongoose.Types.ObjectId(category);
+      query.categoryIds = {
+        $in: categoryIds.map((id) => new mongoose.Types.ObjectId(id)),
+      };
+    }
+
+    // Tag filter by slug; unknown slugs match nothing
+    if (tags) {
+      const slugs = [
+        ...new Set(String(tags).toLowerCase().split(',').filter(Boolean)),
+      ];
+      const tagIds = await Tag.find({ slug: { $in: slugs } }).distinct('_id');
+      if (tagMatch === 'all' && tagIds.length < slugs.length) {
+        query.tags = { $in: [] };
+      } else {
+        query.tags = tagMatch === 'all' ? { $all: tagIds } : { $in: tagIds };
+      }
     }
 
     if (featured === 'true') query.isFeatured = true;
 
     // Add search filter
     if (search) {
+      const pattern = escapeRegex(String(search));
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
       ];
     }
 
     // Get articles
     const articles = await NewsArticle.find(query)
       .populate('categoryId', 'name slug')
+      .populate('categoryIds', 'name slug')
+      .populate('tags', 'name slug')
       .populate('authorId', 'fullName')
+      .populate('authors', User.BYLINE_FIELDS)
       .sort({ publishedAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -146,18 +394,19 @@ router.get('/', async (req, res) => {
       data: {
         articles: articles.map((article) => ({
           _id: article._id,
-          title: article.title,
+          ...localizePublic(article, req.locale),
           slug: article.slug,
-          description: article.description,
-          content: article.content,
           categoryId: article.categoryId,
           category: article.categoryId,
+          categories: article.categoryIds,
+          tags: article.tags,
           minToRead: article.minToRead,
           postLink: article.postLink,
           featuredImage: article.featuredImage,
           isFeatured: article.isFeatured,
           viewCount: article.viewCount,
           author: article.authorId,
+          authors: article.authors,
           publishedAt: article.publishedAt,
           createdAt: article.createdAt,
         })),
@@ -180,6 +429,172 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/news/search:
+ *   get:
+ *     summary: Full-text search of published articles
+ *     description: >
+ *       Matches whole words (with stemming) in the title, description and
+ *       content, ranked by relevance. Title matches weigh most. Supports
+ *       "quoted phrases" and -excluded words.
+ *     tags: [News]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter results by category ID (facet counts ignore it)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: >
+ *           Results with relevance scores, snippets with matches wrapped in
+ *           <mark> tags, and match counts per category
+ *       400:
+ *         description: Validation error
+ */
+router.get(
+  '/search',
+  validateQuery(queryValidation.newsSearch),
+  async (req, res) => {
+    try {
+      const { q, category, page, limit } = req.query;
+
+      const { articles, total, categories } = await NewsArticle.searchPublished(
+        q,
+        { categoryId: category, page, limit }
+      );
+      const terms = extractSearchTerms(q);
+      const totalPages = Math.ceil(total / limit);
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          articles: articles.map((article) => ({
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            description: article.description,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            author: article.authorId,
+            authors: article.authors,
+            featuredImage: article.featuredImage,
+            minToRead: article.minToRead,
+            publishedAt: article.publishedAt,
+            score: article.score,
+            highlights: {
+              title: highlightSnippet(article.title, terms, 200),
+              description: highlightSnippet(article.description, terms, 300),
+              content: highlightSnippet(
+                article.contentHtml || article.content,
+                terms,
+                200
+              ),
+            },
+          })),
+          facets: {
+            categories,
+          },
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Search articles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search articles',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/seo/{slug}:
+ *   get:
+ *     summary: Get SEO metadata for a published article
+ *     description: >
+ *       Meta tags, Open Graph and Twitter card properties, and JSON-LD
+ *       NewsArticle structured data, for server-side rendering. Unset SEO
+ *       fields are filled with defaults from the article.
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: SEO metadata retrieved successfully
+ *       301:
+ *         description: Article moved to a new slug
+ *       404:
+ *         description: Article not found
+ */
+router.get('/seo/:slug', async (req, res) => {
+  try {
+    const article = await NewsArticle.findBySlug(req.params.slug)
+      .populate('categoryId', 'name slug')
+      .populate('tags', 'name slug')
+      .populate('authorId', 'fullName')
+      .populate('authors', User.BYLINE_FIELDS);
+
+    if (!article) {
+      if (
+        await sendSlugRedirect(
+          req,
+          res,
+          req.params.slug,
+          (current) => `/seo/${current}`
+        )
+      ) {
+        return;
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildArticleSeo(article, `${req.protocol}://${req.get('host')}`),
+    });
+  } catch (error) {
+    logger.error('Get article SEO error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get article SEO metadata',
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/news/categories:
@@ -218,7 +633,7 @@ router.get('/categories', async (req, res) => {
     // Build query
     const query = { isActive: true };
     if (search) {
-      query.name = { $regex: search, $options: 'i' };
+      query.name = { $regex: escapeRegex(String(search)), $options: 'i' };
     }
 
     // Get total count
@@ -262,11 +677,92 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// Build a handler listing the signed-in editor's articles in one state
+const listArticlesByStatus = (status, sort) => async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const search = req.query.search || '';
+    const skip = (page - 1) * limit;
+
+    const query = {
+      authorId: req.user._id,
+      status,
+    };
+
+    // Users who manage all articles see every article in this state
+    if (await req.user.hasPermission('news:manage_any')) {
+      delete query.authorId;
+    }
+
+    // Add search filter
+    if (search) {
+      query.title = { $regex: escapeRegex(String(search)), $options: 'i' };
+    }
+
+    const articles = await NewsArticle.find(query)
+      .populate('categoryId', 'name slug')
+      .populate('categoryIds', 'name slug')
+      .populate('authorId', 'fullName')
+      .populate('authors', User.BYLINE_FIELDS)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await NewsArticle.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        articles: articles.map((article) => ({
+          _id: article._id,
+          title: article.title,
+          slug: article.slug,
+          description: article.description,
+          content: article.content,
+          contentFormat: article.contentFormat,
+          contentHtml: article.contentHtml,
+          categoryId: article.categoryId,
+          category: article.categoryId,
+          categories: article.categoryIds,
+          minToRead: article.minToRead,
+          postLink: article.postLink,
+          featuredImage: article.featuredImage,
+          isFeatured: article.isFeatured,
+          status: article.status,
+          publishAt: article.publishAt,
+          reviewStatus: article.reviewStatus,
+          author: article.authorId,
+          authors: article.authors,
+          createdAt: article.createdAt,
+          updatedAt: article.updatedAt,
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(`Get ${status} articles error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Failed to get ${status} articles`,
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/news/suspended:
  *   get:
  *     summary: Get suspended articles (News Editor + Admin)
+ *     description: Editors see their own suspended articles; users who manage all articles see everyone's.
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -295,38 +791,189 @@ router.get('/categories', async (req, res) => {
 router.get(
   '/suspended',
   authenticateToken,
-  requireNewsEditor,
-  async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
+  requirePermission('news:write'),
+  listArticlesByStatus('suspended', { updatedAt: -1 })
+);
+
+/**
+ * @swagger
+ * /api/news/drafts:
+ *   get:
+ *     summary: Get draft articles (News Editor + Admin)
+ *     description: Editors see their own draft articles; users who manage all articles see everyone's.
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for article title
+ *     responses:
+ *       200:
+ *         description: Draft articles retrieved successfully
+ */
+router.get(
+  '/drafts',
+  authenticateToken,
+  requirePermission('news:write'),
+  listArticlesByStatus('draft', { updatedAt: -1 })
+);
+
+/**
+ * @swagger
+ * /api/news/scheduled:
+ *   get:
+ *     summary: Get scheduled articles (News Editor + Admin)
+ *     description: Editors see their own scheduled articles; users who manage all articles see everyone's. Soonest first.
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for article title
+ *     responses:
+ *       200:
+ *         description: Scheduled articles retrieved successfully
+ */
+router.get(
+  '/scheduled',
+  authenticateToken,
+  requirePermission('news:write'),
+  listArticlesByStatus('scheduled', { publishAt: 1 })
+);
+
+/**
+ * @swagger
+ * /api/news/admin/all:
+ *   get:
+ *     summary: Get all news articles including suspended ones (Admin only)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, suspended, archived]
+ *         description: Filter by status
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Filter by category ID
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for article title or description
+ *     responses:
+ *       200:
+ *         description: All articles retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get(
+  '/admin/all',
+  authenticateToken,
+  requirePermission('news:manage_any'),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
+      const status = req.query.status;
+      const category = req.query.category;
       const search = req.query.search || '';
       const skip = (page - 1) * limit;
 
-      const query = {
-        authorId: req.user._id,
-        status: 'suspended',
-      };
+      // Build query - admin can see all articles
+      const query = {};
+
+      // Status filter
+      if (
+        status &&
+        ['draft', 'scheduled', 'published', 'suspended', 'archived'].includes(
+          status
+        )
+      ) {
+        query.status = status;
+      }
 
-      // If admin, show all suspended articles
-      if (req.user.role === 'admin') {
-        delete query.authorId;
+      // Category filter with ObjectId validation
+      if (category) {
+        if (!mongoose.Types.ObjectId.isValid(category)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid category ID format',
+          });
+        }
+        query.categoryIds = new mongoose.Types.ObjectId(category);
       }
 
       // Add search filter
       if (search) {
-        query.title = { $regex: search, $options: 'i' };
+        const pattern = escapeRegex(String(search));
+        query.$or = [
+          { title: { $regex: pattern, $options: 'i' } },
+          { description: { $regex: pattern, $options: 'i' } },
+        ];
       }
 
+      // Get articles
       const articles = await NewsArticle.find(query)
         .populate('categoryId', 'name slug')
+        .populate('categoryIds', 'name slug')
         .populate('authorId', 'fullName')
-        .sort({ updatedAt: -1 })
+        .populate('authors', User.BYLINE_FIELDS)
+        .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit);
 
+      // Get total count
       const total = await NewsArticle.countDocuments(query);
       const totalPages = Math.ceil(total / limit);
+      const statusCounts = await NewsArticle.getStatusCounts();
 
       res.json({
         success: true,
@@ -337,17 +984,26 @@ router.get(
             slug: article.slug,
             description: article.description,
             content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
             categoryId: article.categoryId,
             category: article.categoryId,
+            categories: article.categoryIds,
             minToRead: article.minToRead,
             postLink: article.postLink,
             featuredImage: article.featuredImage,
             isFeatured: article.isFeatured,
             status: article.status,
+            viewCount: article.viewCount,
             author: article.authorId,
+            authors: article.authors,
+            publishAt: article.publishAt,
+            reviewStatus: article.reviewStatus,
+            publishedAt: article.publishedAt,
             createdAt: article.createdAt,
             updatedAt: article.updatedAt,
           })),
+          statusCounts,
           pagination: {
             page,
             limit,
@@ -359,148 +1015,110 @@ router.get(
         },
       });
     } catch (error) {
-      logger.error('Get suspended articles error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get suspended articles',
-      });
+      handleError(error, res, 'Get all articles');
     }
   }
 );
 
 /**
  * @swagger
- * /api/news/admin/all:
+ * /api/news/slug/{slug}:
  *   get:
- *     summary: Get all news articles including suspended ones (Admin only)
+ *     summary: Get published article by slug (Public)
+ *     description: >
+ *       A slug the article had before its title changed answers 301 with the
+ *       current slug in the body and the new path in the Location header.
  *     tags: [News]
- *     security:
- *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of items per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [published, suspended, archived]
- *         description: Filter by status
- *       - in: query
- *         name: category
+ *       - in: path
+ *         name: slug
+ *         required: true
  *         schema:
  *           type: string
- *         description: Filter by category ID
  *       - in: query
- *         name: search
+ *         name: lang
  *         schema:
  *           type: string
- *         description: Search term for article title or description
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
- *         description: All articles retrieved successfully
- *       401:
- *         description: Unauthorized
+ *         description: Article retrieved successfully
+ *       301:
+ *         description: Article moved to a new slug
+ *       404:
+ *         description: Article not found
  */
-router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/slug/:slug', resolveLocale, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status;
-    const category = req.query.category;
-    const search = req.query.search || '';
-    const skip = (page - 1) * limit;
-
-    // Build query - admin can see all articles
-    const query = {};
+    const { slug } = req.params;
 
-    // Status filter
-    if (status && ['published', 'suspended', 'archived'].includes(status)) {
-      query.status = status;
-    }
+    const article = await NewsArticle.findBySlug(slug)
+      .populate('categoryId', 'name slug')
+      .populate('categoryIds', 'name slug')
+      .populate('tags', 'name slug')
+      .populate('authorId', 'fullName')
+      .populate('authors', User.BYLINE_FIELDS);
 
-    // Category filter with ObjectId validation
-    if (category) {
-      if (!mongoose.Types.ObjectId.isValid(category)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid category ID format',
-        });
+    if (!article) {
+      if (
+        await sendSlugRedirect(req, res, slug, (current) => `/slug/${current}`)
+      ) {
+        return;
       }
-      query.categoryId = new mongoose.Types.ObjectId(category);
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+      });
     }
 
-    // Add search filter
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-      ];
+    if (await recordView(req, 'news', article)) {
+      article.viewCount = (article.viewCount || 0) + 1;
     }
 
-    // Get articles
-    const articles = await NewsArticle.find(query)
-      .populate('categoryId', 'name slug')
-      .populate('authorId', 'fullName')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    // Get total count
-    const total = await NewsArticle.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
-
     res.json({
       success: true,
       data: {
-        articles: articles.map((article) => ({
+        article: {
           _id: article._id,
-          title: article.title,
+          ...localizePublic(article, req.locale),
           slug: article.slug,
-          description: article.description,
-          content: article.content,
           categoryId: article.categoryId,
           category: article.categoryId,
+          categories: article.categoryIds,
+          tags: article.tags,
           minToRead: article.minToRead,
           postLink: article.postLink,
           featuredImage: article.featuredImage,
           isFeatured: article.isFeatured,
-          status: article.status,
           viewCount: article.viewCount,
           author: article.authorId,
+          authors: article.authors,
           publishedAt: article.publishedAt,
           createdAt: article.createdAt,
           updatedAt: article.updatedAt,
-        })),
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1,
         },
       },
     });
   } catch (error) {
-    handleError(error, res, 'Get all articles');
+    logger.error('Get article by slug error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get article',
+    });
   }
 });
 
 /**
  * @swagger
- * /api/news/{id}:
+ * /api/news/{id}/related:
  *   get:
- *     summary: Get published article by ID (Public)
+ *     summary: Get articles related to a published article (Public)
+ *     description: >
+ *       Other published articles ranked by shared category and tags and by
+ *       how similar their title and content are, with a boost for recent and
+ *       popular articles. Rankings are cached and refreshed when articles
+ *       are published or edited.
  *     tags: [News]
  *     parameters:
  *       - in: path
@@ -508,93 +1126,109 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 20
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
- *         description: Article retrieved successfully
+ *         description: Related articles retrieved successfully, best first
  *       404:
  *         description: Article not found
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get(
+  '/:id/related',
+  validateQuery(queryValidation.relatedNews),
+  resolveLocale,
+  async (req, res) => {
+    try {
+      const article = await NewsArticle.findOne({
+        _id: req.params.id,
+        status: 'published',
+      }).select('title description content categoryIds tags');
 
-    const article = await NewsArticle.findById(id)
-      .populate('categoryId', 'name slug')
-      .populate('authorId', 'fullName');
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: 'Article not found',
-      });
-    }
+      const related = await NewsArticle.findRelated(article, req.query.limit);
 
-    // Only show published articles to public users
-    if (article.status !== 'published') {
-      return res.status(404).json({
-        success: false,
-        message: 'Article not found',
+      res.json({
+        success: true,
+        data: {
+          articles: related.map(({ article: relatedArticle, score }) => {
+            const localized = relatedArticle.localize(req.locale);
+            return {
+              _id: relatedArticle._id,
+              title: localized.title,
+              slug: relatedArticle.slug,
+              description: localized.description,
+              locale: localized.locale,
+              category: relatedArticle.categoryId,
+              categories: relatedArticle.categoryIds,
+              tags: relatedArticle.tags,
+              minToRead: relatedArticle.minToRead,
+              featuredImage: relatedArticle.featuredImage,
+              viewCount: relatedArticle.viewCount,
+              author: relatedArticle.authorId,
+              authors: relatedArticle.authors,
+              publishedAt: relatedArticle.publishedAt,
+              score,
+            };
+          }),
+        },
       });
+    } catch (error) {
+      handleError(error, res, 'Get related articles');
     }
-
-    // Increment view count for public access
-    article.viewCount = (article.viewCount || 0) + 1;
-    await article.save();
-
-    res.json({
-      success: true,
-      data: {
-        article: {
-          _id: article._id,
-          title: article.title,
-          slug: article.slug,
-          description: article.description,
-          content: article.content,
-          categoryId: article.categoryId,
-          category: article.categoryId,
-          minToRead: article.minToRead,
-          postLink: article.postLink,
-          featuredImage: article.featuredImage,
-          isFeatured: article.isFeatured,
-          status: article.status,
-          viewCount: article.viewCount,
-          author: article.authorId,
-          publishedAt: article.publishedAt,
-          createdAt: article.createdAt,
-          updatedAt: article.updatedAt,
-        },
-      },
-    });
-  } catch (error) {
-    handleError(error, res, 'Get article by ID');
-  }
-});
+  }
+);
 
 /**
  * @swagger
- * /api/news/:slug:
+ * /api/news/{id}:
  *   get:
- *     summary: Get article by slug
+ *     summary: Get published article by ID (Public)
  *     tags: [News]
  *     parameters:
  *       - in: path
- *         name: slug
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Article retrieved successfully
  *       404:
  *         description: Article not found
  */
-router.get('/:slug', async (req, res) => {
+router.get('/:id', resolveLocale, async (req, res) => {
   try {
-    const { slug } = req.params;
+    const { id } = req.params;
 
-    const article = await NewsArticle.findBySlug(slug)
+    const article = await NewsArticle.findById(id)
       .populate('categoryId', 'name slug')
-      .populate('authorId', 'fullName');
+      .populate('categoryIds', 'name slug')
+      .populate('tags', 'name slug')
+      .populate('authorId', 'fullName')
+      .populate('authors', User.BYLINE_FIELDS);
 
     if (!article) {
       return res.status(404).json({
@@ -603,37 +1237,45 @@ router.get('/:slug', async (req, res) => {
       });
     }
 
-    // Increment view count
-    article.viewCount = (article.viewCount || 0) + 1;
-    await article.save();
+    // Only show published articles to public users
+    if (article.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Article not found',
+      });
+    }
+
+    if (await recordView(req, 'news', article)) {
+      article.viewCount = (article.viewCount || 0) + 1;
+    }
 
     res.json({
       success: true,
       data: {
         article: {
           _id: article._id,
-          title: article.title,
-          description: article.description,
-          content: article.content,
+          ...localizePublic(article, req.locale),
+          slug: article.slug,
           categoryId: article.categoryId,
           category: article.categoryId,
+          categories: article.categoryIds,
+          tags: article.tags,
           minToRead: article.minToRead,
           postLink: article.postLink,
           featuredImage: article.featuredImage,
           isFeatured: article.isFeatured,
+          status: article.status,
           viewCount: article.viewCount,
           author: article.authorId,
+          authors: article.authors,
           publishedAt: article.publishedAt,
           createdAt: article.createdAt,
+          updatedAt: article.updatedAt,
         },
       },
     });
   } catch (error) {
-    logger.error('Get article error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to get article',
-    });
+    handleError(error, res, 'Get article by ID');
   }
 });
 
@@ -642,7 +1284,8 @@ router.get('/:slug', async (req, res) => {
  * @swagger
  * /api/news:
  *   post:
- *     summary: Create new article (News Editor + Admin)
+ *     summary: Create new draft article (News Editor + Admin)
+ *     description: Articles start as drafts and go live once approved through editorial review.
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -667,9 +1310,33 @@ router.get('/:slug', async (req, res) => {
  *               content:
  *                 type: string
  *                 description: Article content (min 50 characters)
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 default: html
+ *                 description: >
+ *                   Whether content is HTML or Markdown. Either way it is
+ *                   rendered to sanitized HTML, returned as contentHtml
  *               categoryId:
  *                 type: string
- *                 description: Category ID
+ *                 description: Primary category ID
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: >
+ *                   IDs of every category to list the article under (up to 5
+ *                   including the primary one, which is always added)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag IDs (up to 10)
+ *               authors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the users credited in the byline, in order (up to 5); defaults to you
  *               minToRead:
  *                 type: number
  *                 description: Minutes to read (1-60)
@@ -682,6 +1349,27 @@ router.get('/:slug', async (req, res) => {
  *               isFeatured:
  *                 type: boolean
  *                 description: Whether article is featured
+ *               metaTitle:
+ *                 type: string
+ *                 description: Search result title (max 60); defaults to the title
+ *               metaDescription:
+ *                 type: string
+ *                 description: Search result description (max 160); defaults to one generated from the description
+ *               canonicalUrl:
+ *                 type: string
+ *                 description: Absolute canonical URL; defaults to the article's page
+ *               ogImage:
+ *                 type: string
+ *                 description: Social sharing image; defaults to the featured image
+ *               noindex:
+ *                 type: boolean
+ *                 description: Ask search engines not to index the article
+ *               translations:
+ *                 type: object
+ *                 description: >
+ *                   Title, description and content per locale, e.g.
+ *                   { ha: { title, description, content } }; an empty string
+ *                   removes a translation
  *     responses:
  *       201:
  *         description: Article created successfully
@@ -692,99 +1380,171 @@ router.get('/:slug', async (req, res) => {
  *       403:
  *         description: Insufficient permissions
  */
-router.post('/', authenticateToken, requireNewsEditor, async (req, res) => {
-  try {
-    const {
-      title,
-      description,
-      content,
-      categoryId,
-      minToRead,
-      postLink,
-      featuredImage,
-      isFeatured,
-    } = req.body;
-
-    // Validate required fields
-    if (!title || !description || !content || !categoryId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Title, description, content, and categoryId are required',
-      });
-    }
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission('news:write'),
+  auditTrail(NewsArticle, 'create'),
+  async (req, res) => {
+    try {
+      const {
+        title,
+        description,
+        content,
+        contentFormat,
+        categoryId,
+        categoryIds,
+        minToRead,
+        postLink,
+        featuredImage,
+        isFeatured,
+        tags = [],
+        authors,
+        metaTitle,
+        metaDescription,
+        canonicalUrl,
+        ogImage,
+        noindex,
+        translations,
+        status,
+        publishAt,
+      } = req.body;
+
+      // Validate required fields
+      if (!title || !description || !content || !categoryId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title, description, content, and categoryId are required',
+        });
+      }
 
-    // Check if category exists
-    const NewsCategory = require('../models/NewsCategoryModel');
-    const category = await NewsCategory.findById(categoryId);
-    if (!category) {
-      return res.status(400).json({
-        success: false,
-        message: 'Category not found',
-      });
-    }
+      // New articles start as drafts and must pass review before going live
+      if ((status && status !== 'draft') || publishAt) {
+        return res.status(400).json({
+          success: false,
+          message:
+            'New articles are saved as drafts and must be approved before they can be published or scheduled',
+        });
+      }
 
-    // Generate slug from title
-    const slug = NewsArticle.generateSlug(title);
+      // Check if category exists
+      const NewsCategory = require('../models/NewsCategoryModel');
+      const category = await NewsCategory.findById(categoryId);
+      if (!category) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found',
+        });
+      }
 
-    // Check if slug already exists
-    const existingArticle = await NewsArticle.findOne({ slug });
-    if (existingArticle) {
-      return res.status(409).json({
-        success: false,
-        message: 'An article with this title already exists',
-      });
-    }
+      let extraCategoryIds = [];
+      if (categoryIds !== undefined) {
+        extraCategoryIds = await resolveCategoryIds(categoryIds, res);
+        if (!extraCategoryIds) return;
+      }
 
-    // Create article
-    const article = new NewsArticle({
-      title,
-      slug,
-      description,
-      content,
-      categoryId,
-      minToRead: minToRead || 3,
-      postLink,
-      featuredImage,
-      isFeatured: isFeatured || false,
-      authorId: req.user._id,
-      status: 'published',
-      publishedAt: new Date(),
-    });
+      const tagIds = await resolveTagIds(tags, res);
+      if (!tagIds) return;
 
-    await article.save();
+      // The creator is credited unless others are named
+      let authorIds = [req.user._id];
+      if (authors !== undefined) {
+        authorIds = await resolveAuthorIds(authors, res);
+        if (!authorIds) return;
+      }
 
-    // Populate author and category
-    await article.populate('authorId', 'fullName');
-    await article.populate('categoryId', 'name slug');
+      // Generate slug from title
+      const slug = NewsArticle.generateSlug(title);
 
-    logger.info(`Article created: ${article.title} by ${req.user.email}`);
+      // Check if slug already exists
+      const existingArticle = await NewsArticle.findOne({ slug });
+      if (existingArticle) {
+        return res.status(409).json({
+          success: false,
+          message: 'An article with this title already exists',
+        });
+      }
 
-    res.status(201).json({
-      success: true,
-      message: 'Article created successfully',
-      data: {
-        article: {
-          _id: article._id,
-          title: article.title,
-          slug: article.slug,
-          description: article.description,
-          content: article.content,
-          categoryId: article.categoryId,
-          category: article.categoryId,
-          minToRead: article.minToRead,
-          postLink: article.postLink,
-          featuredImage: article.featuredImage,
-          isFeatured: article.isFeatured,
-          status: article.status,
-          author: article.authorId,
-          createdAt: article.createdAt,
+      // Create article
+      const article = new NewsArticle({
+        title,
+        slug,
+        description,
+        content,
+        contentFormat,
+        categoryId,
+        categoryIds: extraCategoryIds,
+        tags: tagIds,
+        authors: authorIds,
+        minToRead: minToRead || 3,
+        postLink,
+        featuredImage,
+        isFeatured: isFeatured || false,
+        metaTitle,
+        metaDescription,
+        canonicalUrl,
+        ogImage,
+        noindex: noindex || false,
+        authorId: req.user._id,
+        status: 'draft',
+      });
+      article.setTranslations(translations);
+      article.$locals.editedBy = req.user._id;
+
+      await article.save();
+
+      // Populate author and category
+      await article.populate('authorId', 'fullName');
+      await article.populate('authors', User.BYLINE_FIELDS);
+      await article.populate('categoryId', 'name slug');
+      await article.populate('categoryIds', 'name slug');
+      await article.populate('tags', 'name slug');
+
+      logger.info(`Article created: ${article.title} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Article created successfully',
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            description: article.description,
+            content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
+            categoryId: article.categoryId,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            tags: article.tags,
+            metaTitle: article.metaTitle,
+            metaDescription: article.metaDescription,
+            canonicalUrl: article.canonicalUrl,
+            ogImage: article.ogImage,
+            noindex: article.noindex,
+            seo: article.getSeoMetadata(),
+            translations: article.translations,
+            missingTranslations: article.getMissingTranslations(),
+            minToRead: article.minToRead,
+            postLink: article.postLink,
+            featuredImage: article.featuredImage,
+            isFeatured: article.isFeatured,
+            status: article.status,
+            publishAt: article.publishAt,
+            reviewStatus: article.reviewStatus,
+            publishedAt: article.publishedAt,
+            author: article.authorId,
+            authors: article.authors,
+            createdAt: article.createdAt,
+          },
         },
-      },
-    });
-  } catch (error) {
-    handleError(error, res, 'create article');
+      });
+    } catch (error) {
+      handleError(error, res, 'create article');
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -809,14 +1569,17 @@ router.post('/', authenticateToken, requireNewsEditor, async (req, res) => {
 router.get(
   '/:id/manage',
   authenticateToken,
-  requireNewsEditor,
+  requirePermission('news:write'),
   async (req, res) => {
     try {
       const { id } = req.params;
 
       const article = await NewsArticle.findById(id)
         .populate('categoryId', 'name slug')
-        .populate('authorId', 'fullName');
+        .populate('categoryIds', 'name slug')
+        .populate('tags', 'name slug')
+        .populate('authorId', 'fullName')
+        .populate('authors', User.BYLINE_FIELDS);
 
       if (!article) {
         return res.status(404).json({
@@ -828,7 +1591,7 @@ router.get(
       // Check if user can view this article
       if (
         article.authorId._id.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin'
+        !(await req.user.hasPermission('news:manage_any'))
       ) {
         return res.status(403).json({
           success: false,
@@ -843,10 +1606,23 @@ router.get(
             _id: article._id,
             title: article.title,
             slug: article.slug,
+            previousSlugs: article.previousSlugs,
             description: article.description,
             content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
             categoryId: article.categoryId,
             category: article.categoryId,
+            categories: article.categoryIds,
+            tags: article.tags,
+            metaTitle: article.metaTitle,
+            metaDescription: article.metaDescription,
+            canonicalUrl: article.canonicalUrl,
+            ogImage: article.ogImage,
+            noindex: article.noindex,
+            seo: article.getSeoMetadata(),
+            translations: article.translations,
+            missingTranslations: article.getMissingTranslations(),
             minToRead: article.minToRead,
             postLink: article.postLink,
             featuredImage: article.featuredImage,
@@ -854,6 +1630,9 @@ router.get(
             status: article.status,
             viewCount: article.viewCount,
             author: article.authorId,
+            authors: article.authors,
+            publishAt: article.publishAt,
+            reviewStatus: article.reviewStatus,
             publishedAt: article.publishedAt,
             createdAt: article.createdAt,
             updatedAt: article.updatedAt,
@@ -892,58 +1671,794 @@ router.get(
  *       404:
  *         description: Article not found
  */
-router.get('/admin/:id', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
+router.get(
+  '/admin/:id',
+  authenticateToken,
+  requirePermission('news:manage_any'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    const article = await NewsArticle.findById(id)
-      .populate('categoryId', 'name slug')
-      .populate('authorId', 'fullName');
+      const article = await NewsArticle.findById(id)
+        .populate('categoryId', 'name slug')
+        .populate('categoryIds', 'name slug')
+        .populate('tags', 'name slug')
+        .populate('authorId', 'fullName')
+        .populate('authors', User.BYLINE_FIELDS);
 
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: 'Article not found',
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
+
+      // Admin can see articles regardless of status
+      // No view count increment for admin access
+
+      res.json({
+        success: true,
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            previousSlugs: article.previousSlugs,
+            description: article.description,
+            content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
+            categoryId: article.categoryId,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            tags: article.tags,
+            metaTitle: article.metaTitle,
+            metaDescription: article.metaDescription,
+            canonicalUrl: article.canonicalUrl,
+            ogImage: article.ogImage,
+            noindex: article.noindex,
+            seo: article.getSeoMetadata(),
+            translations: article.translations,
+            missingTranslations: article.getMissingTranslations(),
+            minToRead: article.minToRead,
+            postLink: article.postLink,
+            featuredImage: article.featuredImage,
+            isFeatured: article.isFeatured,
+            status: article.status,
+            viewCount: article.viewCount,
+            author: article.authorId,
+            authors: article.authors,
+            publishAt: article.publishAt,
+            reviewStatus: article.reviewStatus,
+            publishedAt: article.publishedAt,
+            createdAt: article.createdAt,
+            updatedAt: article.updatedAt,
+          },
+        },
       });
+    } catch (error) {
+      handleError(error, res, 'Get article by ID (Admin)');
     }
+  }
+);
 
-    // Admin can see articles regardless of status
-    // No view count increment for admin access
-
-    res.json({
-      success: true,
-      data: {
-        article: {
-          _id: article._id,
-          title: article.title,
-          slug: article.slug,
-          description: article.description,
-          content: article.content,
-          categoryId: article.categoryId,
-          category: article.categoryId,
-          minToRead: article.minToRead,
-          postLink: article.postLink,
-          featuredImage: article.featuredImage,
-          isFeatured: article.isFeatured,
-          status: article.status,
-          viewCount: article.viewCount,
-          author: article.authorId,
-          publishedAt: article.publishedAt,
-          createdAt: article.createdAt,
-          updatedAt: article.updatedAt,
+/**
+ * @swagger
+ * /api/news/{id}:
+ *   put:
+ *     summary: Update article (News Editor + Admin)
+ *     description: >
+ *       Changing an approved article voids its approval. A scheduled article,
+ *       or a published one whose title, description, content, translations,
+ *       featured image or post link changed, goes back to draft until it is
+ *       approved again.
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Article title
+ *               description:
+ *                 type: string
+ *                 description: Article description
+ *               content:
+ *                 type: string
+ *                 description: Article content
+ *               contentFormat:
+ *                 type: string
+ *                 enum: [html, markdown]
+ *                 description: Whether content is HTML or Markdown
+ *               categoryId:
+ *                 type: string
+ *                 description: Primary category ID
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: >
+ *                   IDs of every category to list the article under (up to 5
+ *                   including the primary one, which is always added)
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag IDs (up to 10)
+ *               authors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the users credited in the byline, in order (up to 5)
+ *               minToRead:
+ *                 type: number
+ *                 description: Minutes to read
+ *               postLink:
+ *                 type: string
+ *                 description: External post link
+ *               featuredImage:
+ *                 type: string
+ *                 description: Featured image URL from file upload
+ *               isFeatured:
+ *                 type: boolean
+ *                 description: Whether article is featured
+ *               metaTitle:
+ *                 type: string
+ *                 description: Search result title (max 60); defaults to the title
+ *               metaDescription:
+ *                 type: string
+ *                 description: Search result description (max 160); defaults to one generated from the description
+ *               canonicalUrl:
+ *                 type: string
+ *                 description: Absolute canonical URL; defaults to the article's page
+ *               ogImage:
+ *                 type: string
+ *                 description: Social sharing image; defaults to the featured image
+ *               noindex:
+ *                 type: boolean
+ *                 description: Ask search engines not to index the article
+ *               translations:
+ *                 type: object
+ *                 description: >
+ *                   Title, description and content per locale, e.g.
+ *                   { ha: { title, description, content } }; an empty string
+ *                   removes a translation
+ *     responses:
+ *       200:
+ *         description: Article updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: An article with this title already exists
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  requirePermission('news:write'),
+  auditTrail(NewsArticle, 'update'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const {
+        title,
+        description,
+        content,
+        contentFormat,
+        categoryId,
+        categoryIds,
+        minToRead,
+        postLink,
+        featuredImage,
+        isFeatured,
+        tags,
+        authors,
+        metaTitle,
+        metaDescription,
+        canonicalUrl,
+        ogImage,
+        noindex,
+        translations,
+      } = req.body;
+
+      const article = await NewsArticle.findById(id);
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
+
+      // Check if user can edit this article
+      if (
+        article.authorId.toString() !== req.user._id.toString() &&
+        !(await req.user.hasPermission('news:manage_any'))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit your own articles',
+        });
+      }
+
+      // Update fields
+      if (title) {
+        article.title = title;
+        // Update slug if title changed; the old one is kept in previousSlugs
+        const slug = NewsArticle.generateSlug(title);
+        if (
+          slug !== article.slug &&
+          (await NewsArticle.exists({ slug, _id: { $ne: article._id } }))
+        ) {
+          return res.status(409).json({
+            success: false,
+            message: 'An article with this title already exists',
+          });
+        }
+        article.slug = slug;
+      }
+      if (description !== undefined) article.description = description;
+      if (content !== undefined) article.content = content;
+      if (contentFormat !== undefined) article.contentFormat = contentFormat;
+      if (categoryId !== undefined) {
+        if (!(await NewsCategory.exists({ _id: categoryId }))) {
+          return res.status(400).json({
+            success: false,
+            message: 'Category not found',
+          });
+        }
+        // A new primary category replaces the old one, unless the full
+        // list is given too
+        if (categoryIds === undefined) {
+          article.categoryIds = article.categoryIds.filter(
+            (id) => !id.equals(article.categoryId)
+          );
+        }
+        article.categoryId = categoryId;
+      }
+      if (categoryIds !== undefined) {
+        const ids = await resolveCategoryIds(categoryIds, res);
+        if (!ids) return;
+        article.categoryIds = ids;
+      }
+      if (tags !== undefined) {
+        const tagIds = await resolveTagIds(tags, res);
+        if (!tagIds) return;
+        article.tags = tagIds;
+      }
+      if (authors !== undefined) {
+        const authorIds = await resolveAuthorIds(authors, res);
+        if (!authorIds) return;
+        article.authors = authorIds;
+      }
+      if (minToRead !== undefined) article.minToRead = minToRead;
+      if (postLink !== undefined) article.postLink = postLink;
+      if (featuredImage !== undefined && !req.file)
+        article.featuredImage = featuredImage;
+      if (isFeatured !== undefined) article.isFeatured = isFeatured;
+      // Empty SEO overrides fall back to the generated defaults
+      if (metaTitle !== undefined) article.metaTitle = metaTitle || undefined;
+      if (metaDescription !== undefined)
+        article.metaDescription = metaDescription || undefined;
+      if (canonicalUrl !== undefined)
+        article.canonicalUrl = canonicalUrl || undefined;
+      if (ogImage !== undefined) article.ogImage = ogImage || undefined;
+      if (noindex !== undefined) article.noindex = noindex;
+      article.setTranslations(translations);
+      article.$locals.editedBy = req.user._id;
+
+      await article.save();
+
+      // Populate author and category
+      await article.populate('authorId', 'fullName');
+      await article.populate('authors', User.BYLINE_FIELDS);
+      if (article.categoryId) {
+        await article.populate('categoryId', 'name slug');
+        await article.populate('categoryIds', 'name slug');
+      }
+      await article.populate('tags', 'name slug');
+
+      logger.info(`Article updated: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: article.$locals.unpublishedForReview
+          ? 'Article updated and unpublished until it is approved again'
+          : 'Article updated successfully',
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            previousSlugs: article.previousSlugs,
+            description: article.description,
+            content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
+            categoryId: article.categoryId,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            tags: article.tags,
+            metaTitle: article.metaTitle,
+            metaDescription: article.metaDescription,
+            canonicalUrl: article.canonicalUrl,
+            ogImage: article.ogImage,
+            noindex: article.noindex,
+            seo: article.getSeoMetadata(),
+            translations: article.translations,
+            missingTranslations: article.getMissingTranslations(),
+            minToRead: article.minToRead,
+            postLink: article.postLink,
+            featuredImage: article.featuredImage,
+            isFeatured: article.isFeatured,
+            status: article.status,
+            author: article.authorId,
+            authors: article.authors,
+            updatedAt: article.updatedAt,
+          },
+        },
+      });
+    } catch (error) {
+      handleError(error, res, 'update article');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}:
+ *   delete:
+ *     summary: Delete article (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Article deleted successfully
+ *       404:
+ *         description: Article not found
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  requirePermission('news:delete'),
+  auditTrail(NewsArticle, 'delete'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const article = await NewsArticle.findById(id);
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
+
+      // Check if user can delete this article
+      if (
+        article.authorId.toString() !== req.user._id.toString() &&
+        !(await req.user.hasPermission('news:manage_any'))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only delete your own articles',
+        });
+      }
+
+      await NewsArticle.findByIdAndDelete(id);
+      await ArticleRevision.deleteMany({ articleId: id });
+      await ArticleReviewComment.deleteMany({ articleId: id });
+      await Collection.updateMany(
+        { articles: id },
+        { $pull: { articles: article._id } }
+      );
+
+      logger.info(`Article deleted: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Article deleted successfully',
+      });
+    } catch (error) {
+      handleError(error, res, 'delete article');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/suspend:
+ *   post:
+ *     summary: Suspend article (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Article suspended successfully
+ *       404:
+ *         description: Article not found
+ */
+router.post(
+  '/:id/suspend',
+  authenticateToken,
+  requirePermission('news:publish'),
+  auditTrail(NewsArticle, 'suspend'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const article = await NewsArticle.findById(id);
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
+
+      // Check if user can suspend this article
+      if (
+        article.authorId.toString() !== req.user._id.toString() &&
+        !(await req.user.hasPermission('news:manage_any'))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only suspend your own articles',
+        });
+      }
+
+      article.status = 'suspended';
+      await article.save();
+
+      logger.info(`Article suspended: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Article suspended successfully',
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            status: article.status,
+            updatedAt: article.updatedAt,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Suspend article error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to suspend article',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/activate:
+ *   post:
+ *     summary: Activate suspended article (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Article activated successfully
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: Article is not approved
+ */
+router.post(
+  '/:id/activate',
+  authenticateToken,
+  requirePermission('news:publish'),
+  auditTrail(NewsArticle, 'activate'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const article = await NewsArticle.findById(id);
+      if (!article) {
+        return res.status(404).json({
+          success: false,
+          message: 'Article not found',
+        });
+      }
+
+      // Check if user can activate this article
+      if (
+        article.authorId.toString() !== req.user._id.toString() &&
+        !(await req.user.hasPermission('news:manage_any'))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only activate your own articles',
+        });
+      }
+
+      if (!article.isApproved()) {
+        return sendNotApproved(res, article);
+      }
+
+      await article.publish();
+
+      logger.info(`Article activated: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Article activated successfully',
+        data: {
+          article: {
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            status: article.status,
+            publishedAt: article.publishedAt,
+            updatedAt: article.updatedAt,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Activate article error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to activate article',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/publish:
+ *   post:
+ *     summary: Publish a draft or scheduled article now (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Article ID
+ *     responses:
+ *       200:
+ *         description: Article published successfully
+ *       403:
+ *         description: Can only change own articles
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: Article is not a draft or scheduled, or is not approved
+ */
+router.post(
+  '/:id/publish',
+  authenticateToken,
+  requirePermission('news:publish'),
+  auditTrail(NewsArticle, 'publish'),
+  async (req, res) => {
+    try {
+      const article = await findManageableArticle(req, res, 'publish');
+      if (!article) return;
+
+      if (!['draft', 'scheduled'].includes(article.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot publish an article that is ${article.status}`,
+        });
+      }
+
+      if (!article.isApproved()) {
+        return sendNotApproved(res, article);
+      }
+
+      await article.publish();
+
+      logger.info(`Article published: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Article published successfully',
+        data: {
+          article: formatStateChange(article),
+        },
+      });
+    } catch (error) {
+      handleError(error, res, 'publish article');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/schedule:
+ *   post:
+ *     summary: Schedule a draft article to publish later (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Article ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - publishAt
+ *             properties:
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future time to publish the article
+ *     responses:
+ *       200:
+ *         description: Article scheduled successfully
+ *       400:
+ *         description: Invalid publishAt
+ *       403:
+ *         description: Can only change own articles
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: Article is not a draft or scheduled, or is not approved
+ */
+router.post(
+  '/:id/schedule',
+  authenticateToken,
+  requirePermission('news:publish'),
+  auditTrail(NewsArticle, 'schedule'),
+  async (req, res) => {
+    try {
+      const publishState = parsePublishAt(req.body.publishAt);
+      if (publishState.error) {
+        return res.status(400).json({
+          success: false,
+          message: publishState.error,
+        });
+      }
+
+      const article = await findManageableArticle(req, res, 'schedule');
+      if (!article) return;
+
+      // Rescheduling is allowed; published articles must be unpublished first
+      if (!['draft', 'scheduled'].includes(article.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot schedule an article that is ${article.status}`,
+        });
+      }
+
+      if (!article.isApproved()) {
+        return sendNotApproved(res, article);
+      }
+
+      await article.schedulePublish(publishState.publishAt);
+
+      logger.info(
+        `Article scheduled for ${article.publishAt.toISOString()}: ${
+          article.title
+        } by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Article scheduled successfully',
+        data: {
+          article: formatStateChange(article),
+        },
+      });
+    } catch (error) {
+      handleError(error, res, 'schedule article');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/unpublish:
+ *   post:
+ *     summary: Move a scheduled or published article back to draft (News Editor + Admin)
+ *     tags: [News]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Article ID
+ *     responses:
+ *       200:
+ *         description: Article unpublished successfully
+ *       403:
+ *         description: Can only change own articles
+ *       404:
+ *         description: Article not found
+ *       409:
+ *         description: Article is not scheduled or published
+ */
+router.post(
+  '/:id/unpublish',
+  authenticateToken,
+  requirePermission('news:publish'),
+  auditTrail(NewsArticle, 'unpublish'),
+  async (req, res) => {
+    try {
+      const article = await findManageableArticle(req, res, 'unpublish');
+      if (!article) return;
+
+      if (!['scheduled', 'published'].includes(article.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot unpublish an article that is ${article.status}`,
+        });
+      }
+
+      await article.unpublish();
+
+      logger.info(`Article unpublished: ${article.title} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Article moved to drafts successfully',
+        data: {
+          article: formatStateChange(article),
         },
-      },
-    });
-  } catch (error) {
-    handleError(error, res, 'Get article by ID (Admin)');
+      });
+    } catch (error) {
+      handleError(error, res, 'unpublish article');
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /api/news/{id}:
- *   put:
- *     summary: Update article (News Editor + Admin)
+ * /api/news/{id}/revisions:
+ *   get:
+ *     summary: Get an article's revision history (News Editor + Admin)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -953,135 +2468,71 @@ router.get('/admin/:id', authenticateToken, requireAdmin, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 description: Article title
- *               description:
- *                 type: string
- *                 description: Article description
- *               content:
- *                 type: string
- *                 description: Article content
- *               categoryId:
- *                 type: string
- *                 description: Category ID
- *               minToRead:
- *                 type: number
- *                 description: Minutes to read
- *               postLink:
- *                 type: string
- *                 description: External post link
- *               featuredImage:
- *                 type: string
- *                 description: Featured image URL from file upload
- *               isFeatured:
- *                 type: boolean
- *                 description: Whether article is featured
+ *         description: Article ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
  *     responses:
  *       200:
- *         description: Article updated successfully
- *       400:
- *         description: Validation error
+ *         description: Revisions retrieved successfully, newest first
  *       404:
  *         description: Article not found
  */
-router.put('/:id', authenticateToken, requireNewsEditor, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const {
-      title,
-      description,
-      content,
-      categoryId,
-      minToRead,
-      postLink,
-      featuredImage,
-      isFeatured,
-    } = req.body;
-
-    const article = await NewsArticle.findById(id);
-    if (!article) {
-      return res.status(404).json({
-        success: false,
-        message: 'Article not found',
-      });
-    }
+router.get(
+  '/:id/revisions',
+  authenticateToken,
+  requirePermission('news:write'),
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
 
-    // Check if user can edit this article
-    if (
-      article.authorId.toString() !== req.user._id.toString() &&
-      req.user.role !== 'admin'
-    ) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only edit your own articles',
-      });
-    }
+      const article = await findManageableArticle(req, res, 'view');
+      if (!article) return;
 
-    // Update fields
-    if (title) {
-      article.title = title;
-      // Update slug if title changed
-      article.slug = NewsArticle.generateSlug(title);
-    }
-    if (description !== undefined) article.description = description;
-    if (content !== undefined) article.content = content;
-    if (categoryId !== undefined) article.categoryId = categoryId;
-    if (minToRead !== undefined) article.minToRead = minToRead;
-    if (postLink !== undefined) article.postLink = postLink;
-    if (featuredImage !== undefined && !req.file)
-      article.featuredImage = featuredImage;
-    if (isFeatured !== undefined) article.isFeatured = isFeatured;
-
-    await article.save();
-
-    // Populate author and category
-    await article.populate('authorId', 'fullName');
-    if (article.categoryId) {
-      await article.populate('categoryId', 'name slug');
-    }
+      const query = { articleId: article._id };
+      const revisions = await ArticleRevision.find(query)
+        .populate('editedBy', 'fullName email')
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(limit);
 
-    logger.info(`Article updated: ${article.title} by ${req.user.email}`);
+      const total = await ArticleRevision.countDocuments(query);
+      const totalPages = Math.ceil(total / limit);
 
-    res.json({
-      success: true,
-      message: 'Article updated successfully',
-      data: {
-        article: {
-          _id: article._id,
-          title: article.title,
-          slug: article.slug,
-          description: article.description,
-          content: article.content,
-          categoryId: article.categoryId,
-          category: article.categoryId,
-          minToRead: article.minToRead,
-          postLink: article.postLink,
-          featuredImage: article.featuredImage,
-          isFeatured: article.isFeatured,
-          status: article.status,
-          author: article.authorId,
-          updatedAt: article.updatedAt,
+      res.json({
+        success: true,
+        data: {
+          revisions: revisions.map((revision) => revision.summaryData),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1,
+          },
         },
-      },
-    });
-  } catch (error) {
-    handleError(error, res, 'update article');
+      });
+    } catch (error) {
+      handleError(error, res, 'get article revisions');
+    }
   }
-});
+);
 
 /**
  * @swagger
- * /api/news/{id}:
- *   delete:
- *     summary: Delete article (News Editor + Admin)
+ * /api/news/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of an article field by field (News Editor + Admin)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -1091,58 +2542,77 @@ router.put('/:id', authenticateToken, requireNewsEditor, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *         description: Article ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Older revision number
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Newer revision number
  *     responses:
  *       200:
- *         description: Article deleted successfully
+ *         description: Fields that differ between the two revisions
+ *       400:
+ *         description: Invalid revision numbers
  *       404:
- *         description: Article not found
+ *         description: Article or revision not found
  */
-router.delete(
-  '/:id',
+router.get(
+  '/:id/revisions/diff',
   authenticateToken,
-  requireNewsEditor,
+  requirePermission('news:write'),
   async (req, res) => {
     try {
-      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
 
-      const article = await NewsArticle.findById(id);
-      if (!article) {
-        return res.status(404).json({
+      if (!(from >= 1) || !(to >= 1)) {
+        return res.status(400).json({
           success: false,
-          message: 'Article not found',
+          message: 'from and to must be revision numbers',
         });
       }
 
-      // Check if user can delete this article
-      if (
-        article.authorId.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin'
-      ) {
-        return res.status(403).json({
+      const article = await findManageableArticle(req, res, 'view');
+      if (!article) return;
+
+      const [fromRevision, toRevision] = await Promise.all([
+        ArticleRevision.findRevision(article._id, from),
+        ArticleRevision.findRevision(article._id, to),
+      ]);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({
           success: false,
-          message: 'You can only delete your own articles',
+          message: 'Revision not found',
         });
       }
 
-      await NewsArticle.findByIdAndDelete(id);
-
-      logger.info(`Article deleted: ${article.title} by ${req.user.email}`);
-
       res.json({
         success: true,
-        message: 'Article deleted successfully',
+        data: {
+          from: fromRevision.summaryData,
+          to: toRevision.summaryData,
+          changes: fromRevision.diff(toRevision),
+        },
       });
     } catch (error) {
-      handleError(error, res, 'delete article');
+      handleError(error, res, 'compare article revisions');
     }
   }
 );
 
 /**
  * @swagger
- * /api/news/{id}/suspend:
- *   post:
- *     summary: Suspend article (News Editor + Admin)
+ * /api/news/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of an article (News Editor + Admin)
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -1152,72 +2622,58 @@ router.delete(
  *         required: true
  *         schema:
  *           type: string
+ *         description: Article ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
  *     responses:
  *       200:
- *         description: Article suspended successfully
+ *         description: Revision retrieved successfully
  *       404:
- *         description: Article not found
+ *         description: Article or revision not found
  */
-router.post(
-  '/:id/suspend',
+router.get(
+  '/:id/revisions/:revision',
   authenticateToken,
-  requireNewsEditor,
+  requirePermission('news:write'),
   async (req, res) => {
     try {
-      const { id } = req.params;
+      const article = await findManageableArticle(req, res, 'view');
+      if (!article) return;
 
-      const article = await NewsArticle.findById(id);
-      if (!article) {
-        return res.status(404).json({
-          success: false,
-          message: 'Article not found',
-        });
-      }
+      const revision = await ArticleRevision.findRevision(
+        article._id,
+        parseInt(req.params.revision)
+      ).populate('editedBy', 'fullName email');
 
-      // Check if user can suspend this article
-      if (
-        article.authorId.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin'
-      ) {
-        return res.status(403).json({
+      if (!revision) {
+        return res.status(404).json({
           success: false,
-          message: 'You can only suspend your own articles',
+          message: 'Revision not found',
         });
       }
 
-      article.status = 'suspended';
-      await article.save();
-
-      logger.info(`Article suspended: ${article.title} by ${req.user.email}`);
-
       res.json({
         success: true,
-        message: 'Article suspended successfully',
         data: {
-          article: {
-            _id: article._id,
-            title: article.title,
-            slug: article.slug,
-            status: article.status,
-            updatedAt: article.updatedAt,
-          },
+          revision: revision.fullData,
         },
       });
     } catch (error) {
-      logger.error('Suspend article error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to suspend article',
-      });
+      handleError(error, res, 'get article revision');
     }
   }
 );
 
 /**
  * @swagger
- * /api/news/{id}/activate:
+ * /api/news/{id}/revisions/{revision}/restore:
  *   post:
- *     summary: Activate suspended article (News Editor + Admin)
+ *     summary: Restore an old revision as the article's newest revision (News Editor + Admin)
+ *     description: The article's status is left unchanged.
  *     tags: [News]
  *     security:
  *       - bearerAuth: []
@@ -1227,67 +2683,130 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *         description: Article ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
  *     responses:
  *       200:
- *         description: Article activated successfully
+ *         description: Revision restored successfully
  *       404:
- *         description: Article not found
+ *         description: Article or revision not found
+ *       409:
+ *         description: >
+ *           The revision's slug is now used by another article, or its
+ *           category has been deleted
  */
 router.post(
-  '/:id/activate',
+  '/:id/revisions/:revision/restore',
   authenticateToken,
-  requireNewsEditor,
+  requirePermission('news:write'),
+  auditTrail(NewsArticle, 'restore_revision'),
   async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const article = await NewsArticle.findById(id);
-      if (!article) {
+      const article = await findManageableArticle(req, res, 'edit');
+      if (!article) return;
+
+      const revision = await ArticleRevision.findRevision(
+        article._id,
+        parseInt(req.params.revision)
+      );
+      if (!revision) {
         return res.status(404).json({
           success: false,
-          message: 'Article not found',
+          message: 'Revision not found',
         });
       }
 
-      // Check if user can activate this article
-      if (
-        article.authorId.toString() !== req.user._id.toString() &&
-        req.user.role !== 'admin'
-      ) {
-        return res.status(403).json({
+      const { snapshot } = revision;
+      const slugTaken = await NewsArticle.exists({
+        slug: snapshot.slug,
+        _id: { $ne: article._id },
+      });
+      if (slugTaken) {
+        return res.status(409).json({
           success: false,
-          message: 'You can only activate your own articles',
+          message: "Another article now uses this revision's title",
+        });
+      }
+
+      if (!(await NewsCategory.exists({ _id: snapshot.categoryId }))) {
+        return res.status(409).json({
+          success: false,
+          message: "This revision's category has been deleted",
         });
       }
 
-      article.status = 'published';
-      if (!article.publishedAt) {
-        article.publishedAt = new Date();
+      ArticleRevision.REVISION_FIELDS.forEach((field) => {
+        article.set(field, snapshot[field]);
+      });
+      // Categories and tags deleted since the revision was made stay deleted
+      if (snapshot.categoryIds && snapshot.categoryIds.length > 0) {
+        const existing = await NewsCategory.find({
+          _id: { $in: snapshot.categoryIds },
+        }).distinct('_id');
+        article.categoryIds = snapshot.categoryIds.filter((categoryId) =>
+          existing.some((id) => id.equals(categoryId))
+        );
+      }
+      if (snapshot.tags && snapshot.tags.length > 0) {
+        const existing = await Tag.find({
+          _id: { $in: snapshot.tags },
+        }).distinct('_id');
+        article.tags = snapshot.tags.filter((tagId) =>
+          existing.some((id) => id.equals(tagId))
+        );
       }
+      // So are authors removed or deactivated since; the owner is credited
+      // if none are left
+      if (snapshot.authors && snapshot.authors.length > 0) {
+        const existing = await User.find({
+          _id: { $in: snapshot.authors },
+          isActive: true,
+        }).distinct('_id');
+        article.authors = snapshot.authors.filter((authorId) =>
+          existing.some((id) => id.equals(authorId))
+        );
+      }
+      article.$locals.editedBy = req.user._id;
+      article.$locals.restoredFrom = revision.revisionNumber;
+
       await article.save();
 
-      logger.info(`Article activated: ${article.title} by ${req.user.email}`);
+      logger.info(
+        `Article ${article.title} restored to revision ${revision.revisionNumber} by ${req.user.email}`
+      );
 
       res.json({
         success: true,
-        message: 'Article activated successfully',
+        message: 'Revision restored successfully',
         data: {
           article: {
             _id: article._id,
             title: article.title,
             slug: article.slug,
+            description: article.description,
+            content: article.content,
+            contentFormat: article.contentFormat,
+            contentHtml: article.contentHtml,
+            categoryId: article.categoryId,
+            categoryIds: article.categoryIds,
+            tags: article.tags,
+            minToRead: article.minToRead,
+            postLink: article.postLink,
+            featuredImage: article.featuredImage,
+            isFeatured: article.isFeatured,
             status: article.status,
-            publishedAt: article.publishedAt,
             updatedAt: article.updatedAt,
           },
+          restoredFrom: revision.revisionNumber,
         },
       });
     } catch (error) {
-      logger.error('Activate article error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to activate article',
-      });
+      handleError(error, res, 'restore article revision');
     }
   }
 );
@@ -1322,7 +2841,8 @@ router.post(
 router.post(
   '/categories',
   authenticateToken,
-  requireAdmin,
+  requirePermission('categories:write'),
+  auditTrail(NewsCategory, 'create'),
   async (req, res) => {
     try {
       const { name, description } = req.body;
@@ -1473,7 +2993,8 @@ router.get('/categories/:id', async (req, res) => {
 router.put(
   '/categories/:id',
   authenticateToken,
-  requireAdmin,
+  requirePermission('categories:write'),
+  auditTrail(NewsCategory, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1552,7 +3073,8 @@ router.put(
 router.delete(
   '/categories/:id',
   authenticateToken,
-  requireAdmin,
+  requirePermission('categories:write'),
+  auditTrail(NewsCategory, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1566,7 +3088,9 @@ router.delete(
       }
 
       // Check if category has articles
-      const articleCount = await NewsArticle.countDocuments({ categoryId: id });
+      const articleCount = await NewsArticle.countDocuments({
+        categoryIds: id,
+      });
       if (articleCount > 0) {
         return res.status(400).json({
           success: false,
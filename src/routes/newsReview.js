@@ -0,0 +1,828 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+  validateBody,
+  validateObjectId,
+  validatePagination,
+} = require('../middleware/validation');
+
+// Import models
+const NewsArticle = require('../models/NewsArticleModel');
+const ArticleRevision = require('../models/ArticleRevisionModel');
+const ArticleReviewComment = require('../models/ArticleReviewCommentModel');
+const User = require('../models/UserModel');
+
+// Import services
+const {
+  sendArticleReviewRequest,
+  sendArticleReviewDecision,
+  sendArticleReviewComment,
+} = require('../services/emailService');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const objectId = Joi.string().hex().length(24);
+
+const reviewValidation = {
+  submit: Joi.object({
+    reviewerIds: Joi.array().items(objectId).unique().max(10).optional(),
+    note: Joi.string().max(2000).allow('').optional(),
+  }),
+
+  approve: Joi.object({
+    note: Joi.string().max(2000).allow('').optional(),
+  }),
+
+  requestChanges: Joi.object({
+    note: Joi.string().min(1).max(2000).required().messages({
+      'any.required': 'Please describe the changes needed',
+    }),
+  }),
+
+  comment: Joi.object({
+    body: Joi.string().min(1).max(2000).required().messages({
+      'any.required': 'Comment text is required',
+    }),
+    anchor: Joi.object({
+      field: Joi.string().valid('title', 'description', 'content').required(),
+      start: Joi.number().integer().min(0).optional(),
+      end: Joi.number().integer().min(Joi.ref('start')).optional(),
+      quote: Joi.string().max(1000).optional(),
+    }).optional(),
+    parentId: objectId.optional(),
+  }),
+};
+
+// Load an article, or send a 404
+const findArticle = async (id, res) => {
+  const article = await NewsArticle.findById(id);
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      message: 'Article not found',
+    });
+    return null;
+  }
+  return article;
+};
+
+// The owner and every credited author count as the article's authors
+const isAuthor = (user, article) =>
+  article.authorId.equals(user._id) ||
+  article.authors.some((id) => id.equals(user._id));
+
+// Authors, reviewers and users who manage all articles take part in reviews
+const canParticipate = async (user, article) =>
+  isAuthor(user, article) ||
+  (await user.hasPermission('news:review')) ||
+  (await user.hasPermission('news:manage_any'));
+
+// Email addresses of an article's author and reviewers, minus the actor
+const getParticipantEmails = async (article, exceptUserId, options = {}) => {
+  const ids = [...article.reviewers];
+  if (options.includeAuthor !== false) {
+    ids.push(article.authorId);
+  }
+
+  const users = await User.find({
+    _id: { $in: ids, $ne: exceptUserId },
+    isActive: true,
+  }).select('email');
+
+  return users.map((user) => user.email);
+};
+
+// Review details returned by the state-change endpoints
+const formatReview = async (article) => {
+  await article.populate([
+    { path: 'reviewers', select: 'fullName email' },
+    { path: 'reviewHistory.by', select: 'fullName email' },
+  ]);
+
+  return {
+    articleId: article._id,
+    title: article.title,
+    status: article.status,
+    reviewStatus: article.reviewStatus,
+    reviewers: article.reviewers,
+    history: article.reviewHistory,
+    openComments: await ArticleReviewComment.countOpen(article._id),
+  };
+};
+
+/**
+ * @swagger
+ * /api/news/review/queue:
+ *   get:
+ *     summary: Get articles waiting for review
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: assigned
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: Only articles where you are a reviewer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully, oldest first
+ */
+router.get(
+  '/review/queue',
+  authenticateToken,
+  requirePermission('news:review'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page, limit, assigned } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = { reviewStatus: 'in_review' };
+      if (assigned === 'me') {
+        query.reviewers = req.user._id;
+      }
+
+      const articles = await NewsArticle.find(query)
+        .populate('authorId', 'fullName')
+        .populate('categoryId', 'name slug')
+        .populate('categoryIds', 'name slug')
+        .populate('reviewers', 'fullName')
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await NewsArticle.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          articles: articles.map((article) => ({
+            _id: article._id,
+            title: article.title,
+            slug: article.slug,
+            description: article.description,
+            category: article.categoryId,
+            categories: article.categoryIds,
+            author: article.authorId,
+            reviewers: article.reviewers,
+            status: article.status,
+            reviewStatus: article.reviewStatus,
+            updatedAt: article.updatedAt,
+          })),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get review queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get review queue',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review:
+ *   get:
+ *     summary: Get an article's review state, reviewers and history
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review retrieved successfully
+ *       403:
+ *         description: Not a participant in this review
+ *       404:
+ *         description: Article not found
+ */
+router.get(
+  '/:id/review',
+  authenticateToken,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const article = await findArticle(req.params.id, res);
+      if (!article) return;
+
+      if (!(await canParticipate(req.user, article))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot view this review',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          review: await formatReview(article),
+        },
+      });
+    } catch (error) {
+      logger.error('Get article review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get review',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review/submit:
+ *   post:
+ *     summary: Submit an article for review
+ *     description: >
+ *       Without reviewerIds the previous reviewers are kept, or every user who
+ *       can review articles is asked if there were none.
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewerIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Article submitted for review
+ *       400:
+ *         description: Invalid reviewers
+ *       403:
+ *         description: Only the author can submit the article
+ *       409:
+ *         description: Article cannot be submitted in its current state
+ */
+router.post(
+  '/:id/review/submit',
+  authenticateToken,
+  requirePermission('news:write'),
+  validateObjectId('id'),
+  validateBody(reviewValidation.submit),
+  auditTrail(NewsArticle, 'review_submit'),
+  async (req, res) => {
+    try {
+      const { reviewerIds, note } = req.body;
+
+      const article = await findArticle(req.params.id, res);
+      if (!article) return;
+
+      if (
+        !isAuthor(req.user, article) &&
+        !(await req.user.hasPermission('news:manage_any'))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only submit your own articles for review',
+        });
+      }
+
+      if (!article.canTransitionReview('in_review')) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot submit an article that is ${article.reviewStatus}`,
+        });
+      }
+
+      // Authors can't review their own work
+      const eligible = (await User.findActiveWithPermission('news:review'))
+        .filter((user) => user._id.toString() !== article.authorId.toString())
+        .map((user) => user._id.toString());
+
+      let reviewers = reviewerIds || article.reviewers.map(String);
+      if (reviewers.length === 0) {
+        reviewers = eligible;
+      }
+
+      if (reviewers.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'There is nobody available to review this article',
+        });
+      }
+
+      const invalid = reviewers.filter((id) => !eligible.includes(id));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reviewers must be active users who can review articles',
+          data: { invalidReviewerIds: invalid },
+        });
+      }
+
+      article.reviewers = reviewers;
+      article.setReviewStatus('in_review', req.user._id, note);
+      await article.save();
+
+      sendArticleReviewRequest(
+        article,
+        req.user.fullName,
+        await getParticipantEmails(article, req.user._id, {
+          includeAuthor: false,
+        })
+      );
+
+      logger.info(
+        `Article submitted for review: ${article.title} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Article submitted for review',
+        data: {
+          review: await formatReview(article),
+        },
+      });
+    } catch (error) {
+      logger.error('Submit article for review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit article for review',
+      });
+    }
+  }
+);
+
+// Shared handler for reviewer decisions
+const decide = (decision) => async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const article = await findArticle(req.params.id, res);
+    if (!article) return;
+
+    // Not even users who manage all articles may approve their own
+    if (isAuthor(req.user, article)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own article',
+      });
+    }
+
+    if (!article.canTransitionReview(decision)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot review an article that is ${article.reviewStatus}`,
+      });
+    }
+
+    // Anyone who can review may step in; they join the reviewer list
+    if (!article.reviewers.some((id) => id.equals(req.user._id))) {
+      article.reviewers.push(req.user._id);
+    }
+    article.setReviewStatus(decision, req.user._id, note);
+    await article.save();
+
+    sendArticleReviewDecision(
+      article,
+      await getParticipantEmails(article, req.user._id),
+      decision,
+      req.user.fullName,
+      note
+    );
+
+    logger.info(
+      `Article review ${decision}: ${article.title} by ${req.user.email}`
+    );
+
+    res.json({
+      success: true,
+      message:
+        decision === 'approved' ? 'Article approved' : 'Changes requested',
+      data: {
+        review: await formatReview(article),
+      },
+    });
+  } catch (error) {
+    logger.error(`Article review (${decision}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review article',
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/news/{id}/review/approve:
+ *   post:
+ *     summary: Approve an article under review so it can be published
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Article approved
+ *       403:
+ *         description: Cannot review your own article
+ *       409:
+ *         description: Article is not under review
+ */
+router.post(
+  '/:id/review/approve',
+  authenticateToken,
+  requirePermission('news:review'),
+  validateObjectId('id'),
+  validateBody(reviewValidation.approve),
+  auditTrail(NewsArticle, 'review_approve'),
+  decide('approved')
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review/request-changes:
+ *   post:
+ *     summary: Send an article under review back to its author for changes
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Changes requested
+ *       403:
+ *         description: Cannot review your own article
+ *       409:
+ *         description: Article is not under review
+ */
+router.post(
+  '/:id/review/request-changes',
+  authenticateToken,
+  requirePermission('news:review'),
+  validateObjectId('id'),
+  validateBody(reviewValidation.requestChanges),
+  auditTrail(NewsArticle, 'review_request_changes'),
+  decide('changes_requested')
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review/comments:
+ *   get:
+ *     summary: Get review comments on an article
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeResolved
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully, oldest first
+ */
+router.get(
+  '/:id/review/comments',
+  authenticateToken,
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const article = await findArticle(req.params.id, res);
+      if (!article) return;
+
+      if (!(await canParticipate(req.user, article))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot view this review',
+        });
+      }
+
+      const query = { articleId: article._id };
+      if (req.query.includeResolved === 'false') {
+        query.resolvedAt = { $exists: false };
+      }
+
+      const comments = await ArticleReviewComment.find(query)
+        .populate('authorId', 'fullName email')
+        .populate('resolvedBy', 'fullName')
+        .sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          comments: comments.map((comment) => comment.publicData),
+        },
+      });
+    } catch (error) {
+      logger.error('Get review comments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get review comments',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review/comments:
+ *   post:
+ *     summary: Comment on an article, optionally anchored to a text range
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               anchor:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     enum: [title, description, content]
+ *                   start:
+ *                     type: integer
+ *                   end:
+ *                     type: integer
+ *                   quote:
+ *                     type: string
+ *               parentId:
+ *                 type: string
+ *                 description: Comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment added
+ */
+router.post(
+  '/:id/review/comments',
+  authenticateToken,
+  validateObjectId('id'),
+  validateBody(reviewValidation.comment),
+  async (req, res) => {
+    try {
+      const { body, anchor, parentId } = req.body;
+
+      const article = await findArticle(req.params.id, res);
+      if (!article) return;
+
+      if (!(await canParticipate(req.user, article))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot comment on this review',
+        });
+      }
+
+      if (
+        parentId &&
+        !(await ArticleReviewComment.exists({
+          _id: parentId,
+          articleId: article._id,
+        }))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parent comment not found on this article',
+        });
+      }
+
+      // Fill in the quoted text from the current article if not given
+      if (anchor && !anchor.quote && anchor.end !== undefined) {
+        anchor.quote = String(article.get(anchor.field) || '').slice(
+          anchor.start || 0,
+          anchor.end
+        );
+      }
+
+      const latestRevision = await ArticleRevision.findOne({
+        articleId: article._id,
+      })
+        .sort({ revisionNumber: -1 })
+        .select('revisionNumber');
+
+      const comment = await ArticleReviewComment.create({
+        articleId: article._id,
+        authorId: req.user._id,
+        body,
+        anchor,
+        parentId,
+        revisionNumber: latestRevision
+          ? latestRevision.revisionNumber
+          : undefined,
+      });
+      await comment.populate('authorId', 'fullName email');
+
+      // Reviewer comments go to the author; author replies go to reviewers
+      sendArticleReviewComment(
+        article,
+        await getParticipantEmails(article, req.user._id),
+        req.user.fullName,
+        comment
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        data: {
+          comment: comment.publicData,
+        },
+      });
+    } catch (error) {
+      logger.error('Add review comment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add comment',
+      });
+    }
+  }
+);
+
+// Shared handler for resolving and reopening comments
+const setCommentResolved = (resolved) => async (req, res) => {
+  try {
+    const article = await findArticle(req.params.id, res);
+    if (!article) return;
+
+    if (!(await canParticipate(req.user, article))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot update this review',
+      });
+    }
+
+    const comment = await ArticleReviewComment.findOne({
+      _id: req.params.commentId,
+      articleId: article._id,
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+      });
+    }
+
+    if (resolved) {
+      await comment.resolve(req.user._id);
+    } else {
+      await comment.reopen();
+    }
+
+    res.json({
+      success: true,
+      message: resolved ? 'Comment resolved' : 'Comment reopened',
+      data: {
+        comment: comment.publicData,
+      },
+    });
+  } catch (error) {
+    logger.error('Update review comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/news/{id}/review/comments/{commentId}/resolve:
+ *   post:
+ *     summary: Mark a review comment as resolved
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment resolved
+ */
+router.post(
+  '/:id/review/comments/:commentId/resolve',
+  authenticateToken,
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  setCommentResolved(true)
+);
+
+/**
+ * @swagger
+ * /api/news/{id}/review/comments/{commentId}/reopen:
+ *   post:
+ *     summary: Reopen a resolved review comment
+ *     tags: [News Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment reopened
+ */
+router.post(
+  '/:id/review/comments/:commentId/reopen',
+  authenticateToken,
+  validateObjectId('id'),
+  validateObjectId('commentId'),
+  setCommentResolved(false)
+);
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { resolveLocale } = require('../middleware/locale');
+const {
+  validateBody,
+  validateObjectId,
+  validatePagination,
+} = require('../middleware/validation');
+
+// Import models
+const Tag = require('../models/TagModel');
+const NewsArticle = require('../models/NewsArticleModel');
+const User = require('../models/UserModel');
+
+// Import utilities
+const {
+  createPagination,
+  escapeRegex,
+  generateSlug,
+} = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const tagValidation = {
+  create: Joi.object({
+    name: Joi.string().trim().min(2).max(50).required().messages({
+      'any.required': 'Tag name is required',
+    }),
+    description: Joi.string().max(200).allow('').optional(),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(2).max(50).optional(),
+    description: Joi.string().max(200).allow('').optional(),
+  }),
+};
+
+// Reject names whose slug would be empty or already used by another tag.
+// Sends the error response and returns null if so.
+const resolveTagSlug = async (name, res, excludeId) => {
+  const slug = generateSlug(name);
+  if (!slug) {
+    res.status(400).json({
+      success: false,
+      message: 'Tag name must contain letters or numbers',
+    });
+    return null;
+  }
+
+  const query = { slug };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  if (await Tag.exists(query)) {
+    res.status(409).json({
+      success: false,
+      message: 'A tag with this name already exists',
+    });
+    return null;
+  }
+
+  return slug;
+};
+
+/**
+ * @swagger
+ * /api/news/tags:
+ *   get:
+ *     summary: Get news tags with their published article counts
+ *     tags: [News Tags]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for tag name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ */
+router.get('/tags', validatePagination, async (req, res) => {
+  try {
+    const { page, limit, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: escapeRegex(String(search)), $options: 'i' };
+    }
+
+    const tags = await Tag.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await Tag.countDocuments(query);
+    const counts = await Tag.countPublishedArticles(tags.map((tag) => tag._id));
+
+    res.json({
+      success: true,
+      data: {
+        tags: tags.map((tag) => ({
+          ...tag.publicData,
+          articleCount: counts[tag._id.toString()] || 0,
+        })),
+        pagination: createPagination(page, limit, total),
+      },
+    });
+  } catch (error) {
+    logger.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tags',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/news/tags/{slug}:
+ *   get:
+ *     summary: Get a tag and its published articles
+ *     tags: [News Tags]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
+ *     responses:
+ *       200:
+ *         description: Tag and articles retrieved successfully, newest first
+ *       404:
+ *         description: Tag not found
+ */
+router.get(
+  '/tags/:slug',
+  validatePagination,
+  resolveLocale,
+  async (req, res) => {
+    try {
+      const { page, limit } = req.query;
+      const skip = (page - 1) * limit;
+
+      const tag = await Tag.findBySlug(req.params.slug);
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      const query = { status: 'published', tags: tag._id };
+      const articles = await NewsArticle.find(query)
+        .populate('categoryId', 'name slug')
+        .populate('categoryIds', 'name slug')
+        .populate('tags', 'name slug')
+        .populate('authorId', 'fullName')
+        .populate('authors', User.BYLINE_FIELDS)
+        .sort({ publishedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await NewsArticle.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          tag: tag.publicData,
+          articles: articles.map((article) => {
+            const localized = article.localize(req.locale);
+            return {
+              _id: article._id,
+              title: localized.title,
+              slug: article.slug,
+              description: localized.description,
+              locale: localized.locale,
+              category: article.categoryId,
+              categories: article.categoryIds,
+              tags: article.tags,
+              minToRead: article.minToRead,
+              featuredImage: article.featuredImage,
+              isFeatured: article.isFeatured,
+              viewCount: article.viewCount,
+              author: article.authorId,
+              authors: article.authors,
+              publishedAt: article.publishedAt,
+            };
+          }),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get tag articles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get tag',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/tags:
+ *   post:
+ *     summary: Create a news tag (Admin only)
+ *     tags: [News Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       409:
+ *         description: A tag with this name already exists
+ */
+router.post(
+  '/tags',
+  authenticateToken,
+  requirePermission('tags:write'),
+  validateBody(tagValidation.create),
+  auditTrail(Tag, 'create'),
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const slug = await resolveTagSlug(name, res);
+      if (!slug) return;
+
+      const tag = await Tag.create({
+        name,
+        slug,
+        description,
+        createdBy: req.user._id,
+      });
+
+      logger.info(`Tag created: ${tag.name} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Tag created successfully',
+        data: {
+          tag: tag.publicData,
+        },
+      });
+    } catch (error) {
+      logger.error('Create tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create tag',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/tags/{id}:
+ *   put:
+ *     summary: Rename or describe a news tag (Admin only)
+ *     description: Renaming a tag changes its slug.
+ *     tags: [News Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: A tag with this name already exists
+ */
+router.put(
+  '/tags/:id',
+  authenticateToken,
+  requirePermission('tags:write'),
+  validateObjectId('id'),
+  validateBody(tagValidation.update),
+  auditTrail(Tag, 'update'),
+  async (req, res) => {
+    try {
+      const { name, description } = req.body;
+
+      const tag = await Tag.findById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      if (name) {
+        const slug = await resolveTagSlug(name, res, tag._id);
+        if (!slug) return;
+        tag.name = name;
+        tag.slug = slug;
+      }
+      if (description !== undefined) tag.description = description;
+      tag.updatedBy = req.user._id;
+
+      await tag.save();
+
+      logger.info(`Tag updated: ${tag.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Tag updated successfully',
+        data: {
+          tag: tag.publicData,
+        },
+      });
+    } catch (error) {
+      logger.error('Update tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update tag',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/news/tags/{id}:
+ *   delete:
+ *     summary: Delete a news tag and remove it from all articles (Admin only)
+ *     tags: [News Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ */
+router.delete(
+  '/tags/:id',
+  authenticateToken,
+  requirePermission('tags:write'),
+  validateObjectId('id'),
+  auditTrail(Tag, 'delete'),
+  async (req, res) => {
+    try {
+      const tag = await Tag.findById(req.params.id);
+      if (!tag) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tag not found',
+        });
+      }
+
+      const { modifiedCount } = await NewsArticle.updateMany(
+        { tags: tag._id },
+        { $pull: { tags: tag._id } }
+      );
+      await Tag.findByIdAndDelete(tag._id);
+
+      logger.info(
+        `Tag deleted: ${tag.name} (removed from ${modifiedCount} articles) by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Tag deleted successfully',
+        data: {
+          articlesUpdated: modifiedCount,
+        },
+      });
+    } catch (error) {
+      logger.error('Delete tag error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete tag',
+      });
+    }
+  }
+);
+
+module.exports = router;
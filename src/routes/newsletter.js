@@ -0,0 +1,416 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateBody,
+  validatePagination,
+} = require('../middleware/validation');
+const { newsletterLimiter } = require('../middleware/rateLimit');
+const { newsletterValidation } = require('../utils/validators');
+
+// Import models
+const NewsletterSubscriber = require('../models/NewsletterSubscriberModel');
+
+// Import services
+const {
+  sendNewsletterOptInEmail,
+  sendNewsletterConfirmation,
+} = require('../services/emailService');
+
+// Import utilities
+const { createPagination, escapeRegex } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Public routes
+/**
+ * @swagger
+ * /api/newsletter/subscribe:
+ *   post:
+ *     summary: Subscribe to the newsletter (Public)
+ *     description: Sends a double opt-in email. The subscription only becomes active once confirmed.
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Confirmation email sent
+ *       429:
+ *         description: Too many subscription attempts
+ */
+router.post(
+  '/subscribe',
+  newsletterLimiter,
+  validateBody(newsletterValidation.subscribe),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      let subscriber = await NewsletterSubscriber.findByEmail(email);
+
+      // Respond identically for already-active subscribers so the endpoint
+      // can't be used to probe who is on the list
+      if (subscriber && subscriber.isActive) {
+        return res.status(202).json({
+          success: true,
+          message: 'Please check your email to confirm your subscription.',
+        });
+      }
+
+      if (!subscriber) {
+        subscriber = new NewsletterSubscriber({
+          email,
+          isActive: false,
+          source: 'website',
+          ipAddress: req.ip || req.connection.remoteAddress,
+          userAgent: req.get('User-Agent'),
+        });
+      }
+
+      await subscriber.requestConfirmation();
+      await sendNewsletterOptInEmail(
+        subscriber.email,
+        subscriber.confirmationToken
+      );
+
+      logger.info(`Newsletter subscription requested: ${subscriber.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Please check your email to confirm your subscription.',
+      });
+    } catch (error) {
+      logger.error('Newsletter subscribe error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to subscribe. Please try again later.',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/confirm:
+ *   post:
+ *     summary: Confirm a newsletter subscription (Public)
+ *     description: Confirmation links expire 48 hours after they are sent.
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription confirmed
+ *       404:
+ *         description: Invalid or expired confirmation token
+ */
+router.post(
+  '/confirm',
+  validateBody(newsletterValidation.token),
+  async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      const subscriber = await NewsletterSubscriber.findByConfirmationToken(
+        token
+      );
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invalid or expired confirmation link',
+        });
+      }
+
+      await subscriber.confirm();
+      await sendNewsletterConfirmation(
+        subscriber.email,
+        subscriber.unsubscribeToken
+      );
+
+      logger.info(`Newsletter subscription confirmed: ${subscriber.email}`);
+
+      res.json({
+        success: true,
+        message: 'Your subscription has been confirmed. Thank you!',
+        data: {
+          subscriber: subscriber.getPublicData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Newsletter confirm error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm subscription',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/unsubscribe:
+ *   post:
+ *     summary: Unsubscribe using the token from a newsletter email (Public)
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed successfully
+ *       404:
+ *         description: Invalid unsubscribe token
+ */
+router.post(
+  '/unsubscribe',
+  validateBody(newsletterValidation.token),
+  async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      const subscriber = await NewsletterSubscriber.findByUnsubscribeToken(
+        token
+      );
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invalid unsubscribe link',
+        });
+      }
+
+      if (subscriber.isActive) {
+        await subscriber.unsubscribe();
+        logger.info(`Newsletter unsubscribed: ${subscriber.email}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'You have been unsubscribed from our newsletter',
+      });
+    } catch (error) {
+      logger.error('Newsletter unsubscribe error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unsubscribe',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/resubscribe:
+ *   post:
+ *     summary: Resubscribe using the token from the unsubscribe link (Public)
+ *     description: >
+ *       Sends a double opt-in email, as subscribing does. The subscription
+ *       only becomes active again once confirmed.
+ *     tags: [Newsletter]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: Confirmation email sent
+ *       404:
+ *         description: Invalid token
+ */
+router.post(
+  '/resubscribe',
+  newsletterLimiter,
+  validateBody(newsletterValidation.token),
+  async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      const subscriber = await NewsletterSubscriber.findByUnsubscribeToken(
+        token
+      );
+      if (!subscriber) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invalid resubscribe link',
+        });
+      }
+
+      // The token may come from an old or forwarded email, so the address
+      // is confirmed again before anything is sent to it
+      if (!subscriber.isActive) {
+        await subscriber.requestConfirmation();
+        await sendNewsletterOptInEmail(
+          subscriber.email,
+          subscriber.confirmationToken
+        );
+        logger.info(`Newsletter resubscription requested: ${subscriber.email}`);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Please check your email to confirm your subscription.',
+      });
+    } catch (error) {
+      logger.error('Newsletter resubscribe error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resubscribe',
+      });
+    }
+  }
+);
+
+// Protected routes (Admin only)
+/**
+ * @swagger
+ * /api/newsletter/subscribers:
+ *   get:
+ *     summary: Get newsletter subscribers (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, pending, unsubscribed]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscribers retrieved successfully
+ */
+router.get(
+  '/subscribers',
+  authenticateToken,
+  requirePermission('newsletter:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page, limit, status, search } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (status === 'active') {
+        query.isActive = true;
+      } else if (status === 'pending') {
+        query.isActive = false;
+        query.confirmationToken = { $exists: true };
+      } else if (status === 'unsubscribed') {
+        query.isActive = false;
+        query.confirmationToken = { $exists: false };
+      }
+
+      if (search) {
+        query.email = { $regex: escapeRegex(String(search)), $options: 'i' };
+      }
+
+      const subscribers = await NewsletterSubscriber.find(query)
+        .sort({ subscribedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await NewsletterSubscriber.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          subscribers: subscribers.map((subscriber) =>
+            subscriber.getPublicData()
+          ),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get newsletter subscribers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get subscribers',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/stats:
+ *   get:
+ *     summary: Get newsletter subscription statistics (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get(
+  '/stats',
+  authenticateToken,
+  requirePermission('newsletter:read'),
+  async (req, res) => {
+    try {
+      const statistics = await NewsletterSubscriber.getStatistics();
+
+      res.json({
+        success: true,
+        data: {
+          statistics,
+        },
+      });
+    } catch (error) {
+      logger.error('Get newsletter statistics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get newsletter statistics',
+      });
+    }
+  }
+);
+
+module.exports = router;
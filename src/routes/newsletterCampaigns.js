@@ -0,0 +1,736 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  validateBody,
+  validateObjectId,
+  validateQuery,
+} = require('../middleware/validation');
+
+// Import models
+const NewsletterCampaign = require('../models/NewsletterCampaignModel');
+const NewsletterDelivery = require('../models/NewsletterDeliveryModel');
+
+// Import services
+const {
+  emailTemplates,
+  sendNewsletterToSubscriber,
+} = require('../services/emailService');
+const {
+  processDueCampaigns,
+} = require('../services/newsletterCampaignService');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Validation schemas
+const campaignValidation = {
+  create: Joi.object({
+    subject: Joi.string().min(3).max(200).required().messages({
+      'string.min': 'Subject must be at least 3 characters long',
+      'string.max': 'Subject cannot exceed 200 characters',
+      'any.required': 'Subject is required',
+    }),
+    html: Joi.string().required().messages({
+      'any.required': 'HTML content is required',
+    }),
+    text: Joi.string().allow('').optional(),
+  }),
+  update: Joi.object({
+    subject: Joi.string().min(3).max(200).optional().messages({
+      'string.min': 'Subject must be at least 3 characters long',
+      'string.max': 'Subject cannot exceed 200 characters',
+    }),
+    html: Joi.string().optional(),
+    text: Joi.string().allow('').optional(),
+  }),
+  testSend: Joi.object({
+    emails: Joi.array()
+      .items(Joi.string().email())
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        'array.min': 'At least one test recipient is required',
+        'array.max': 'No more than 5 test recipients are allowed',
+        'string.email': 'Please provide valid email addresses',
+        'any.required': 'Test recipients are required',
+      }),
+  }),
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string()
+      .valid('draft', 'scheduled', 'sending', 'sent')
+      .optional(),
+  }),
+  listDeliveries: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid('sent', 'failed').optional(),
+  }),
+  schedule: Joi.object({
+    scheduledAt: Joi.date().iso().min('now').optional().messages({
+      'date.min': 'Scheduled time must be in the future',
+    }),
+  }),
+};
+
+// Explain why a conditional change matched nothing: the campaign is either
+// gone or already claimed for sending. Sends the error response.
+const sendNotEditable = async (id, res) => {
+  const campaign = await NewsletterCampaign.findById(id).select('status');
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      message: 'Campaign not found',
+    });
+  }
+
+  res.status(409).json({
+    success: false,
+    message: `Campaign cannot be changed while ${campaign.status}`,
+  });
+};
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns:
+ *   get:
+ *     summary: Get newsletter campaigns (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, sending, sent]
+ *     responses:
+ *       200:
+ *         description: Campaigns retrieved successfully
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateQuery(campaignValidation.list),
+  async (req, res) => {
+    try {
+      const { page, limit, status } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (status) {
+        query.status = status;
+      }
+
+      const campaigns = await NewsletterCampaign.find(query)
+        .populate('createdBy', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await NewsletterCampaign.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          campaigns: campaigns.map((campaign) => campaign.adminData),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get newsletter campaigns error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get campaigns',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns:
+ *   post:
+ *     summary: Compose a draft newsletter campaign (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - html
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               html:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 description: Plain-text version (derived from HTML if omitted)
+ *     responses:
+ *       201:
+ *         description: Campaign created successfully
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateBody(campaignValidation.create),
+  async (req, res) => {
+    try {
+      const campaign = new NewsletterCampaign({
+        ...req.body,
+        status: 'draft',
+        createdBy: req.user._id,
+      });
+      await campaign.save();
+
+      logger.info(
+        `Newsletter campaign created: ${campaign.subject} by ${req.user.email}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Campaign created successfully',
+        data: {
+          campaign: campaign.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Create newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}:
+ *   get:
+ *     summary: Get newsletter campaign by ID (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign retrieved successfully
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.findById(
+        req.params.id
+      ).populate('createdBy updatedBy', 'fullName email');
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          campaign: campaign.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Get newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}:
+ *   put:
+ *     summary: Update a draft or scheduled campaign (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign updated successfully
+ *       409:
+ *         description: Campaign is already sending or sent
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  validateBody(campaignValidation.update),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.updateIfEditable(
+        req.params.id,
+        { ...req.body, updatedBy: req.user._id }
+      );
+      if (!campaign) {
+        return sendNotEditable(req.params.id, res);
+      }
+
+      logger.info(
+        `Newsletter campaign updated: ${campaign.subject} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Campaign updated successfully',
+        data: {
+          campaign: campaign.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Update newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}:
+ *   delete:
+ *     summary: Delete a draft or scheduled campaign (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign deleted successfully
+ *       409:
+ *         description: Campaign is already sending or sent
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.deleteIfEditable(req.params.id);
+      if (!campaign) {
+        return sendNotEditable(req.params.id, res);
+      }
+
+      logger.info(
+        `Newsletter campaign deleted: ${campaign.subject} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Campaign deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}/preview:
+ *   get:
+ *     summary: Render the campaign email as subscribers will see it (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rendered subject, HTML and text
+ */
+router.get(
+  '/:id/preview',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found',
+        });
+      }
+
+      const unsubscribeLink = `${process.env.CORS_ORIGIN}/unsubscribe?token=preview`;
+      const preview = emailTemplates.newsletter(
+        campaign.getContent(),
+        unsubscribeLink
+      );
+
+      res.json({
+        success: true,
+        data: {
+          preview,
+        },
+      });
+    } catch (error) {
+      logger.error('Preview newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}/test-send:
+ *   post:
+ *     summary: Send the campaign to a few test addresses (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emails
+ *             properties:
+ *               emails:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Test emails sent
+ */
+router.post(
+  '/:id/test-send',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  validateBody(campaignValidation.testSend),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found',
+        });
+      }
+
+      const content = {
+        ...campaign.getContent(),
+        subject: `[TEST] ${campaign.subject}`,
+      };
+      const results = [];
+
+      for (const email of req.body.emails) {
+        try {
+          await sendNewsletterToSubscriber(
+            { email, unsubscribeToken: 'test' },
+            content
+          );
+          results.push({ email, status: 'sent' });
+        } catch (error) {
+          results.push({ email, status: 'failed', error: error.message });
+        }
+      }
+
+      campaign.lastTestSentAt = new Date();
+      await campaign.save();
+
+      logger.info(
+        `Newsletter campaign test sent: ${campaign.subject} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Test emails processed',
+        data: {
+          results,
+        },
+      });
+    } catch (error) {
+      logger.error('Test send newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send test emails',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}/schedule:
+ *   post:
+ *     summary: Schedule a campaign for sending (Admin only)
+ *     description: Omitting scheduledAt queues the campaign to send immediately.
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Campaign scheduled successfully
+ *       409:
+ *         description: Campaign is already sending or sent
+ */
+router.post(
+  '/:id/schedule',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  validateBody(campaignValidation.schedule),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.schedule(
+        req.params.id,
+        req.body.scheduledAt,
+        req.user._id
+      );
+      if (!campaign) {
+        return sendNotEditable(req.params.id, res);
+      }
+
+      logger.info(
+        `Newsletter campaign scheduled: ${
+          campaign.subject
+        } for ${campaign.scheduledAt.toISOString()} by ${req.user.email}`
+      );
+
+      // Don't wait for the next poll when sending right away
+      if (campaign.scheduledAt <= new Date()) {
+        processDueCampaigns();
+      }
+
+      res.json({
+        success: true,
+        message: 'Campaign scheduled successfully',
+        data: {
+          campaign: campaign.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Schedule newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}/unschedule:
+ *   post:
+ *     summary: Move a scheduled campaign back to draft (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign moved back to draft
+ *       409:
+ *         description: Campaign is already sending or sent
+ */
+router.post(
+  '/:id/unschedule',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const campaign = await NewsletterCampaign.unschedule(
+        req.params.id,
+        req.user._id
+      );
+      if (!campaign) {
+        return sendNotEditable(req.params.id, res);
+      }
+
+      logger.info(
+        `Newsletter campaign unscheduled: ${campaign.subject} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Campaign moved back to draft',
+        data: {
+          campaign: campaign.adminData,
+        },
+      });
+    } catch (error) {
+      logger.error('Unschedule newsletter campaign error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unschedule campaign',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/newsletter/campaigns/{id}/deliveries:
+ *   get:
+ *     summary: Get per-recipient delivery results (Admin only)
+ *     tags: [Newsletter]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [sent, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ */
+router.get(
+  '/:id/deliveries',
+  authenticateToken,
+  requirePermission('newsletter:send'),
+  validateObjectId('id'),
+  validateQuery(campaignValidation.listDeliveries),
+  async (req, res) => {
+    try {
+      const { page, limit, status } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = { campaignId: req.params.id };
+      if (status) {
+        query.status = status;
+      }
+
+      const deliveries = await NewsletterDelivery.find(query)
+        .sort({ attemptedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await NewsletterDelivery.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          deliveries: deliveries.map((delivery) => delivery.getAdminData()),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get newsletter deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get deliveries',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,428 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { validateBody } = require('../middleware/validation');
+const { roleValidation } = require('../utils/validators');
+
+// Import models
+const Role = require('../models/RoleModel');
+const User = require('../models/UserModel');
+
+// Import utilities
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Fetch a role by name, or send a 404
+const findRole = async (name, res) => {
+  const role = await Role.findByName(name);
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+    return null;
+  }
+  return role;
+};
+
+// Refuse to grant permissions the signed-in user doesn't hold. Sends a 403
+// and returns false if the list has any.
+const checkGrantable = async (req, res, permissions) => {
+  const ungranted = await req.user.getUngrantedPermissions(permissions);
+  if (ungranted.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot grant permissions your own role does not have',
+      data: {
+        permissions: ungranted,
+      },
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get roles with their permissions and user counts
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  async (req, res) => {
+    try {
+      const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+      const counts = await User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } },
+      ]);
+      const userCounts = Object.fromEntries(
+        counts.map((entry) => [entry._id, entry.count])
+      );
+
+      res.json({
+        success: true,
+        data: {
+          roles: roles.map((role) => ({
+            ...role.getAdminData(),
+            userCount: userCounts[role.name] || 0,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get roles',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get every permission a role can grant
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get(
+  '/permissions',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+          key,
+          description,
+        })),
+      },
+    });
+  }
+);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   get:
+ *     summary: Get a role by name
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *       404:
+ *         description: Role not found
+ */
+router.get(
+  '/:name',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  async (req, res) => {
+    try {
+      const role = await findRole(req.params.name, res);
+      if (!role) return;
+
+      res.json({
+        success: true,
+        data: {
+          role: role.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Get role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get role',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Only permissions your own role holds can be granted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - displayName
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Lowercase letters, digits and underscores
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       403:
+ *         description: Permission not held by your own role
+ *       409:
+ *         description: Role already exists
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  validateBody(roleValidation.create),
+  auditTrail(Role, 'create'),
+  async (req, res) => {
+    try {
+      const { name, displayName, description, permissions } = req.body;
+
+      if (await Role.exists({ name })) {
+        return res.status(409).json({
+          success: false,
+          message: 'Role already exists',
+        });
+      }
+
+      if (permissions && !(await checkGrantable(req, res, permissions))) {
+        return;
+      }
+
+      const role = new Role({
+        name,
+        displayName,
+        description,
+        permissions,
+        createdBy: req.user._id,
+        updatedBy: req.user._id,
+      });
+      await role.save();
+
+      logger.info(`Role created: ${role.name} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: {
+          role: role.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create role',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a role's details or permissions
+ *     description: >
+ *       The admin role's permissions cannot be changed. Only permissions your
+ *       own role holds can be added; ones the role already has may be kept.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: Role permissions cannot be changed, or a permission is not held by your own role
+ */
+router.put(
+  '/:name',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  validateBody(roleValidation.update),
+  auditTrail(Role, 'update', 'name', 'name'),
+  async (req, res) => {
+    try {
+      const { displayName, description, permissions } = req.body;
+
+      const role = await findRole(req.params.name, res);
+      if (!role) return;
+
+      if (permissions && !role.isEditable()) {
+        return res.status(403).json({
+          success: false,
+          message: 'The permissions of this role cannot be changed',
+        });
+      }
+
+      // Don't let admins strip their own role of the ability to manage roles
+      if (
+        permissions &&
+        role.name === req.user.role &&
+        !permissions.includes('roles:manage')
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot remove role management from your own role',
+        });
+      }
+
+      if (
+        permissions &&
+        !(await checkGrantable(
+          req,
+          res,
+          permissions.filter(
+            (permission) => !role.permissions.includes(permission)
+          )
+        ))
+      ) {
+        return;
+      }
+
+      if (displayName !== undefined) role.displayName = displayName;
+      if (description !== undefined) role.description = description;
+      if (permissions !== undefined) role.permissions = permissions;
+      role.updatedBy = req.user._id;
+      await role.save();
+
+      logger.info(`Role updated: ${role.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: {
+          role: role.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   delete:
+ *     summary: Delete a custom role that no user holds
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: Built-in roles cannot be deleted
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete(
+  '/:name',
+  authenticateToken,
+  requirePermission('roles:manage'),
+  auditTrail(Role, 'delete', 'name', 'name'),
+  async (req, res) => {
+    try {
+      const role = await findRole(req.params.name, res);
+      if (!role) return;
+
+      if (role.isSystem) {
+        return res.status(403).json({
+          success: false,
+          message: 'Built-in roles cannot be deleted',
+        });
+      }
+
+      const assigned = await User.countDocuments({ role: role.name });
+      if (assigned > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is still assigned to ${assigned} user(s)`,
+        });
+      }
+
+      await role.deleteOne();
+
+      logger.info(`Role deleted: ${role.name} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete role',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { validateQuery } = require('../middleware/validation');
+
+// Import services
+const {
+  SEARCH_TYPES,
+  searchSite,
+  getSuggestions,
+} = require('../services/searchService');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const searchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required().messages({
+    'any.required': 'Search query is required',
+  }),
+  types: Joi.array()
+    .items(Joi.string().valid(...SEARCH_TYPES))
+    .single()
+    .unique()
+    .optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+});
+
+const suggestQuerySchema = Joi.object({
+  q: Joi.string().trim().min(2).max(100).required().messages({
+    'any.required': 'Search query is required',
+  }),
+  limit: Joi.number().integer().min(1).max(20).default(8),
+});
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search all public content
+ *     description: >
+ *       Searches published news, active FAQs, verified success stories and
+ *       team members, and returns one list ranked by relevance. Each hit has
+ *       a type, a canonical website URL and a snippet with matches wrapped
+ *       in <mark> tags. Up to 50 hits are ranked per content type.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query; supports "quoted phrases" and -excluded words
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [news, faq, success_story, team_member]
+ *         description: Content types to search (repeat the parameter for several); all by default
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Ranked hits, hit counts per type and autocomplete suggestions
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', validateQuery(searchQuerySchema), async (req, res) => {
+  try {
+    const { q, types, page, limit } = req.query;
+
+    const [{ hits, total, counts }, suggestions] = await Promise.all([
+      searchSite(q, { types, page, limit }),
+      getSuggestions(q),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        hits,
+        counts,
+        suggestions,
+        pagination: createPagination(page, limit, total),
+      },
+    });
+  } catch (error) {
+    logger.error('Site search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/search/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for the search box
+ *     description: >
+ *       Category names, team member names, article titles and FAQ questions
+ *       with a word starting with the query.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Partial query, at least 2 characters
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *     responses:
+ *       200:
+ *         description: Suggestions with their type and canonical URL
+ *       400:
+ *         description: Validation error
+ */
+router.get('/suggest', validateQuery(suggestQuerySchema), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        suggestions: await getSuggestions(q, limit),
+      },
+    });
+  } catch (error) {
+    logger.error('Search suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get suggestions',
+    });
+  }
+});
+
+module.exports = router;
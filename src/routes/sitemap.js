@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+
+// Import services
+const {
+  buildSitemapIndex,
+  buildSitemap,
+} = require('../services/sitemapService');
+
+// Import utilities
+const logger = require('../utils/logger');
+
+// Crawlers fetch sitemaps rarely; an hour's staleness is fine
+const SITEMAP_MAX_AGE_SECONDS = 3600;
+
+const sendXml = (res, { xml, lastModified }) => {
+  res.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE_SECONDS}`);
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  res.type('application/xml').send(xml);
+};
+
+/**
+ * @swagger
+ * /sitemap.xml:
+ *   get:
+ *     summary: Sitemap index of all public content
+ *     description: >
+ *       Lists a child sitemap per content type (listing pages, news articles,
+ *       categories, verified success stories and team members). Types with
+ *       more than 50,000 URLs are split over several files.
+ *     tags: [Sitemap]
+ *     responses:
+ *       200:
+ *         description: Sitemap index XML
+ */
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    sendXml(res, await buildSitemapIndex());
+  } catch (error) {
+    logger.error('Sitemap index error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build sitemap',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /sitemaps/{name}.xml:
+ *   get:
+ *     summary: Child sitemap for one content type
+ *     tags: [Sitemap]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Type and file number, e.g. news-1, as listed in /sitemap.xml
+ *     responses:
+ *       200:
+ *         description: Sitemap XML, with lastmod from each document's updatedAt
+ *       404:
+ *         description: Sitemap not found
+ */
+router.get('/sitemaps/:name.xml', async (req, res) => {
+  try {
+    const match = /^([a-z-]+)-(\d+)$/.exec(req.params.name);
+    const sitemap = match
+      ? await buildSitemap(match[1], parseInt(match[2]))
+      : null;
+
+    if (!sitemap) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found',
+      });
+    }
+
+    sendXml(res, sitemap);
+  } catch (error) {
+    logger.error('Sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build sitemap',
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,9 @@ const router = express.Router();
 const Joi = require('joi');
 
 // Import middleware
-const {
-  authenticateToken,
-  requireAdmin,
-  requireContentManager,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { resolveLocale } = require('../middleware/locale');
 const {
   validateBody,
   validateObjectId,
@@ -18,8 +16,12 @@ const {
 const SuccessStory = require('../models/SuccessStoryModel');
 const NewsCategory = require('../models/NewsCategoryModel');
 
+// Import services
+const { recordView } = require('../services/viewAnalyticsService');
+
 // Import utilities
 const { createPagination } = require('../utils/helpers');
+const { translationsSchema } = require('../utils/validators');
 const logger = require('../utils/logger');
 
 // Validation schemas
@@ -94,9 +96,16 @@ const successStoryValidation = {
     }),
     featured: Joi.boolean().optional(),
     isActive: Joi.boolean().optional(),
+    translations: translationsSchema({ content: 5000, location: 200 }),
   }),
 };
 
+// Public data with the story and location in the reader's language
+const localizedStory = (story, locale) => ({
+  ...story.publicData,
+  ...story.localize(locale),
+});
+
 // Public routes
 /**
  * @swagger
@@ -160,11 +169,17 @@ router.get('/categories', async (req, res) => {
  *         name: search
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Success stories retrieved successfully
  */
-router.get('/', validatePagination, async (req, res) => {
+router.get('/', validatePagination, resolveLocale, async (req, res) => {
   try {
     const { page, limit, categoryId, search } = req.query;
 
@@ -178,7 +193,9 @@ router.get('/', validatePagination, async (req, res) => {
     res.json({
       success: true,
       data: {
-        successStories: successStories.map((story) => story.publicData),
+        successStories: successStories.map((story) =>
+          localizedStory(story, req.locale)
+        ),
         pagination: createPagination(page, limit, total),
       },
     });
@@ -203,11 +220,17 @@ router.get('/', validatePagination, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Success story retrieved successfully
  */
-router.get('/:id', validateObjectId('id'), async (req, res) => {
+router.get('/:id', validateObjectId('id'), resolveLocale, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -222,13 +245,14 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
       });
     }
 
-    // Increment view count
-    await successStory.incrementViewCount();
+    if (await recordView(req, 'success_story', successStory)) {
+      successStory.viewCount += 1;
+    }
 
     res.json({
       success: true,
       data: {
-        successStory: successStory.publicData,
+        successStory: localizedStory(successStory, req.locale),
       },
     });
   } catch (error) {
@@ -246,18 +270,27 @@ router.get('/:id', validateObjectId('id'), async (req, res) => {
  *   get:
  *     summary: Get featured success stories (Public)
  *     tags: [Success Stories]
+ *     parameters:
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           enum: [en, ha, ar]
+ *         description: Language to return, overriding Accept-Language
  *     responses:
  *       200:
  *         description: Featured success stories retrieved successfully
  */
-router.get('/featured', async (req, res) => {
+router.get('/featured', resolveLocale, async (req, res) => {
   try {
     const featuredStories = await SuccessStory.findFeatured();
 
     res.json({
       success: true,
       data: {
-        featuredStories: featuredStories.map((story) => story.publicData),
+        featuredStories: featuredStories.map((story) =>
+          localizedStory(story, req.locale)
+        ),
       },
     });
   } catch (error) {
@@ -320,6 +353,7 @@ router.get('/featured', async (req, res) => {
 router.post(
   '/',
   validateBody(successStoryValidation.create),
+  auditTrail(SuccessStory, 'submit'),
   async (req, res) => {
     try {
       const { categoryId } = req.body;
@@ -341,6 +375,7 @@ router.post(
 
       const successStory = new SuccessStory(storyData);
       await successStory.save();
+      res.locals.auditTargetId = successStory._id;
 
       logger.info(
         `Success story submitted by ${storyData.submittedBy} (${storyData.submittedEmail}) in category: ${category.name}`
@@ -405,7 +440,7 @@ router.post(
 router.get(
   '/admin/all',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:read'),
   validatePagination,
   async (req, res) => {
     try {
@@ -461,7 +496,7 @@ router.get(
 router.get(
   '/admin/pending',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:read'),
   async (req, res) => {
     try {
       const pendingStories = await SuccessStory.findPending();
@@ -504,7 +539,7 @@ router.get(
 router.get(
   '/admin/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:read'),
   validateObjectId('id'),
   async (req, res) => {
     try {
@@ -558,8 +593,9 @@ router.get(
 router.post(
   '/admin/:id/approve',
   authenticateToken,
-  requireAdmin,
+  requirePermission('stories:approve'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'approve'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -626,8 +662,9 @@ router.post(
 router.post(
   '/admin/:id/reject',
   authenticateToken,
-  requireAdmin,
+  requirePermission('stories:approve'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'reject'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -674,6 +711,15 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               translations:
+ *                 type: object
+ *                 description: Story and location per locale, e.g. { ha: { content, location } }
  *     responses:
  *       200:
  *         description: Success story updated successfully
@@ -681,9 +727,10 @@ router.post(
 router.put(
   '/admin/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
   validateBody(successStoryValidation.update),
+  auditTrail(SuccessStory, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -696,7 +743,9 @@ router.put(
         });
       }
 
-      Object.assign(successStory, req.body);
+      const { translations, ...updates } = req.body;
+      Object.assign(successStory, updates);
+      successStory.setTranslations(translations);
       await successStory.save();
 
       // Populate category after update
@@ -744,8 +793,9 @@ router.put(
 router.post(
   '/admin/:id/toggle-featured',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'toggle_featured'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -805,8 +855,9 @@ router.post(
 router.post(
   '/admin/:id/toggle-active',
   authenticateToken,
-  requireContentManager,
+  requirePermission('stories:write'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'toggle_active'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -866,8 +917,9 @@ router.post(
 router.delete(
   '/admin/:id',
   authenticateToken,
-  requireAdmin,
+  requirePermission('stories:delete'),
   validateObjectId('id'),
+  auditTrail(SuccessStory, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -2,10 +2,8 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const {
-  authenticateToken,
-  requireContentManager,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const {
   validateBody,
   validateObjectId,
@@ -21,6 +19,9 @@ const { teamMemberValidation } = require('../utils/validators');
 // Import models
 const TeamMember = require('../models/TeamMemberModel');
 
+// Import services
+const { recordAudit } = require('../services/auditService');
+
 // Import utilities
 const { createPagination } = require('../utils/helpers');
 const logger = require('../utils/logger');
@@ -116,7 +117,7 @@ router.get('/management', async (req, res) => {
 router.get(
   '/',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validatePagination,
   async (req, res) => {
     try {
@@ -189,8 +190,9 @@ router.get(
 router.post(
   '/',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateBody(teamMemberValidation.create),
+  auditTrail(TeamMember, 'create'),
   async (req, res) => {
     try {
       const member = new TeamMember(req.body);
@@ -236,9 +238,10 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateObjectId('id'),
   validateBody(teamMemberValidation.update),
+  auditTrail(TeamMember, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -294,8 +297,9 @@ router.put(
 router.delete(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateObjectId('id'),
+  auditTrail(TeamMember, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -341,7 +345,7 @@ router.delete(
 router.post(
   '/upload-image',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   uploadSingleFile,
   handleUploadError,
   async (req, res) => {
@@ -406,7 +410,7 @@ router.post(
 router.post(
   '/reorder',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   async (req, res) => {
     try {
       const { memberType, order } = req.body;
@@ -419,6 +423,11 @@ router.post(
       }
 
       await TeamMember.reorderMembers(memberType, order);
+      await recordAudit(req, {
+        action: 'reorder',
+        targetModel: TeamMember.modelName,
+        changes: [{ field: 'orderIndex', after: order }],
+      });
 
       logger.info(
         `Team members reordered for ${memberType} by ${req.user.email}`
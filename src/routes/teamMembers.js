@@ -3,10 +3,8 @@ const router = express.Router();
 const Joi = require('joi');
 
 // Import middleware
-const {
-  authenticateToken,
-  requireContentManager,
-} = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const {
   validateBody,
   validateObjectId,
@@ -279,8 +277,9 @@ router.get('/management', async (req, res) => {
 router.post(
   '/',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateBody(teamMemberValidation.create),
+  auditTrail(TeamMember, 'create'),
   async (req, res) => {
     try {
       const teamMemberData = {
@@ -333,9 +332,10 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateObjectId('id'),
   validateBody(teamMemberValidation.update),
+  auditTrail(TeamMember, 'update'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -393,8 +393,9 @@ router.put(
 router.delete(
   '/:id',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateObjectId('id'),
+  auditTrail(TeamMember, 'delete'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -448,8 +449,9 @@ router.delete(
 router.post(
   '/:id/toggle-active',
   authenticateToken,
-  requireContentManager,
+  requirePermission('team:write'),
   validateObjectId('id'),
+  auditTrail(TeamMember, 'toggle_active'),
   async (req, res) => {
     try {
       const { id } = req.params;
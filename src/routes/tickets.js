@@ -0,0 +1,604 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+  validateBody,
+  validateObjectId,
+  validatePagination,
+} = require('../middleware/validation');
+
+// Import models
+const ContactSubmission = require('../models/ContactSubmissionModel');
+const Contact = require('../models/ContactModel');
+const User = require('../models/UserModel');
+
+// Import services
+const { sendContactResponse } = require('../services/emailService');
+
+// Import utilities
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Validation schemas
+const ticketValidation = {
+  assign: Joi.object({
+    userId: Joi.string().hex().length(24).allow(null).required().messages({
+      'string.hex': 'Invalid user ID format',
+      'string.length': 'User ID must be 24 characters long',
+      'any.required': 'User ID is required (use null to unassign)',
+    }),
+  }),
+  priority: Joi.object({
+    priority: Joi.string()
+      .valid('low', 'medium', 'high', 'urgent')
+      .required()
+      .messages({
+        'any.only': 'Priority must be one of: low, medium, high, urgent',
+        'any.required': 'Priority is required',
+      }),
+  }),
+  status: Joi.object({
+    status: Joi.string()
+      .valid('new', 'in_progress', 'resolved', 'closed')
+      .required()
+      .messages({
+        'any.only': 'Status must be one of: new, in_progress, resolved, closed',
+        'any.required': 'Status is required',
+      }),
+  }),
+  respond: Joi.object({
+    response: Joi.string().min(10).max(1000).required().messages({
+      'string.min': 'Response must be at least 10 characters long',
+      'string.max': 'Response cannot exceed 1000 characters',
+      'any.required': 'Response is required',
+    }),
+    resolve: Joi.boolean().optional(),
+  }),
+};
+
+// Fetch a ticket with the assignee populated, or send a 404
+const findTicket = async (id, res) => {
+  const ticket = await ContactSubmission.findById(id).populate(
+    'assignedTo respondedBy',
+    'fullName email role'
+  );
+  if (!ticket) {
+    res.status(404).json({
+      success: false,
+      message: 'Ticket not found',
+    });
+    return null;
+  }
+  return ticket;
+};
+
+/**
+ * @swagger
+ * /api/tickets:
+ *   get:
+ *     summary: Get helpdesk tickets (Content Manager + Admin)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [new, in_progress, resolved, closed]
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: User ID, or "me" for tickets assigned to the caller
+ *       - in: query
+ *         name: unassigned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tickets retrieved successfully
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('tickets:read'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page, limit, status, priority, subject, unassigned, search } =
+        req.query;
+      const skip = (page - 1) * limit;
+
+      let { assignedTo } = req.query;
+      if (assignedTo === 'me') {
+        assignedTo = req.user._id;
+      } else if (assignedTo && !/^[0-9a-fA-F]{24}$/.test(assignedTo)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid assignedTo format',
+        });
+      }
+
+      const query = ContactSubmission.buildTicketQuery(search, {
+        status,
+        priority,
+        subject,
+        assignedTo,
+        unassigned: unassigned === 'true',
+      });
+
+      const tickets = await ContactSubmission.find(query)
+        .populate('assignedTo', 'fullName email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await ContactSubmission.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          tickets: tickets.map((ticket) => ticket.getAdminData()),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get tickets error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get tickets',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/stats:
+ *   get:
+ *     summary: Get helpdesk ticket statistics (Content Manager + Admin)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get(
+  '/stats',
+  authenticateToken,
+  requirePermission('tickets:read'),
+  async (req, res) => {
+    try {
+      const statistics = await ContactSubmission.getStatistics();
+
+      res.json({
+        success: true,
+        data: {
+          statistics,
+        },
+      });
+    } catch (error) {
+      logger.error('Get ticket statistics error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get ticket statistics',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}:
+ *   get:
+ *     summary: Get ticket by ID (Content Manager + Admin)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ticket retrieved successfully
+ *       404:
+ *         description: Ticket not found
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission('tickets:read'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const ticket = await findTicket(req.params.id, res);
+      if (!ticket) return;
+
+      res.json({
+        success: true,
+        data: {
+          ticket: ticket.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Get ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get ticket',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/assign:
+ *   put:
+ *     summary: Assign a ticket to a staff user (Admin only)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Staff user ID, or null to unassign
+ *     responses:
+ *       200:
+ *         description: Ticket assigned successfully
+ *       400:
+ *         description: User cannot be assigned tickets
+ */
+router.put(
+  '/:id/assign',
+  authenticateToken,
+  requirePermission('tickets:assign'),
+  validateObjectId('id'),
+  validateBody(ticketValidation.assign),
+  auditTrail(ContactSubmission, 'assign'),
+  async (req, res) => {
+    try {
+      const { userId } = req.body;
+
+      const ticket = await findTicket(req.params.id, res);
+      if (!ticket) return;
+
+      if (userId) {
+        const assignee = await User.findById(userId);
+        if (
+          !assignee ||
+          !assignee.isActive ||
+          !(await assignee.hasPermission('tickets:read'))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: 'Tickets can only be assigned to active staff users',
+          });
+        }
+        ticket.assignedTo = assignee._id;
+      } else {
+        ticket.assignedTo = undefined;
+      }
+
+      await ticket.save();
+      await ticket.populate('assignedTo', 'fullName email role');
+
+      logger.info(
+        `Ticket ${ticket._id} assigned to ${userId || 'nobody'} by ${
+          req.user.email
+        }`
+      );
+
+      res.json({
+        success: true,
+        message: userId
+          ? 'Ticket assigned successfully'
+          : 'Ticket unassigned successfully',
+        data: {
+          ticket: ticket.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Assign ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign ticket',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/priority:
+ *   put:
+ *     summary: Set ticket priority (Content Manager + Admin)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - priority
+ *             properties:
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *     responses:
+ *       200:
+ *         description: Ticket priority updated successfully
+ */
+router.put(
+  '/:id/priority',
+  authenticateToken,
+  requirePermission('tickets:respond'),
+  validateObjectId('id'),
+  validateBody(ticketValidation.priority),
+  auditTrail(ContactSubmission, 'update_priority'),
+  async (req, res) => {
+    try {
+      const ticket = await findTicket(req.params.id, res);
+      if (!ticket) return;
+
+      ticket.priority = req.body.priority;
+      await ticket.save();
+
+      logger.info(
+        `Ticket ${ticket._id} priority -> ${ticket.priority} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Ticket priority updated successfully',
+        data: {
+          ticket: ticket.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Update ticket priority error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update ticket priority',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/status:
+ *   put:
+ *     summary: Move a ticket through the workflow (Content Manager + Admin)
+ *     description: >
+ *       Allowed transitions are new -> in_progress/resolved/closed,
+ *       in_progress -> resolved/closed, resolved -> in_progress/closed and
+ *       closed -> in_progress (reopen).
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [new, in_progress, resolved, closed]
+ *     responses:
+ *       200:
+ *         description: Ticket status updated successfully
+ *       409:
+ *         description: Status transition not allowed
+ */
+router.put(
+  '/:id/status',
+  authenticateToken,
+  requirePermission('tickets:respond'),
+  validateObjectId('id'),
+  validateBody(ticketValidation.status),
+  auditTrail(ContactSubmission, 'update_status'),
+  async (req, res) => {
+    try {
+      const { status } = req.body;
+
+      const ticket = await findTicket(req.params.id, res);
+      if (!ticket) return;
+
+      if (!ticket.canTransitionTo(status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move ticket from ${ticket.status} to ${status}`,
+        });
+      }
+
+      // Picking up an unassigned ticket assigns it to the caller
+      const assignee =
+        status === 'in_progress' && !ticket.assignedTo ? req.user._id : null;
+      await ticket.updateStatus(status, assignee);
+
+      logger.info(
+        `Ticket ${ticket._id} status -> ${status} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'Ticket status updated successfully',
+        data: {
+          ticket: ticket.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Update ticket status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update ticket status',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/respond:
+ *   post:
+ *     summary: Email a reply to the sender (Content Manager + Admin)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: string
+ *               resolve:
+ *                 type: boolean
+ *                 description: Mark the ticket resolved after replying
+ *     responses:
+ *       200:
+ *         description: Response sent successfully
+ *       409:
+ *         description: Ticket is closed
+ *       502:
+ *         description: Response email could not be sent
+ */
+router.post(
+  '/:id/respond',
+  authenticateToken,
+  requirePermission('tickets:respond'),
+  validateObjectId('id'),
+  validateBody(ticketValidation.respond),
+  auditTrail(ContactSubmission, 'respond'),
+  async (req, res) => {
+    try {
+      const { response, resolve } = req.body;
+
+      const ticket = await findTicket(req.params.id, res);
+      if (!ticket) return;
+
+      if (ticket.status === 'closed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Reopen the ticket before responding',
+        });
+      }
+
+      // Only record the response once the email has actually gone out
+      const sent = await sendContactResponse(ticket, response);
+      if (!sent) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to send response email',
+        });
+      }
+
+      await ticket.addResponse(response, req.user._id);
+      if (resolve && ticket.canTransitionTo('resolved')) {
+        await ticket.updateStatus('resolved');
+      }
+      await ticket.populate('assignedTo respondedBy', 'fullName email role');
+
+      // Keep the original contact message in sync
+      if (ticket.contactId) {
+        const contact = await Contact.findById(ticket.contactId);
+        if (contact && contact.status !== 'replied') {
+          await contact.markAsReplied();
+        }
+      }
+
+      logger.info(`Ticket ${ticket._id} responded to by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Response sent successfully',
+        data: {
+          ticket: ticket.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Respond to ticket error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to respond to ticket',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuery } = require('../middleware/validation');
+
+// Import models
+const NewsArticle = require('../models/NewsArticleModel');
+const FAQ = require('../models/FAQModel');
+const SuccessStory = require('../models/SuccessStoryModel');
+
+// Import utilities
+const { TRANSLATION_LOCALES } = require('../config/locales');
+const { createPagination } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Translatable content, limited to what is or may soon be public
+const TRANSLATABLE_TYPES = {
+  news: {
+    model: NewsArticle,
+    filter: { status: { $ne: 'archived' } },
+    select: 'title description content status translations updatedAt',
+    title: (article) => article.title,
+  },
+  faq: {
+    model: FAQ,
+    filter: { isActive: true },
+    select: 'question answer translations updatedAt',
+    title: (faq) => faq.question,
+  },
+  success_story: {
+    model: SuccessStory,
+    filter: { isVerified: true, isActive: true },
+    select: 'submittedBy content location translations updatedAt',
+    title: (story) => `${story.submittedBy}, ${story.location}`,
+  },
+};
+
+const missingQuerySchema = Joi.object({
+  type: Joi.string()
+    .valid(...Object.keys(TRANSLATABLE_TYPES))
+    .default('news'),
+  locale: Joi.string()
+    .valid(...TRANSLATION_LOCALES)
+    .optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Documents of a type missing a translation in the locale, or in any
+// locale if none is given
+const buildMissingQuery = (config, locale) => {
+  const locales = locale ? [locale] : TRANSLATION_LOCALES;
+  return {
+    ...config.filter,
+    $or: locales.flatMap(
+      (code) => config.model.missingTranslationQuery(code).$or
+    ),
+  };
+};
+
+/**
+ * @swagger
+ * /api/translations/missing:
+ *   get:
+ *     summary: Get content that is missing translations
+ *     description: >
+ *       Counts per content type and locale, and a page of items of one type
+ *       listing which fields each locale still lacks. Covers articles that
+ *       aren't archived, active FAQs and published success stories.
+ *     tags: [Translations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [news, faq, success_story]
+ *           default: news
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [ha, ar]
+ *         description: Only items missing this locale
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Missing translations retrieved successfully
+ */
+router.get(
+  '/missing',
+  authenticateToken,
+  requirePermission('dashboard:read'),
+  validateQuery(missingQuerySchema),
+  async (req, res) => {
+    try {
+      const { type, locale, page, limit } = req.query;
+      const skip = (page - 1) * limit;
+
+      const summary = {};
+      for (const [name, config] of Object.entries(TRANSLATABLE_TYPES)) {
+        const counts = await Promise.all(
+          TRANSLATION_LOCALES.map((code) =>
+            config.model.countDocuments(buildMissingQuery(config, code))
+          )
+        );
+        summary[name] = {
+          total: await config.model.countDocuments(config.filter),
+          missing: TRANSLATION_LOCALES.reduce((result, code, index) => {
+            result[code] = counts[index];
+            return result;
+          }, {}),
+        };
+      }
+
+      const config = TRANSLATABLE_TYPES[type];
+      const query = buildMissingQuery(config, locale);
+      const documents = await config.model
+        .find(query)
+        .select(config.select)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await config.model.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          summary,
+          items: documents.map((document) => {
+            const missing = document.getMissingTranslations();
+            return {
+              _id: document._id,
+              title: config.title(document),
+              status: document.status,
+              missing: locale ? { [locale]: missing[locale] } : missing,
+              updatedAt: document.updatedAt,
+            };
+          }),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get missing translations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get missing translations',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { authenticateToken, requireNewsEditor } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   uploadSingleFile,
   handleUploadError,
@@ -84,7 +84,7 @@ const handleError = (error, res, operation = 'operation') => {
 router.post(
   '/',
   authenticateToken,
-  requireNewsEditor,
+  requirePermission('uploads:write'),
   uploadSingleFile,
   handleUploadError,
   async (req, res) => {
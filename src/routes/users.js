@@ -0,0 +1,742 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+
+// Import middleware
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const {
+  validateBody,
+  validateObjectId,
+  validatePagination,
+} = require('../middleware/validation');
+const { userValidation } = require('../utils/validators');
+
+// Import models
+const User = require('../models/UserModel');
+const Session = require('../models/SessionModel');
+const Role = require('../models/RoleModel');
+
+// Import services
+const {
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+} = require('../services/emailService');
+
+// Import utilities
+const { createPagination, escapeRegex } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Fetch a user by ID, or send a 404
+const findUser = async (id, res) => {
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return null;
+  }
+  return user;
+};
+
+// Whether removing admin rights from this user would leave no active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+  return (await User.countActiveAdmins(user._id)) === 0;
+};
+
+// Check a role exists and grants nothing the signed-in user lacks, so users
+// can't be given more access than whoever assigns it. Sends the error
+// response and returns false if not.
+const checkAssignableRole = async (req, res, role) => {
+  if (!(await Role.exists({ name: role }))) {
+    res.status(400).json({
+      success: false,
+      message: 'Role does not exist',
+    });
+    return false;
+  }
+
+  const ungranted = await req.user.getUngrantedPermissions(
+    await Role.getPermissions(role)
+  );
+  if (ungranted.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot assign a role with permissions you do not have',
+      data: {
+        permissions: ungranted,
+      },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Check the signed-in user holds every permission the target user has, so
+// nobody can take over, demote or remove someone with more access. Sends
+// the error response and returns false if not.
+const checkManageableUser = async (req, res, user) => {
+  const ungranted = await req.user.getUngrantedPermissions(
+    await Role.getPermissions(user.role)
+  );
+  if (ungranted.length > 0) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot manage a user with permissions you do not have',
+      data: {
+        permissions: ungranted,
+      },
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const isSelf = (req, user) => req.user._id.toString() === user._id.toString();
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get users (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Role name
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name or email
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validatePagination,
+  async (req, res) => {
+    try {
+      const { page, limit, role, isActive, search } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = {};
+      if (role) query.role = role;
+      if (isActive !== undefined) query.isActive = isActive === 'true';
+      if (search) {
+        const pattern = escapeRegex(String(search));
+        query.$or = [
+          { fullName: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } },
+        ];
+      }
+
+      const users = await User.find(query)
+        .select('-passwordHash')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+      const total = await User.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          users: users.map((user) => user.getAdminData()),
+          pagination: createPagination(page, limit, total),
+        },
+      });
+    } catch (error) {
+      logger.error('Get users error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get users',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  async (req, res) => {
+    try {
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+
+      res.json({
+        success: true,
+        data: {
+          user: user.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Get user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get user',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a staff account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *               - fullName
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               fullName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role granting no permission you lack
+ *               sendWelcomeEmail:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *       403:
+ *         description: Role grants permissions you do not have
+ *       409:
+ *         description: Email already registered
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateBody(userValidation.adminCreate),
+  auditTrail(User, 'create'),
+  async (req, res) => {
+    try {
+      const {
+        email,
+        password,
+        fullName,
+        phone,
+        role,
+        sendWelcomeEmail: notify,
+      } = req.body;
+
+      if (!(await checkAssignableRole(req, res, role))) {
+        return;
+      }
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: 'Email already registered',
+        });
+      }
+
+      const salt = await bcrypt.genSalt(12);
+      const hashedPassword = await bcrypt.hash(password, salt);
+
+      const user = new User({
+        email: email.toLowerCase(),
+        passwordHash: hashedPassword,
+        fullName,
+        phone,
+        role,
+        isActive: true,
+      });
+      await user.save();
+
+      if (notify) {
+        await sendWelcomeEmail(user.email, user.fullName);
+      }
+
+      logger.info(
+        `User created: ${user.email} (${user.role}) by ${req.user.email}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: {
+          user: user.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Create user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create user',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a user's details or role (Admin only)
+ *     description: Admins cannot change their own role, and the last active admin cannot be demoted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: Name of an existing role granting no permission you lack
+ *               profile:
+ *                 type: object
+ *                 description: >
+ *                   Author profile changes: slug, bio, photo and socialLinks
+ *                   (website, twitter, linkedin, facebook). An empty string
+ *                   clears a field.
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       403:
+ *         description: >
+ *           Cannot change own role, or the user or the new role has
+ *           permissions you do not have
+ *       409:
+ *         description: Cannot demote the last admin, or author slug taken
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  validateBody(userValidation.adminUpdate),
+  auditTrail(User, 'update'),
+  async (req, res) => {
+    try {
+      const { fullName, phone, role, profile } = req.body;
+
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+      if (!(await checkManageableUser(req, res, user))) return;
+
+      if (
+        profile &&
+        profile.slug &&
+        (await User.isProfileSlugTaken(profile.slug, user._id))
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: 'This author slug is already taken',
+        });
+      }
+
+      if (role && role !== user.role) {
+        if (!(await checkAssignableRole(req, res, role))) {
+          return;
+        }
+
+        if (isSelf(req, user)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You cannot change your own role',
+          });
+        }
+
+        if (role !== 'admin' && (await isLastActiveAdmin(user))) {
+          return res.status(409).json({
+            success: false,
+            message: 'Cannot demote the last active admin',
+          });
+        }
+      }
+
+      const previousRole = user.role;
+      if (fullName !== undefined) user.fullName = fullName;
+      if (phone !== undefined) user.phone = phone;
+      if (role !== undefined) user.role = role;
+      if (profile !== undefined) user.setAuthorProfile(profile);
+      await user.save();
+
+      logger.info(
+        previousRole !== user.role
+          ? `User role changed: ${user.email} ${previousRole} -> ${user.role} by ${req.user.email}`
+          : `User updated: ${user.email} by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: 'User updated successfully',
+        data: {
+          user: user.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Update user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user account and end its sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       403:
+ *         description: Cannot deactivate own account, or the user has permissions you do not have
+ *       409:
+ *         description: Cannot deactivate the last admin
+ */
+router.post(
+  '/:id/deactivate',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  auditTrail(User, 'deactivate'),
+  async (req, res) => {
+    try {
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+      if (!(await checkManageableUser(req, res, user))) return;
+
+      if (isSelf(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot deactivate your own account',
+        });
+      }
+
+      if (await isLastActiveAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot deactivate the last active admin',
+        });
+      }
+
+      user.isActive = false;
+      await user.save();
+      await Session.revokeAllForUser(user._id);
+
+      logger.info(`User deactivated: ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User deactivated successfully',
+        data: {
+          user: user.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Deactivate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate user',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/activate:
+ *   post:
+ *     summary: Reactivate a user account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User activated successfully
+ *       403:
+ *         description: The user has permissions you do not have
+ */
+router.post(
+  '/:id/activate',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  auditTrail(User, 'activate'),
+  async (req, res) => {
+    try {
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+      if (!(await checkManageableUser(req, res, user))) return;
+
+      user.isActive = true;
+      await user.save();
+
+      logger.info(`User activated: ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User activated successfully',
+        data: {
+          user: user.getAdminData(),
+        },
+      });
+    } catch (error) {
+      logger.error('Activate user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to activate user',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/reset-password:
+ *   post:
+ *     summary: Reset a user's password (Admin only)
+ *     description: >
+ *       Sets the given password directly, or emails the user a reset link when
+ *       no password is supplied. Either way the user's sessions are ended.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully or reset email sent
+ *       403:
+ *         description: The user has permissions you do not have
+ */
+router.post(
+  '/:id/reset-password',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  validateBody(userValidation.adminResetPassword),
+  auditTrail(User, 'reset_password'),
+  async (req, res) => {
+    try {
+      const { password } = req.body;
+
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+      if (!(await checkManageableUser(req, res, user))) return;
+
+      if (password) {
+        const salt = await bcrypt.genSalt(12);
+        user.setPasswordHash(await bcrypt.hash(password, salt));
+        await user.save();
+      } else {
+        const resetToken = user.createPasswordResetToken();
+        await user.save();
+
+        const sent = await sendPasswordResetEmail(user.email, resetToken);
+        if (!sent) {
+          return res.status(502).json({
+            success: false,
+            message: 'Failed to send password reset email',
+          });
+        }
+      }
+
+      await Session.revokeAllForUser(user._id);
+
+      logger.info(
+        `Password ${password ? 'reset' : 'reset link sent'} for ${
+          user.email
+        } by ${req.user.email}`
+      );
+
+      res.json({
+        success: true,
+        message: password
+          ? 'Password reset successfully'
+          : 'Password reset email sent',
+      });
+    } catch (error) {
+      logger.error('Admin reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user account (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       403:
+ *         description: Cannot delete own account, or the user has permissions you do not have
+ *       409:
+ *         description: Cannot delete the last admin
+ */
+router.delete(
+  '/:id',
+  authenticateToken,
+  requirePermission('users:manage'),
+  validateObjectId('id'),
+  auditTrail(User, 'delete'),
+  async (req, res) => {
+    try {
+      const user = await findUser(req.params.id, res);
+      if (!user) return;
+      if (!(await checkManageableUser(req, res, user))) return;
+
+      if (isSelf(req, user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot delete your own account',
+        });
+      }
+
+      if (await isLastActiveAdmin(user)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Cannot delete the last active admin',
+        });
+      }
+
+      await Session.deleteMany({ userId: user._id });
+      await User.findByIdAndDelete(user._id);
+
+      logger.info(`User deleted: ${user.email} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete user error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete user',
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+/**
+ * One-off migration: list each article saved before articles could be in
+ * several categories under its primary category, so category filters,
+ * feeds and counts still find it.
+ *
+ * Run it as part of deploying multi-category support: until an article is
+ * migrated, its next save lists it under its category, which counts as an
+ * edit for the revision history.
+ *
+ * Safe to re-run; only articles without categoryIds are updated.
+ *
+ * Usage: npm run migrate:article-categories
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const NewsArticle = require('../models/NewsArticleModel');
+const logger = require('../utils/logger');
+
+const migrateArticleCategories = async () => {
+  const result = await NewsArticle.updateMany(
+    {
+      categoryId: { $exists: true },
+      $or: [{ categoryIds: { $exists: false } }, { categoryIds: { $size: 0 } }],
+    },
+    [{ $set: { categoryIds: ['$categoryId'] } }],
+    { timestamps: false }
+  );
+
+  return { listed: result.modifiedCount };
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    logger.error('MONGODB_URI environment variable is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { listed } = await migrateArticleCategories();
+    logger.info(
+      `Article category migration finished: ${listed} articles listed under their category`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Article category migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateArticleCategories };
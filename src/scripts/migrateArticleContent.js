@@ -0,0 +1,79 @@
+/**
+ * One-off migration: render contentHtml for articles saved before content
+ * was sanitized on save. Their content is raw HTML, so it is sanitized as
+ * HTML. Uses direct updates so no revisions are recorded and updatedAt is
+ * left alone.
+ *
+ * Safe to re-run; only articles without contentHtml are updated.
+ *
+ * Usage: npm run migrate:article-content
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const NewsArticle = require('../models/NewsArticleModel');
+const { TRANSLATION_LOCALES } = require('../config/locales');
+const { renderContent } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const migrateArticleContent = async () => {
+  const cursor = NewsArticle.find({ contentHtml: { $exists: false } })
+    .select('content contentFormat translations')
+    .lean()
+    .cursor();
+
+  let rendered = 0;
+  for await (const article of cursor) {
+    const format = article.contentFormat || 'html';
+    const update = {
+      contentFormat: format,
+      contentHtml: renderContent(article.content, format),
+    };
+    TRANSLATION_LOCALES.forEach((locale) => {
+      const translated = article.translations?.[locale]?.content;
+      if (translated) {
+        update[`translations.${locale}.contentHtml`] = renderContent(
+          translated,
+          format
+        );
+      }
+    });
+
+    await NewsArticle.updateOne(
+      { _id: article._id },
+      { $set: update },
+      { timestamps: false }
+    );
+    rendered += 1;
+  }
+
+  return { rendered };
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    logger.error('MONGODB_URI environment variable is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { rendered } = await migrateArticleContent();
+    logger.info(
+      `Article content migration finished: ${rendered} articles rendered`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Article content migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateArticleContent };
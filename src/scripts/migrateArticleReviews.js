@@ -0,0 +1,73 @@
+/**
+ * One-off migration: mark articles that went live before the review
+ * workflow existed as approved, so they can still be published, scheduled
+ * and reactivated. Drafts are left to go through review.
+ *
+ * Safe to re-run; only articles without a reviewStatus are updated.
+ *
+ * Usage: npm run migrate:article-reviews
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const NewsArticle = require('../models/NewsArticleModel');
+const logger = require('../utils/logger');
+
+const migrateArticleReviews = async () => {
+  const missing = { reviewStatus: { $exists: false } };
+
+  const approved = await NewsArticle.updateMany(
+    {
+      ...missing,
+      status: { $in: ['published', 'suspended', 'archived', 'scheduled'] },
+    },
+    {
+      $set: { reviewStatus: 'approved' },
+      $push: {
+        reviewHistory: {
+          from: 'not_submitted',
+          to: 'approved',
+          note: 'Approved by migration',
+          createdAt: new Date(),
+        },
+      },
+    }
+  );
+
+  const notSubmitted = await NewsArticle.updateMany(missing, {
+    $set: { reviewStatus: 'not_submitted' },
+  });
+
+  return {
+    approved: approved.modifiedCount,
+    notSubmitted: notSubmitted.modifiedCount,
+  };
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    logger.error('MONGODB_URI environment variable is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { approved, notSubmitted } = await migrateArticleReviews();
+    logger.info(
+      `Article review migration finished: ${approved} approved, ${notSubmitted} left as not submitted`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Article review migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateArticleReviews };
@@ -0,0 +1,65 @@
+/**
+ * One-off migration: credit each article saved before co-authors were
+ * supported to its owner, and give every user without one an author slug
+ * generated from their name.
+ *
+ * Safe to re-run; only articles without authors and users without a slug
+ * are updated.
+ *
+ * Usage: npm run migrate:author-profiles
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const NewsArticle = require('../models/NewsArticleModel');
+const User = require('../models/UserModel');
+const logger = require('../utils/logger');
+
+const migrateAuthorProfiles = async () => {
+  const credited = await NewsArticle.updateMany(
+    { $or: [{ authors: { $exists: false } }, { authors: { $size: 0 } }] },
+    [{ $set: { authors: ['$authorId'] } }],
+    { timestamps: false }
+  );
+
+  // Saved one at a time so each slug is checked against those already given
+  let slugged = 0;
+  const cursor = User.find({ 'profile.slug': { $exists: false } }).cursor();
+  for await (const user of cursor) {
+    await user.save({ timestamps: false });
+    slugged += 1;
+  }
+
+  return {
+    credited: credited.modifiedCount,
+    slugged,
+  };
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    logger.error('MONGODB_URI environment variable is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { credited, slugged } = await migrateAuthorProfiles();
+    logger.info(
+      `Author profile migration finished: ${credited} articles credited, ${slugged} author slugs generated`
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error('Author profile migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateAuthorProfiles };
@@ -0,0 +1,68 @@
+/**
+ * One-off migration: open a helpdesk ticket (ContactSubmission) for every
+ * ContactModel message that doesn't have one yet.
+ *
+ * Safe to re-run; messages already linked through contactId are skipped.
+ *
+ * Usage: npm run migrate:contact-tickets
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Contact = require('../models/ContactModel');
+const ContactSubmission = require('../models/ContactSubmissionModel');
+const logger = require('../utils/logger');
+
+const migrateContactsToTickets = async () => {
+  let migrated = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  const cursor = Contact.find({}).sort({ createdAt: 1 }).cursor();
+
+  for await (const contact of cursor) {
+    const exists = await ContactSubmission.exists({ contactId: contact._id });
+    if (exists) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      await ContactSubmission.create(ContactSubmission.fromContact(contact));
+      migrated++;
+    } catch (error) {
+      failed++;
+      logger.error(`Failed to migrate contact message ${contact._id}:`, error);
+    }
+  }
+
+  return { migrated, skipped, failed };
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    logger.error('MONGODB_URI environment variable is not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const { migrated, skipped, failed } = await migrateContactsToTickets();
+    logger.info(
+      `Contact migration finished: ${migrated} migrated, ${skipped} already migrated, ${failed} failed`
+    );
+
+    await mongoose.connection.close();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error('Contact migration failed:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateContactsToTickets };
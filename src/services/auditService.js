@@ -0,0 +1,81 @@
+const AuditLog = require('../models/AuditLogModel');
+const logger = require('../utils/logger');
+
+// Bookkeeping fields that change on every write and aren't worth recording
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets whose changes are recorded without their values
+const REDACTED_FIELDS = [
+  'passwordHash',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+];
+
+/**
+ * Compare two plain documents field by field
+ * @param {Object|null} before - Document before the write, null on create
+ * @param {Object|null} after - Document after the write, null on delete
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const diffDocuments = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  const changes = [];
+  fields.forEach((field) => {
+    if (IGNORED_FIELDS.includes(field)) {
+      return;
+    }
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return;
+    }
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({
+        field,
+        before: from === undefined ? undefined : '[redacted]',
+        after: to === undefined ? undefined : '[redacted]',
+      });
+    } else {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Record a write in the audit log. Failures are logged, never thrown,
+ * so auditing can't break the request that triggered it.
+ * @param {Object|null} req - Express request, for the actor, IP and user
+ *   agent; null for writes made by background workers
+ * @param {Object} entry - action, targetModel, targetId, before, after
+ */
+const recordAudit = async (req, entry) => {
+  const { action, targetModel, targetId, before = null, after = null } = entry;
+
+  try {
+    return await AuditLog.create({
+      actor: req?.user?._id,
+      actorEmail: req?.user?.email,
+      action,
+      targetModel,
+      targetId,
+      changes: entry.changes || diffDocuments(before, after),
+      ipAddress: req ? req.ip || req.connection?.remoteAddress : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit log for ${action}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  diffDocuments,
+  recordAudit,
+};
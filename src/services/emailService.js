@@ -1,4 +1,5 @@
 const { sendEmail } = require('../config/email');
+const { escapeHtml } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 /**
@@ -39,27 +40,77 @@ const emailTemplates = {
 
   // Contact form notification template
   contactNotification: (submission) => ({
-    subject: `New Contact Form Submission - ${submission.subject}`,
+    subject: `New Contact Form Submission - ${
+      submission.title || submission.subject
+    }`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #333;">New Contact Form Submission</h2>
-        <p><strong>Name:</strong> ${submission.name}</p>
-        <p><strong>Email:</strong> ${submission.email}</p>
-        <p><strong>Phone:</strong> ${submission.phone || 'Not provided'}</p>
-        <p><strong>Subject:</strong> ${submission.subject}</p>
+        <p><strong>Name:</strong> ${escapeHtml(submission.name)}</p>
+        <p><strong>Email:</strong> ${escapeHtml(submission.email)}</p>
+        <p><strong>Phone:</strong> ${escapeHtml(
+          submission.phone || 'Not provided'
+        )}</p>
+        <p><strong>Subject:</strong> ${escapeHtml(
+          submission.title || submission.subject
+        )}</p>
         <p><strong>Message:</strong></p>
-        <p style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${
+        <p style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${escapeHtml(
           submission.message
-        }</p>
+        )}</p>
         <p>Submitted on: ${new Date(submission.createdAt).toLocaleString()}</p>
       </div>
     `,
-    text: `New Contact Form Submission from ${submission.name} (${submission.email}) - Subject: ${submission.subject}`,
+    text: `New Contact Form Submission from ${submission.name} (${
+      submission.email
+    }) - Subject: ${submission.title || submission.subject}`,
+  }),
+
+  // Daily digest of contact form submissions
+  contactDigest: (submissions) => ({
+    subject: `Daily Contact Digest - ${submissions.length} new message${
+      submissions.length === 1 ? '' : 's'
+    }`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Contact Messages From the Last 24 Hours</h2>
+        ${submissions
+          .map(
+            (submission) => `
+          <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
+            <p><strong>${escapeHtml(
+              submission.title || submission.subject
+            )}</strong></p>
+            <p>From: ${escapeHtml(submission.name)} (${escapeHtml(
+              submission.email
+            )})</p>
+            <p style="background-color: #f8f9fa; padding: 10px; border-radius: 5px;">${escapeHtml(
+              submission.message
+            )}</p>
+            <p style="font-size: 12px; color: #666;">Submitted on: ${new Date(
+              submission.createdAt
+            ).toLocaleString()}</p>
+          </div>
+        `
+          )
+          .join('')}
+      </div>
+    `,
+    text: `Daily Contact Digest - ${
+      submissions.length
+    } new messages: ${submissions
+      .map(
+        (submission) =>
+          `${submission.name} (${submission.email}) - ${
+            submission.title || submission.subject
+          }`
+      )
+      .join('; ')}`,
   }),
 
   // Contact form response template
   contactResponse: (submission, response) => ({
-    subject: `Re: ${submission.subject} - Kazwab`,
+    subject: `Re: ${submission.title || submission.subject} - Kazwab`,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h2 style="color: #333;">Response to Your Inquiry</h2>
@@ -80,6 +131,23 @@ const emailTemplates = {
     text: `Response to Your Inquiry - Dear ${submission.name}, Thank you for contacting us. Here is our response: ${response}`,
   }),
 
+  // Newsletter double opt-in request
+  newsletterOptIn: (confirmLink) => ({
+    subject: 'Please Confirm Your Newsletter Subscription - Kazwab',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm Your Subscription</h2>
+        <p>Thank you for signing up for the Kazwab newsletter.</p>
+        <p>Please confirm your email address by clicking the link below:</p>
+        <a href="${confirmLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">Confirm Subscription</a>
+        <p>This link will expire in 48 hours.</p>
+        <p>If you didn't sign up, you can safely ignore this email.</p>
+        <p>Best regards,<br>The Kazwab Team</p>
+      </div>
+    `,
+    text: `Confirm Your Subscription - Please confirm your Kazwab newsletter subscription: ${confirmLink}`,
+  }),
+
   // Newsletter subscription confirmation
   newsletterConfirmation: (email, unsubscribeLink) => ({
     subject: 'Newsletter Subscription Confirmed - Kazwab',
@@ -131,6 +199,89 @@ const emailTemplates = {
     `,
     text: `Article Published: ${article.title} - Your article has been published successfully.`,
   }),
+
+  // Article submitted for editorial review
+  articleReviewRequested: (article, authorName, reviewLink) => ({
+    subject: `Review Requested: ${article.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Article Ready for Review</h2>
+        <p>${escapeHtml(authorName)} has submitted "<strong>${escapeHtml(
+      article.title
+    )}</strong>" for review.</p>
+        <a href="${reviewLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">Review Article</a>
+        <p>Best regards,<br>The Kazwab Team</p>
+      </div>
+    `,
+    text: `Review Requested: ${authorName} has submitted "${article.title}" for review. ${reviewLink}`,
+  }),
+
+  // Reviewer approved an article or asked for changes
+  articleReviewDecision: (
+    article,
+    decision,
+    reviewerName,
+    note,
+    reviewLink
+  ) => {
+    const approved = decision === 'approved';
+    const heading = approved ? 'Article Approved' : 'Changes Requested';
+
+    return {
+      subject: `${heading}: ${article.title}`,
+      html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">${heading}</h2>
+        <p>${escapeHtml(reviewerName)} has ${
+        approved ? 'approved' : 'requested changes to'
+      } "<strong>${escapeHtml(article.title)}</strong>".</p>
+        ${
+          note
+            ? `<p style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${escapeHtml(
+                note
+              )}</p>`
+            : ''
+        }
+        <p>${
+          approved
+            ? 'It can now be published or scheduled.'
+            : 'Please update the article and submit it again.'
+        }</p>
+        <a href="${reviewLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">View Article</a>
+        <p>Best regards,<br>The Kazwab Team</p>
+      </div>
+    `,
+      text: `${heading}: ${reviewerName} has ${
+        approved ? 'approved' : 'requested changes to'
+      } "${article.title}".${note ? ` Note: ${note}` : ''} ${reviewLink}`,
+    };
+  },
+
+  // New inline review comment on an article
+  articleReviewComment: (article, commenterName, comment, reviewLink) => ({
+    subject: `New Review Comment: ${article.title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">New Review Comment</h2>
+        <p>${escapeHtml(commenterName)} commented on "<strong>${escapeHtml(
+      article.title
+    )}</strong>":</p>
+        ${
+          comment.quote
+            ? `<p style="border-left: 3px solid #ccc; padding-left: 10px; color: #666;">${escapeHtml(
+                comment.quote
+              )}</p>`
+            : ''
+        }
+        <p style="background-color: #f8f9fa; padding: 15px; border-radius: 5px;">${escapeHtml(
+          comment.body
+        )}</p>
+        <a href="${reviewLink}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block;">View Comment</a>
+        <p>Best regards,<br>The Kazwab Team</p>
+      </div>
+    `,
+    text: `${commenterName} commented on "${article.title}": ${comment.body} ${reviewLink}`,
+  }),
 };
 
 /**
@@ -203,6 +354,32 @@ const sendContactNotification = async (submission, adminEmails) => {
   }
 };
 
+/**
+ * Send daily digest of contact form submissions to admins
+ */
+const sendContactDigest = async (submissions, adminEmails) => {
+  try {
+    const template = emailTemplates.contactDigest(submissions);
+
+    for (const email of adminEmails) {
+      await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+      });
+    }
+
+    logger.info(
+      `Contact digest with ${submissions.length} submissions sent to ${adminEmails.length} admins`
+    );
+    return true;
+  } catch (error) {
+    logger.error('Error sending contact digest:', error);
+    return false;
+  }
+};
+
 /**
  * Send contact form response to user
  */
@@ -225,6 +402,29 @@ const sendContactResponse = async (submission, response) => {
   }
 };
 
+/**
+ * Send newsletter double opt-in request
+ */
+const sendNewsletterOptInEmail = async (email, confirmationToken) => {
+  try {
+    const confirmLink = `${process.env.CORS_ORIGIN}/newsletter/confirm?token=${confirmationToken}`;
+    const template = emailTemplates.newsletterOptIn(confirmLink);
+
+    await sendEmail({
+      to: email,
+      subject: template.subject,
+      html: template.html,
+      text: template.text,
+    });
+
+    logger.info(`Newsletter opt-in request sent to ${email}`);
+    return true;
+  } catch (error) {
+    logger.error('Error sending newsletter opt-in request:', error);
+    return false;
+  }
+};
+
 /**
  * Send newsletter subscription confirmation
  */
@@ -251,6 +451,22 @@ const sendNewsletterConfirmation = async (email, unsubscribeToken) => {
   }
 };
 
+/**
+ * Send newsletter to a single subscriber
+ * Throws on failure so callers can record the delivery error
+ */
+const sendNewsletterToSubscriber = async (subscriber, content) => {
+  const unsubscribeLink = `${process.env.CORS_ORIGIN}/unsubscribe?token=${subscriber.unsubscribeToken}`;
+  const template = emailTemplates.newsletter(content, unsubscribeLink);
+
+  return sendEmail({
+    to: subscriber.email,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+  });
+};
+
 /**
  * Send newsletter to subscribers
  */
@@ -261,15 +477,7 @@ const sendNewsletter = async (subscribers, content) => {
 
     for (const subscriber of subscribers) {
       try {
-        const unsubscribeLink = `${process.env.CORS_ORIGIN}/unsubscribe?token=${subscriber.unsubscribeToken}`;
-        const template = emailTemplates.newsletter(content, unsubscribeLink);
-
-        await sendEmail({
-          to: subscriber.email,
-          subject: template.subject,
-          html: template.html,
-          text: template.text,
-        });
+        await sendNewsletterToSubscriber(subscriber, content);
 
         successCount++;
         logger.info(`Newsletter sent to ${subscriber.email}`);
@@ -318,6 +526,111 @@ const sendArticlePublishedNotification = async (
   }
 };
 
+// Link to an article's review page in the admin app
+const getReviewLink = (article) =>
+  `${process.env.CORS_ORIGIN}/admin/news/${article._id}/review`;
+
+/**
+ * Send a review request to an article's reviewers
+ */
+const sendArticleReviewRequest = async (
+  article,
+  authorName,
+  reviewerEmails
+) => {
+  try {
+    const template = emailTemplates.articleReviewRequested(
+      article,
+      authorName,
+      getReviewLink(article)
+    );
+
+    for (const email of reviewerEmails) {
+      await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+      });
+    }
+
+    logger.info(`Review request for "${article.title}" sent to reviewers`);
+    return true;
+  } catch (error) {
+    logger.error('Error sending article review request:', error);
+    return false;
+  }
+};
+
+/**
+ * Tell an article's author and reviewers it was approved or needs changes
+ */
+const sendArticleReviewDecision = async (
+  article,
+  recipientEmails,
+  decision,
+  reviewerName,
+  note
+) => {
+  try {
+    const template = emailTemplates.articleReviewDecision(
+      article,
+      decision,
+      reviewerName,
+      note,
+      getReviewLink(article)
+    );
+
+    for (const email of recipientEmails) {
+      await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+      });
+    }
+
+    logger.info(`Review decision (${decision}) sent for "${article.title}"`);
+    return true;
+  } catch (error) {
+    logger.error('Error sending article review decision:', error);
+    return false;
+  }
+};
+
+/**
+ * Notify the other participants in a review about a new comment
+ */
+const sendArticleReviewComment = async (
+  article,
+  recipientEmails,
+  commenterName,
+  comment
+) => {
+  try {
+    const template = emailTemplates.articleReviewComment(
+      article,
+      commenterName,
+      comment,
+      getReviewLink(article)
+    );
+
+    for (const email of recipientEmails) {
+      await sendEmail({
+        to: email,
+        subject: template.subject,
+        html: template.html,
+        text: template.text,
+      });
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Error sending article review comment:', error);
+    return false;
+  }
+};
+
 /**
  * Send custom email
  */
@@ -342,10 +655,16 @@ module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendContactNotification,
+  sendContactDigest,
   sendContactResponse,
+  sendNewsletterOptInEmail,
   sendNewsletterConfirmation,
+  sendNewsletterToSubscriber,
   sendNewsletter,
   sendArticlePublishedNotification,
+  sendArticleReviewRequest,
+  sendArticleReviewDecision,
+  sendArticleReviewComment,
   sendCustomEmail,
   emailTemplates,
 };
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { escapeXml, toAbsoluteUrl } = require('../utils/helpers');
+const { articleUrl } = require('../utils/siteUrls');
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+// Guess an image's MIME type from its URL, for enclosures
+const imageType = (url) => {
+  const extension = url.split('?')[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// Articles published before publishedAt existed only have createdAt
+const publishedDate = (article) => article.publishedAt || article.createdAt;
+
+// Names of the authors credited on an article, in byline order
+const authorNames = (article) =>
+  (article.authors || [])
+    .filter((author) => author && author.fullName)
+    .map((author) => author.fullName);
+
+// Category and tag names an article is filed under
+const articleTerms = (article) => [
+  ...(article.categoryId && article.categoryId.name
+    ? [article.categoryId.name]
+    : []),
+  ...(article.tags || []).filter((tag) => tag.name).map((tag) => tag.name),
+];
+
+/**
+ * Work out caching validators for a feed: the ETag changes whenever an
+ * article in it (or the feed's own details) changes, and Last-Modified is
+ * the most recent of those changes
+ * @param {string} format - rss, atom or json
+ * @param {Array<Object>} articles - Articles in the feed
+ * @param {Date} [feedUpdatedAt] - When the feed's own details last changed
+ * @returns {{etag: string, lastModified: Date|null}}
+ */
+const getFeedValidators = (format, articles, feedUpdatedAt) => {
+  const dates = articles
+    .map((article) => article.updatedAt || publishedDate(article))
+    .concat(feedUpdatedAt ? [feedUpdatedAt] : [])
+    .filter(Boolean)
+    .map((date) => new Date(date).getTime());
+
+  const hash = crypto
+    .createHash('md5')
+    .update(
+      [
+        format,
+        feedUpdatedAt ? new Date(feedUpdatedAt).getTime() : '',
+        ...articles.map(
+          (article) =>
+            `${article._id}:${new Date(
+              article.updatedAt || publishedDate(article)
+            ).getTime()}`
+        ),
+      ].join('|')
+    )
+    .digest('hex');
+
+  return {
+    etag: `W/"${hash}"`,
+    lastModified: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+  };
+};
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - title, description, link (website), selfUrl, baseUrl
+ * @param {Array<Object>} articles - Published articles, newest first, with
+ *   categoryId, tags and authors populated
+ * @returns {string} - XML document
+ */
+const buildRssFeed = (feed, articles) => {
+  const items = articles.map((article) => {
+    const lines = [
+      '    <item>',
+      `      <title>${escapeXml(article.title)}</title>`,
+      `      <link>${escapeXml(articleUrl(article))}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(article._id)}</guid>`,
+      `      <pubDate>${publishedDate(article).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(article.description)}</description>`,
+      `      <content:encoded>${escapeXml(
+        article.contentHtml
+      )}</content:encoded>`,
+    ];
+
+    authorNames(article).forEach((name) => {
+      lines.push(`      <dc:creator>${escapeXml(name)}</dc:creator>`);
+    });
+    articleTerms(article).forEach((term) => {
+      lines.push(`      <category>${escapeXml(term)}</category>`);
+    });
+    if (article.featuredImage) {
+      const imageUrl = toAbsoluteUrl(article.featuredImage, feed.baseUrl);
+      // RSS requires a length; 0 means unknown
+      lines.push(
+        `      <enclosure url="${escapeXml(imageUrl)}" type="${imageType(
+          imageUrl
+        )}" length="0" />`
+      );
+    }
+
+    lines.push('    </item>');
+    return lines.join('\n');
+  });
+
+  const lastBuildDate =
+    articles.length > 0 ? publishedDate(articles[0]) : new Date();
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(
+      feed.selfUrl
+    )}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - title, description, link (website), selfUrl, baseUrl
+ * @param {Array<Object>} articles - Published articles, newest first
+ * @returns {string} - XML document
+ */
+const buildAtomFeed = (feed, articles) => {
+  const entries = articles.map((article) => {
+    const lines = [
+      '  <entry>',
+      `    <title>${escapeXml(article.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(
+        articleUrl(article)
+      )}" />`,
+      `    <id>urn:kazwab:news:${escapeXml(article._id)}</id>`,
+      `    <published>${publishedDate(article).toISOString()}</published>`,
+      `    <updated>${(
+        article.updatedAt || publishedDate(article)
+      ).toISOString()}</updated>`,
+      `    <summary>${escapeXml(article.description)}</summary>`,
+      `    <content type="html">${escapeXml(article.contentHtml)}</content>`,
+    ];
+
+    authorNames(article).forEach((name) => {
+      lines.push(`    <author><name>${escapeXml(name)}</name></author>`);
+    });
+    articleTerms(article).forEach((term) => {
+      lines.push(`    <category term="${escapeXml(term)}" />`);
+    });
+    if (article.featuredImage) {
+      const imageUrl = toAbsoluteUrl(article.featuredImage, feed.baseUrl);
+      lines.push(
+        `    <link rel="enclosure" type="${imageType(
+          imageUrl
+        )}" href="${escapeXml(imageUrl)}" />`
+      );
+    }
+
+    lines.push('  </entry>');
+    return lines.join('\n');
+  });
+
+  // Atom requires an updated date on the feed itself
+  const updated =
+    articles.length > 0
+      ? new Date(
+          Math.max(
+            ...articles.map((article) =>
+              (article.updatedAt || publishedDate(article)).getTime()
+            )
+          )
+        )
+      : new Date();
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(
+      feed.link
+    )}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(
+      feed.selfUrl
+    )}" />`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - title, description, link (website), selfUrl, baseUrl
+ * @param {Array<Object>} articles - Published articles, newest first
+ * @returns {Object} - JSON Feed object
+ */
+const buildJsonFeed = (feed, articles) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.link,
+  feed_url: feed.selfUrl,
+  language: 'en',
+  items: articles.map((article) => {
+    const item = {
+      id: article._id.toString(),
+      url: articleUrl(article),
+      title: article.title,
+      summary: article.description,
+      content_html: article.contentHtml,
+      date_published: publishedDate(article).toISOString(),
+      date_modified: (
+        article.updatedAt || publishedDate(article)
+      ).toISOString(),
+      tags: articleTerms(article),
+    };
+
+    const authors = authorNames(article);
+    if (authors.length > 0) {
+      item.authors = authors.map((name) => ({ name }));
+    }
+    if (article.featuredImage) {
+      const imageUrl = toAbsoluteUrl(article.featuredImage, feed.baseUrl);
+      item.image = imageUrl;
+      item.attachments = [{ url: imageUrl, mime_type: imageType(imageUrl) }];
+    }
+
+    return item;
+  }),
+});
+
+module.exports = {
+  FEED_FORMATS,
+  getFeedValidators,
+  buildRssFeed,
+  buildAtomFeed,
+  buildJsonFeed,
+};
@@ -0,0 +1,96 @@
+const NewsArticle = require('../models/NewsArticleModel');
+const { recordAudit } = require('./auditService');
+const logger = require('../utils/logger');
+
+const POLL_INTERVAL_MS = 60 * 1000; // 1 minute
+
+let pollTimer = null;
+let isRunning = false;
+
+/**
+ * Publish every scheduled article whose publishAt has passed
+ * @returns {Promise<number>} - Number of articles published
+ */
+const publishDueArticles = async () => {
+  // Skip a tick rather than overlap with a slow previous run
+  if (isRunning) {
+    return 0;
+  }
+
+  isRunning = true;
+  let published = 0;
+
+  try {
+    const now = new Date();
+    const dueArticles = await NewsArticle.findDueScheduled(now).select('_id');
+
+    for (const { _id } of dueArticles) {
+      try {
+        // Another instance may have claimed it, or it was edited since
+        const article = await NewsArticle.claimDueScheduled(_id, now);
+        if (!article) {
+          continue;
+        }
+
+        // Approval is voided by edits, but guard against stale data anyway
+        if (!article.isApproved()) {
+          await article.unpublish();
+          logger.warn(
+            `Scheduled article ${article._id} is not approved, moved to drafts`
+          );
+          continue;
+        }
+
+        const before = article.toObject();
+        await article.publish();
+        published += 1;
+
+        await recordAudit(null, {
+          action: 'publish_scheduled',
+          targetModel: NewsArticle.modelName,
+          targetId: article._id,
+          before,
+          after: article.toObject(),
+        });
+
+        logger.info(`Scheduled article published: ${article.title}`);
+      } catch (error) {
+        logger.error(`Failed to publish scheduled article ${_id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Error publishing scheduled articles:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return published;
+};
+
+/**
+ * Start polling for scheduled articles
+ */
+const startNewsScheduler = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(publishDueArticles, POLL_INTERVAL_MS);
+  logger.info('News scheduler started');
+};
+
+/**
+ * Stop polling for scheduled articles
+ */
+const stopNewsScheduler = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  publishDueArticles,
+  startNewsScheduler,
+  stopNewsScheduler,
+};
@@ -0,0 +1,178 @@
+const NewsletterCampaign = require('../models/NewsletterCampaignModel');
+const NewsletterDelivery = require('../models/NewsletterDeliveryModel');
+const NewsletterSubscriber = require('../models/NewsletterSubscriberModel');
+const { sendNewsletterToSubscriber } = require('./emailService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = parseInt(process.env.NEWSLETTER_BATCH_SIZE) || 50;
+const BATCH_DELAY_MS = parseInt(process.env.NEWSLETTER_BATCH_DELAY_MS) || 2000;
+const POLL_INTERVAL_MS = 60 * 1000; // 1 minute
+const LOCK_MS = 5 * 60 * 1000; // 5 minutes
+
+let pollTimer = null;
+let isProcessing = false;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Record a delivery result for one recipient
+ * @returns {Promise<boolean>} - False if a worker whose lease overlapped ours
+ * already recorded one for this subscriber
+ */
+const recordDelivery = async (campaign, subscriber, result) => {
+  try {
+    await NewsletterDelivery.create({
+      campaignId: campaign._id,
+      subscriberId: subscriber._id,
+      email: subscriber.email,
+      ...result,
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Send one batch of a campaign and record a delivery per recipient
+ * @returns {Promise<boolean>} - Whether there may be more recipients left
+ */
+const sendBatch = async (campaign) => {
+  const subscribers = await NewsletterSubscriber.getSubscribersForCampaign(
+    BATCH_SIZE,
+    campaign.lastSubscriberId
+  );
+  if (subscribers.length === 0) {
+    return false;
+  }
+
+  // Skip anyone already handled before an interrupted send was resumed
+  const delivered = await NewsletterDelivery.findDeliveredSubscriberIds(
+    campaign._id,
+    subscribers.map((subscriber) => subscriber._id)
+  );
+  const content = campaign.getContent();
+
+  for (const subscriber of subscribers) {
+    if (delivered.has(subscriber._id.toString())) {
+      continue;
+    }
+
+    let info;
+    try {
+      info = await sendNewsletterToSubscriber(subscriber, content);
+    } catch (error) {
+      logger.error(
+        `Newsletter campaign ${campaign._id} failed for ${subscriber.email}:`,
+        error
+      );
+      if (
+        await recordDelivery(campaign, subscriber, {
+          status: 'failed',
+          error: error.message,
+        })
+      ) {
+        campaign.failedCount += 1;
+      }
+      continue;
+    }
+
+    if (
+      await recordDelivery(campaign, subscriber, {
+        status: 'sent',
+        messageId: info.messageId,
+      })
+    ) {
+      await subscriber.updateEmailSent();
+      campaign.sentCount += 1;
+    }
+  }
+
+  campaign.lastSubscriberId = subscribers[subscribers.length - 1]._id;
+  campaign.lockedUntil = new Date(Date.now() + LOCK_MS);
+  await campaign.save();
+
+  return subscribers.length === BATCH_SIZE;
+};
+
+/**
+ * Send a claimed campaign to all active subscribers in throttled batches
+ */
+const processCampaign = async (campaign) => {
+  if (!campaign.startedAt) {
+    campaign.startedAt = new Date();
+    campaign.totalRecipients = await NewsletterSubscriber.countDocuments({
+      isActive: true,
+    });
+    await campaign.save();
+  }
+
+  logger.info(
+    `Sending newsletter campaign "${campaign.subject}" to ${campaign.totalRecipients} subscribers`
+  );
+
+  while (await sendBatch(campaign)) {
+    await sleep(BATCH_DELAY_MS);
+  }
+
+  campaign.status = 'sent';
+  campaign.completedAt = new Date();
+  campaign.lockedUntil = undefined;
+  await campaign.save();
+
+  logger.info(
+    `Newsletter campaign completed: "${campaign.subject}" - ${campaign.sentCount} sent, ${campaign.failedCount} failed`
+  );
+};
+
+/**
+ * Send every campaign that is currently due
+ */
+const processDueCampaigns = async () => {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+  try {
+    let campaign;
+    while ((campaign = await NewsletterCampaign.claimNextDue(LOCK_MS))) {
+      await processCampaign(campaign);
+    }
+  } catch (error) {
+    logger.error('Newsletter campaign worker error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+/**
+ * Start polling for scheduled campaigns
+ */
+const startCampaignWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+
+  pollTimer = setInterval(processDueCampaigns, POLL_INTERVAL_MS);
+  logger.info('Newsletter campaign worker started');
+};
+
+/**
+ * Stop polling for scheduled campaigns
+ */
+const stopCampaignWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  processDueCampaigns,
+  startCampaignWorker,
+  stopCampaignWorker,
+};
@@ -0,0 +1,152 @@
+const ContactSubmission = require('../models/ContactSubmissionModel');
+const JobRun = require('../models/JobRunModel');
+const User = require('../models/UserModel');
+const {
+  sendContactNotification,
+  sendContactDigest,
+} = require('./emailService');
+const logger = require('../utils/logger');
+
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+const DIGEST_WINDOW_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_DIGEST_HOUR = 8;
+
+let digestTimer = null;
+
+/**
+ * Get the configured admin recipient list and its delivery mode
+ * @returns {{ emails: string[], mode: string }}
+ */
+const getConfiguredRecipients = () => {
+  const emails = (process.env.CONTACT_NOTIFICATION_EMAILS || '')
+    .split(',')
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean);
+  const mode =
+    process.env.CONTACT_NOTIFICATION_MODE === 'daily' ? 'daily' : 'instant';
+
+  return { emails, mode };
+};
+
+/**
+ * Collect recipients for a delivery mode from env config and user opt-ins
+ * @param {string} mode - 'instant' or 'daily'
+ * @returns {Promise<string[]>} - De-duplicated email addresses
+ */
+const getContactRecipients = async (mode) => {
+  const configured = getConfiguredRecipients();
+  const users = await User.findContactNotificationRecipients(mode);
+
+  const emails = new Set(users.map((user) => user.email));
+  if (configured.mode === mode) {
+    configured.emails.forEach((email) => emails.add(email));
+  }
+
+  return [...emails];
+};
+
+/**
+ * Email instant-mode recipients about a new contact submission
+ */
+const notifyNewContactSubmission = async (submission) => {
+  try {
+    const recipients = await getContactRecipients('instant');
+    if (recipients.length === 0) {
+      return false;
+    }
+
+    return sendContactNotification(submission, recipients);
+  } catch (error) {
+    logger.error('Error notifying admins of contact submission:', error);
+    return false;
+  }
+};
+
+/**
+ * Send the daily digest of the last 24 hours of contact submissions
+ */
+const sendDailyContactDigest = async () => {
+  try {
+    const recipients = await getContactRecipients('daily');
+    if (recipients.length === 0) {
+      return false;
+    }
+
+    const since = new Date(Date.now() - DIGEST_WINDOW_MS);
+    const submissions = await ContactSubmission.find({
+      createdAt: { $gte: since },
+    }).sort({ createdAt: 1 });
+
+    if (submissions.length === 0) {
+      logger.info('No contact submissions for daily digest');
+      return false;
+    }
+
+    return sendContactDigest(submissions, recipients);
+  } catch (error) {
+    logger.error('Error sending daily contact digest:', error);
+    return false;
+  }
+};
+
+/**
+ * Get the hour of the day (0-23) configured for the digest
+ * @returns {number}
+ */
+const getDigestHour = () => {
+  const hour = parseInt(process.env.CONTACT_DIGEST_HOUR, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23
+    ? hour
+    : DEFAULT_DIGEST_HOUR;
+};
+
+/**
+ * Send the digest once a day at CONTACT_DIGEST_HOUR (server local time)
+ */
+const checkDailyDigest = async () => {
+  const now = new Date();
+  if (now.getHours() !== getDigestHour()) {
+    return;
+  }
+
+  try {
+    // Claimed in the database so a restart or a second instance doesn't
+    // send the same day's digest again
+    const claimed = await JobRun.claim('contact-digest', now.toDateString());
+    if (claimed) {
+      await sendDailyContactDigest();
+    }
+  } catch (error) {
+    logger.error('Error checking daily contact digest:', error);
+  }
+};
+
+/**
+ * Start the daily contact digest scheduler
+ */
+const startContactDigestWorker = () => {
+  if (digestTimer) {
+    return;
+  }
+
+  digestTimer = setInterval(checkDailyDigest, DIGEST_CHECK_INTERVAL_MS);
+  logger.info('Contact digest worker started');
+};
+
+/**
+ * Stop the daily contact digest scheduler
+ */
+const stopContactDigestWorker = () => {
+  if (digestTimer) {
+    clearInterval(digestTimer);
+    digestTimer = null;
+  }
+};
+
+module.exports = {
+  notifyNewContactSubmission,
+  sendDailyContactDigest,
+  checkDailyDigest,
+  startContactDigestWorker,
+  stopContactDigestWorker,
+};
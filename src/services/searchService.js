@@ -0,0 +1,323 @@
+const NewsArticle = require('../models/NewsArticleModel');
+const NewsCategory = require('../models/NewsCategoryModel');
+const FAQ = require('../models/FAQModel');
+const SuccessStory = require('../models/SuccessStoryModel');
+const TeamMember = require('../models/TeamMemberModel');
+const {
+  escapeRegex,
+  extractSearchTerms,
+  highlightSnippet,
+} = require('../utils/helpers');
+const {
+  articleUrl,
+  categoryUrl,
+  faqUrl,
+  successStoryUrl,
+  teamMemberUrl,
+} = require('../utils/siteUrls');
+
+// Most hits taken from each content type before merging
+const MAX_HITS_PER_TYPE = 50;
+
+// Length of the excerpt shown around the first match
+const SNIPPET_LENGTH = 200;
+
+// Searchable content types. Field weights mirror each model's text index,
+// so a title match outranks a body match whatever the content type.
+const SOURCES = {
+  news: {
+    model: NewsArticle,
+    filter: { status: 'published' },
+    populate: { path: 'categoryId', select: 'name slug' },
+    fields: (article) => [
+      { text: article.title, weight: 10 },
+      { text: article.description, weight: 5 },
+      { text: article.content, weight: 1 },
+    ],
+    toHit: (article, terms) => ({
+      title: article.title,
+      snippet: bestSnippet(
+        [article.description, article.contentHtml || article.content],
+        terms
+      ),
+      url: articleUrl(article),
+      image: article.featuredImage || null,
+      date: article.publishedAt,
+      meta: {
+        slug: article.slug,
+        category: article.categoryId,
+        minToRead: article.minToRead,
+      },
+    }),
+  },
+  faq: {
+    model: FAQ,
+    filter: { isActive: true },
+    fields: (faq) => [
+      { text: faq.question, weight: 5 },
+      { text: faq.answer, weight: 1 },
+    ],
+    toHit: (faq, terms) => ({
+      title: faq.question,
+      snippet: bestSnippet([faq.answer], terms),
+      url: faqUrl(faq),
+      image: null,
+      date: faq.createdAt,
+      meta: {
+        category: faq.category,
+      },
+    }),
+  },
+  success_story: {
+    model: SuccessStory,
+    filter: { isActive: true, isVerified: true },
+    populate: { path: 'categoryId', select: 'name slug' },
+    fields: (story) => [
+      { text: story.submittedBy, weight: 5 },
+      { text: story.location, weight: 3 },
+      { text: story.content, weight: 1 },
+    ],
+    toHit: (story, terms) => ({
+      title: `${story.submittedBy}, ${story.location}`,
+      snippet: bestSnippet([story.content], terms),
+      url: successStoryUrl(story),
+      image: story.imageUrl || null,
+      date: story.createdAt,
+      meta: {
+        category: story.categoryId,
+        rating: story.rating,
+      },
+    }),
+  },
+  team_member: {
+    model: TeamMember,
+    filter: { isActive: true },
+    fields: (member) => [
+      { text: member.name, weight: 10 },
+      { text: member.position, weight: 5 },
+      { text: member.description, weight: 1 },
+    ],
+    toHit: (member, terms) => ({
+      title: member.name,
+      snippet: bestSnippet([member.description], terms),
+      url: teamMemberUrl(member),
+      image: member.image,
+      date: member.createdAt,
+      meta: {
+        position: member.position,
+        type: member.type,
+      },
+    }),
+  },
+};
+
+const SEARCH_TYPES = Object.keys(SOURCES);
+
+const termPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${term}`, 'gu');
+
+/**
+ * Highlight the first text that mentions a search term, falling back to
+ * the first non-empty text
+ * @param {Array<string>} texts - Candidate texts, best first
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} - Highlighted snippet
+ */
+const bestSnippet = (texts, terms) => {
+  const available = texts.filter(Boolean);
+  const matching = available.find((text) =>
+    terms.some((term) => termPattern(term).test(text.toLowerCase()))
+  );
+  return highlightSnippet(
+    matching || available[0] || '',
+    terms,
+    SNIPPET_LENGTH
+  );
+};
+
+/**
+ * Score a document by where the search terms appear in it. Each field
+ * counts by its weight; repeats add less and less, a match at the start of
+ * a field or on the whole phrase adds more, and documents missing some
+ * terms are scaled down. Unlike MongoDB's textScore this is comparable
+ * across collections.
+ * @param {Array<{text: string, weight: number}>} fields - Weighted fields
+ * @param {Array<string>} terms - Search terms
+ * @returns {number} - Relevance score
+ */
+const scoreFields = (fields, terms) => {
+  if (terms.length === 0) {
+    return 0;
+  }
+
+  const phrase = terms.join(' ');
+  const matched = new Set();
+  let score = 0;
+
+  fields.forEach(({ text, weight }) => {
+    const plainText = (text || '').replace(/<[^>]*>/g, ' ').toLowerCase();
+
+    if (terms.length > 1 && plainText.includes(phrase)) {
+      score += weight * 3;
+    }
+
+    terms.forEach((term) => {
+      const count = (plainText.match(termPattern(term)) || []).length;
+      if (count === 0) {
+        return;
+      }
+
+      matched.add(term);
+      score += weight * (1 + Math.log(count));
+      if (plainText.trimStart().startsWith(term)) {
+        score += weight / 2;
+      }
+    });
+  });
+
+  return (score / terms.length) * (matched.size / terms.length);
+};
+
+/**
+ * Search one content type
+ * @param {string} type - Key of SOURCES
+ * @param {string} query - Search query
+ * @param {Array<string>} terms - Terms from the query
+ * @returns {Promise<Array<Object>>} - Typed hits
+ */
+const searchType = async (type, query, terms) => {
+  const source = SOURCES[type];
+
+  let finder = source.model
+    .find(
+      { ...source.filter, $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_HITS_PER_TYPE)
+    .lean();
+  if (source.populate) {
+    finder = finder.populate(source.populate);
+  }
+
+  const documents = await finder;
+
+  return documents.map((document) => ({
+    type,
+    id: document._id,
+    ...source.toHit(document, terms),
+    // textScore breaks ties and ranks matches that only hit through
+    // stemming, which the term scoring can't see
+    score:
+      Math.round(
+        (scoreFields(source.fields(document), terms) + document.score / 10) *
+          100
+      ) / 100,
+  }));
+};
+
+/**
+ * Search all public content and merge the hits by relevance
+ * @param {string} query - Search query
+ * @param {Object} options - types, page, limit
+ * @returns {Promise<{hits: Array, total: number, counts: Object}>}
+ */
+const searchSite = async (query, options = {}) => {
+  const { types = SEARCH_TYPES, page = 1, limit = 10 } = options;
+  const terms = extractSearchTerms(query);
+
+  const results = await Promise.all(
+    types.map((type) => searchType(type, query, terms))
+  );
+
+  const hits = results.flat().sort((a, b) => b.score - a.score);
+  const counts = types.reduce((result, type, index) => {
+    result[type] = results[index].length;
+    return result;
+  }, {});
+
+  return {
+    hits: hits.slice((page - 1) * limit, page * limit),
+    total: hits.length,
+    counts,
+  };
+};
+
+/**
+ * Suggest titles and names with a word starting with the query, for
+ * autocomplete. Suggestions starting with the query come first, then
+ * shorter ones.
+ * @param {string} query - Partial search query
+ * @param {number} limit - Maximum suggestions
+ * @returns {Promise<Array<{text: string, type: string, url: string}>>}
+ */
+const getSuggestions = async (query, limit = 8) => {
+  const prefix = query.trim().toLowerCase();
+  const pattern = new RegExp(`(^|\\s)${escapeRegex(prefix)}`, 'i');
+
+  const [categories, members, articles, faqs] = await Promise.all([
+    NewsCategory.find({ isActive: true, name: pattern })
+      .select('name slug')
+      .limit(limit)
+      .lean(),
+    TeamMember.find({ isActive: true, name: pattern })
+      .select('name')
+      .limit(limit)
+      .lean(),
+    NewsArticle.find({ status: 'published', title: pattern })
+      .select('title slug')
+      .sort({ viewCount: -1 })
+      .limit(limit)
+      .lean(),
+    FAQ.find({ isActive: true, question: pattern })
+      .select('question')
+      .sort({ viewCount: -1 })
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const suggestions = [
+    ...categories.map((category) => ({
+      text: category.name,
+      type: 'category',
+      url: categoryUrl(category),
+    })),
+    ...members.map((member) => ({
+      text: member.name,
+      type: 'team_member',
+      url: teamMemberUrl(member),
+    })),
+    ...articles.map((article) => ({
+      text: article.title,
+      type: 'news',
+      url: articleUrl(article),
+    })),
+    ...faqs.map((faq) => ({
+      text: faq.question,
+      type: 'faq',
+      url: faqUrl(faq),
+    })),
+  ];
+
+  const seen = new Set();
+  return suggestions
+    .filter((suggestion) => {
+      const key = suggestion.text.toLowerCase();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => {
+      const aStarts = a.text.toLowerCase().startsWith(prefix) ? 0 : 1;
+      const bStarts = b.text.toLowerCase().startsWith(prefix) ? 0 : 1;
+      return aStarts - bStarts || a.text.length - b.text.length;
+    })
+    .slice(0, limit);
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  searchSite,
+  getSuggestions,
+};
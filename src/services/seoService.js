@@ -0,0 +1,108 @@
+const { toAbsoluteUrl, truncateText } = require('../utils/helpers');
+const { siteUrl, articleUrl, authorUrl } = require('../utils/siteUrls');
+
+const SITE_NAME = process.env.SITE_NAME || 'Kazwab';
+
+// Google ignores NewsArticle headlines longer than 110 characters
+const MAX_HEADLINE_LENGTH = 110;
+
+/**
+ * Build the head metadata an SSR page needs for an article: meta tags,
+ * Open Graph and Twitter card properties, and JSON-LD NewsArticle data
+ * @param {Object} article - Published article with categoryId, tags and
+ *   authors populated
+ * @param {string} baseUrl - Base URL of this API, for uploaded images
+ * @returns {Object} - meta, openGraph, twitter and jsonLd
+ */
+const buildArticleSeo = (article, baseUrl) => {
+  const seo = article.getSeoMetadata();
+  const image = seo.ogImage ? toAbsoluteUrl(seo.ogImage, baseUrl) : null;
+  const category = article.categoryId && article.categoryId.name;
+  const tags = (article.tags || [])
+    .filter((tag) => tag.name)
+    .map((tag) => tag.name);
+  const authors = (article.authors || []).filter(
+    (author) => author && author.fullName
+  );
+  const publishedAt = (article.publishedAt || article.createdAt).toISOString();
+  const modifiedAt = (article.updatedAt || article.createdAt).toISOString();
+
+  const openGraph = {
+    'og:type': 'article',
+    'og:site_name': SITE_NAME,
+    'og:title': seo.metaTitle,
+    'og:description': seo.metaDescription,
+    'og:url': seo.canonicalUrl,
+    'article:published_time': publishedAt,
+    'article:modified_time': modifiedAt,
+  };
+  if (image) openGraph['og:image'] = image;
+  if (category) openGraph['article:section'] = category;
+  if (tags.length > 0) openGraph['article:tag'] = tags;
+  if (authors.length > 0) {
+    openGraph['article:author'] = authors.map((author) => author.fullName);
+  }
+
+  const twitter = {
+    'twitter:card': image ? 'summary_large_image' : 'summary',
+    'twitter:title': seo.metaTitle,
+    'twitter:description': seo.metaDescription,
+  };
+  if (image) twitter['twitter:image'] = image;
+  if (process.env.TWITTER_SITE)
+    twitter['twitter:site'] = process.env.TWITTER_SITE;
+
+  const publisher = {
+    '@type': 'Organization',
+    name: SITE_NAME,
+    url: siteUrl('/'),
+  };
+  if (process.env.SITE_LOGO_URL) {
+    publisher.logo = {
+      '@type': 'ImageObject',
+      url: process.env.SITE_LOGO_URL,
+    };
+  }
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    mainEntityOfPage: {
+      '@type': 'WebPage',
+      '@id': seo.canonicalUrl,
+    },
+    // Leave room for the ellipsis truncateText adds
+    headline: truncateText(article.title, MAX_HEADLINE_LENGTH - 3),
+    description: seo.metaDescription,
+    url: articleUrl(article),
+    datePublished: publishedAt,
+    dateModified: modifiedAt,
+    publisher,
+  };
+  if (image) jsonLd.image = [image];
+  if (authors.length > 0) {
+    jsonLd.author = authors.map((author) => ({
+      '@type': 'Person',
+      name: author.fullName,
+      url: author.profile.slug ? authorUrl(author) : undefined,
+    }));
+  }
+  if (category) jsonLd.articleSection = category;
+  if (tags.length > 0) jsonLd.keywords = tags.join(', ');
+
+  return {
+    meta: {
+      title: seo.metaTitle,
+      description: seo.metaDescription,
+      canonicalUrl: seo.canonicalUrl,
+      robots: seo.noindex ? 'noindex, nofollow' : 'index, follow',
+    },
+    openGraph,
+    twitter,
+    jsonLd,
+  };
+};
+
+module.exports = {
+  buildArticleSeo,
+};
@@ -0,0 +1,185 @@
+const NewsArticle = require('../models/NewsArticleModel');
+const NewsCategory = require('../models/NewsCategoryModel');
+const FAQ = require('../models/FAQModel');
+const SuccessStory = require('../models/SuccessStoryModel');
+const TeamMember = require('../models/TeamMemberModel');
+const { escapeXml } = require('../utils/helpers');
+const {
+  siteUrl,
+  apiUrl,
+  articleUrl,
+  categoryUrl,
+  faqUrl,
+  successStoryUrl,
+  teamMemberUrl,
+} = require('../utils/siteUrls');
+
+// The sitemap protocol allows at most 50,000 URLs per file
+const MAX_URLS_PER_SITEMAP = 50000;
+
+// Public content with a page per document, using each model's public filter
+const SITEMAP_TYPES = {
+  news: {
+    model: NewsArticle,
+    filter: { status: 'published', noindex: { $ne: true } },
+    select: 'slug updatedAt',
+    url: articleUrl,
+  },
+  categories: {
+    model: NewsCategory,
+    filter: { isActive: true },
+    select: 'slug updatedAt',
+    url: categoryUrl,
+  },
+  'success-stories': {
+    model: SuccessStory,
+    filter: { isActive: true, isVerified: true },
+    select: '_id updatedAt',
+    url: successStoryUrl,
+  },
+  team: {
+    model: TeamMember,
+    filter: { isActive: true },
+    select: '_id updatedAt',
+    url: teamMemberUrl,
+  },
+};
+
+// Listing pages, last modified when the newest document on them changed
+const LISTING_PAGES = [
+  { url: () => siteUrl('/news'), type: 'news' },
+  { url: () => faqUrl(), model: FAQ, filter: { isActive: true } },
+  { url: () => siteUrl('/success-stories'), type: 'success-stories' },
+  { url: () => siteUrl('/team'), type: 'team' },
+];
+
+// Latest updatedAt among documents matching a filter
+const findLastModified = async (model, filter) => {
+  const latest = await model
+    .findOne(filter)
+    .sort({ updatedAt: -1 })
+    .select('updatedAt')
+    .lean();
+  return latest ? latest.updatedAt : null;
+};
+
+const renderUrlset = (entries) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries.map(
+      ({ loc, lastmod }) =>
+        `  <url><loc>${escapeXml(loc)}</loc>${
+          lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''
+        }</url>`
+    ),
+    '</urlset>',
+    '',
+  ].join('\n');
+
+/**
+ * Build the sitemap index, listing one child sitemap per content type and
+ * 50,000 URLs
+ * @returns {Promise<{xml: string, lastModified: Date|null}>}
+ */
+const buildSitemapIndex = async () => {
+  const sitemaps = [{ name: 'pages-1', lastmod: null }];
+
+  for (const [type, config] of Object.entries(SITEMAP_TYPES)) {
+    const [count, lastmod] = await Promise.all([
+      config.model.countDocuments(config.filter),
+      findLastModified(config.model, config.filter),
+    ]);
+    const files = Math.max(1, Math.ceil(count / MAX_URLS_PER_SITEMAP));
+
+    for (let page = 1; page <= files; page++) {
+      sitemaps.push({ name: `${type}-${page}`, lastmod });
+    }
+  }
+
+  const dates = sitemaps
+    .map((sitemap) => sitemap.lastmod)
+    .filter(Boolean)
+    .map((date) => date.getTime());
+  const lastModified = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+  // Listing pages change whenever any content does
+  sitemaps[0].lastmod = lastModified;
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps.map(
+      ({ name, lastmod }) =>
+        `  <sitemap><loc>${escapeXml(apiUrl(`/sitemaps/${name}.xml`))}</loc>${
+          lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''
+        }</sitemap>`
+    ),
+    '</sitemapindex>',
+    '',
+  ].join('\n');
+
+  return { xml, lastModified };
+};
+
+/**
+ * Build one child sitemap
+ * @param {string} type - pages or a key of SITEMAP_TYPES
+ * @param {number} page - 1-based file number within the type
+ * @returns {Promise<{xml: string, lastModified: Date|null}|null>} - null if
+ *   the type or page doesn't exist
+ */
+const buildSitemap = async (type, page) => {
+  let entries;
+
+  if (type === 'pages') {
+    if (page !== 1) {
+      return null;
+    }
+    entries = await Promise.all(
+      LISTING_PAGES.map(async (listing) => {
+        const source = listing.type ? SITEMAP_TYPES[listing.type] : listing;
+        return {
+          loc: listing.url(),
+          lastmod: await findLastModified(source.model, source.filter),
+        };
+      })
+    );
+  } else {
+    if (!Object.hasOwn(SITEMAP_TYPES, type) || page < 1) {
+      return null;
+    }
+    const config = SITEMAP_TYPES[type];
+
+    const documents = await config.model
+      .find(config.filter)
+      .select(config.select)
+      .sort({ _id: 1 })
+      .skip((page - 1) * MAX_URLS_PER_SITEMAP)
+      .limit(MAX_URLS_PER_SITEMAP)
+      .lean();
+    // The first file always exists, even when empty
+    if (documents.length === 0 && page > 1) {
+      return null;
+    }
+
+    entries = documents.map((document) => ({
+      loc: config.url(document),
+      lastmod: document.updatedAt,
+    }));
+  }
+
+  const dates = entries
+    .map((entry) => entry.lastmod)
+    .filter(Boolean)
+    .map((date) => date.getTime());
+
+  return {
+    xml: renderUrlset(entries),
+    lastModified: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+  };
+};
+
+module.exports = {
+  buildSitemapIndex,
+  buildSitemap,
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/SessionModel');
+const User = require('../models/UserModel');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Only hashes of refresh token ids are stored
+const hashTokenId = (tokenId) =>
+  crypto.createHash('sha256').update(tokenId).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    { userId: user._id, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Sign a refresh token for a session with a fresh random id
+ */
+const signRefreshToken = (session) => {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const token = jwt.sign(
+    { sid: session._id, type: 'refresh' },
+    process.env.JWT_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRES_IN, jwtid: tokenId }
+  );
+
+  return {
+    token,
+    tokenHash: hashTokenId(tokenId),
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+  };
+};
+
+/**
+ * Build the token payload returned by login, register and refresh
+ */
+const buildTokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+});
+
+/**
+ * Start a new device session for a user
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request, for device details
+ * @returns {Promise<Object>} - Access token, refresh token and session
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip || req.connection.remoteAddress,
+  });
+
+  const refresh = signRefreshToken(session);
+  session.tokenHash = refresh.tokenHash;
+  session.expiresAt = refresh.expiresAt;
+  await session.save();
+
+  return {
+    ...buildTokenResponse(user, session, refresh.token),
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @returns {Promise<Object|null>} - New tokens, or null if the token is invalid
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    return null;
+  }
+
+  const presentedHash = hashTokenId(decoded.jti);
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isValid()) {
+    return null;
+  }
+
+  if (session.tokenHash !== presentedHash) {
+    // A rotated-out token being replayed means it was probably stolen
+    if (session.previousTokenHash === presentedHash) {
+      logger.warn(
+        `Refresh token reuse detected, revoking session ${session._id}`
+      );
+      await session.revoke();
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await session.revoke();
+    return null;
+  }
+
+  const refresh = signRefreshToken(session);
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash },
+    {
+      tokenHash: refresh.tokenHash,
+      previousTokenHash: presentedHash,
+      expiresAt: refresh.expiresAt,
+      lastUsedAt: new Date(),
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip || req.connection.remoteAddress,
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    return null;
+  }
+
+  return {
+    ...buildTokenResponse(user, rotated, refresh.token),
+    user,
+    session: rotated,
+  };
+};
+
+/**
+ * Check that the session an access token belongs to is still active
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await Session.findById(sessionId);
+  return Boolean(
+    session &&
+      session.isValid() &&
+      session.userId.toString() === userId.toString()
+  );
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const NewsArticle = require('../models/NewsArticleModel');
+const FAQ = require('../models/FAQModel');
+const SuccessStory = require('../models/SuccessStoryModel');
+const User = require('../models/UserModel');
+const Role = require('../models/RoleModel');
+const RecentView = require('../models/RecentViewModel');
+const DailyView = require('../models/DailyViewModel');
+const { articleUrl, faqUrl, successStoryUrl } = require('../utils/siteUrls');
+const logger = require('../utils/logger');
+
+// Repeat views from the same visitor within this window count once
+const DEDUPE_WINDOW_MINUTES =
+  parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30;
+
+// User agents of search engines, link previewers, monitors and scripts
+const CRAWLER_PATTERN =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|skypeuripreview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests/i;
+
+// Tracked content types, with how to describe each item in reports
+const VIEW_TYPES = {
+  news: {
+    model: NewsArticle,
+    select: 'title slug',
+    toItem: (article) => ({ title: article.title, url: articleUrl(article) }),
+  },
+  faq: {
+    model: FAQ,
+    select: 'question',
+    toItem: (faq) => ({ title: faq.question, url: faqUrl(faq) }),
+  },
+  success_story: {
+    model: SuccessStory,
+    select: 'submittedBy location',
+    toItem: (story) => ({
+      title: `${story.submittedBy}, ${story.location}`,
+      url: successStoryUrl(story),
+    }),
+  },
+};
+
+const isCrawler = (userAgent) => !userAgent || CRAWLER_PATTERN.test(userAgent);
+
+// Signed-in staff previewing content shouldn't inflate its numbers. Only
+// requests carrying a token pay for the lookup.
+const isStaffRequest = async (req) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.userId).select('role');
+    if (!user) {
+      return false;
+    }
+    const permissions = await Role.getPermissions(user.role);
+    return permissions.length > 0;
+  } catch (error) {
+    // An invalid or expired token is just an anonymous visitor
+    return false;
+  }
+};
+
+// Host name of the page that linked to the item, without a leading www.
+// Clients that fetch content on the reader's behalf can pass the page's
+// own referrer as ?ref=.
+const getReferrer = (req) => {
+  const source =
+    (typeof req.query.ref === 'string' && req.query.ref) || req.get('referer');
+  if (!source) {
+    return 'direct';
+  }
+
+  try {
+    const host = new URL(source).hostname.toLowerCase().replace(/^www\./, '');
+    return host || 'direct';
+  } catch (error) {
+    return 'direct';
+  }
+};
+
+// Midnight UTC of the given date
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+/**
+ * Count a view of an item, unless it came from a crawler or signed-in
+ * staff, or the same visitor was already counted within the dedupe window.
+ * Never throws: a tracking failure must not break the page being viewed.
+ * @param {Object} req - Express request for the view
+ * @param {string} contentType - news, faq or success_story
+ * @param {Object} item - Document being viewed
+ * @returns {Promise<boolean>} - Whether the view was counted
+ */
+const recordView = async (req, contentType, item) => {
+  try {
+    const userAgent = req.get('user-agent');
+    if (isCrawler(userAgent) || (await isStaffRequest(req))) {
+      return false;
+    }
+
+    const now = new Date();
+    const visitorHash = crypto
+      .createHash('sha256')
+      .update(`${req.ip}|${userAgent}`)
+      .digest('hex');
+
+    // Extend an expired marker or create a new one in a single step; the
+    // marker as it was before tells us whether this view counts
+    const previous = await RecentView.findOneAndUpdate(
+      { contentType, contentId: item._id, visitorHash },
+      [
+        {
+          $set: {
+            expiresAt: {
+              $cond: [
+                { $gt: ['$expiresAt', now] },
+                '$expiresAt',
+                new Date(now.getTime() + DEDUPE_WINDOW_MINUTES * 60 * 1000),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true }
+    );
+    if (previous && previous.expiresAt > now) {
+      return false;
+    }
+
+    await Promise.all([
+      DailyView.updateOne(
+        {
+          contentType,
+          contentId: item._id,
+          date: startOfUtcDay(now),
+          referrer: getReferrer(req),
+        },
+        { $inc: { views: 1 } },
+        { upsert: true }
+      ),
+      // Leave updatedAt alone so views don't look like edits to feeds,
+      // sitemaps and revision history
+      VIEW_TYPES[contentType].model.updateOne(
+        { _id: item._id },
+        { $inc: { viewCount: 1 } },
+        { timestamps: false }
+      ),
+    ]);
+
+    return true;
+  } catch (error) {
+    // Two first views racing to create the same marker: the loser is a repeat
+    if (error.code !== 11000) {
+      logger.error('Record view error:', error);
+    }
+    return false;
+  }
+};
+
+/**
+ * Summarise counted views over a date range
+ * @param {Object} options
+ * @param {Date} options.from - First day included
+ * @param {Date} options.to - Last day included
+ * @param {string} [options.type] - Only this content type
+ * @param {number} [options.limit=10] - Entries in top content and referrers
+ * @returns {Promise<Object>} - totalViews, daily trend, top content and
+ *   top referrers
+ */
+const getViewAnalytics = async ({ from, to, type, limit = 10 }) => {
+  const firstDay = startOfUtcDay(from);
+  const lastDay = startOfUtcDay(to);
+
+  const match = { date: { $gte: firstDay, $lte: lastDay } };
+  if (type) {
+    match.contentType = type;
+  }
+
+  const [result] = await DailyView.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, views: { $sum: '$views' } } }],
+        trend: [
+          { $group: { _id: '$date', views: { $sum: '$views' } } },
+          { $sort: { _id: 1 } },
+        ],
+        topContent: [
+          {
+            $group: {
+              _id: { contentType: '$contentType', contentId: '$contentId' },
+              views: { $sum: '$views' },
+            },
+          },
+          { $sort: { views: -1 } },
+          { $limit: limit },
+        ],
+        referrers: [
+          { $group: { _id: '$referrer', views: { $sum: '$views' } } },
+          { $sort: { views: -1 } },
+          { $limit: limit },
+        ],
+      },
+    },
+  ]);
+
+  // Fill days without views so charts get a continuous series
+  const viewsByDay = new Map(
+    result.trend.map((day) => [day._id.getTime(), day.views])
+  );
+  const trend = [];
+  for (
+    let day = new Date(firstDay);
+    day <= lastDay;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    trend.push({
+      date: day.toISOString().slice(0, 10),
+      views: viewsByDay.get(day.getTime()) || 0,
+    });
+  }
+
+  // Look up titles per type; deleted items are still reported, untitled
+  const items = {};
+  await Promise.all(
+    Object.entries(VIEW_TYPES).map(async ([contentType, config]) => {
+      const ids = result.topContent
+        .filter((entry) => entry._id.contentType === contentType)
+        .map((entry) => entry._id.contentId);
+      if (ids.length === 0) {
+        return;
+      }
+
+      const documents = await config.model
+        .find({ _id: { $in: ids } })
+        .select(config.select)
+        .lean();
+      documents.forEach((document) => {
+        items[`${contentType}:${document._id}`] = config.toItem(document);
+      });
+    })
+  );
+
+  return {
+    totalViews: result.total.length > 0 ? result.total[0].views : 0,
+    trend,
+    topContent: result.topContent.map((entry) => ({
+      type: entry._id.contentType,
+      id: entry._id.contentId,
+      title: null,
+      url: null,
+      ...items[`${entry._id.contentType}:${entry._id.contentId}`],
+      views: entry.views,
+    })),
+    referrers: result.referrers.map((entry) => ({
+      referrer: entry._id,
+      views: entry.views,
+    })),
+  };
+};
+
+module.exports = {
+  VIEW_TYPES,
+  recordView,
+  getViewAnalytics,
+};
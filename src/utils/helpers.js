@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+const MarkdownIt = require('markdown-it');
+const sanitize = require('sanitize-html');
 
 /**
  * Generate a URL-friendly slug from a string
@@ -88,19 +90,114 @@ const calculateReadTime = (content) => {
   return Math.ceil(wordCount / wordsPerMinute);
 };
 
+// Players whose embeds may appear in content, by iframe src. Any other
+// iframe is removed.
+const TRUSTED_EMBEDS = [
+  /^https:\/\/(www\.)?youtube(-nocookie)?\.com\/embed\/[\w-]+(\?[^"'<>\s]*)?$/,
+  /^https:\/\/player\.vimeo\.com\/video\/\d+(\?[^"'<>\s]*)?$/,
+];
+
+const isTrustedEmbed = (src) =>
+  TRUSTED_EMBEDS.some((pattern) => pattern.test(src || ''));
+
+// Elements and attributes article content may use
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'p',
+    'br',
+    'hr',
+    'blockquote',
+    'pre',
+    'code',
+    'strong',
+    'b',
+    'em',
+    'i',
+    'u',
+    's',
+    'del',
+    'ins',
+    'mark',
+    'sub',
+    'sup',
+    'small',
+    'span',
+    'div',
+    'ul',
+    'ol',
+    'li',
+    'a',
+    'img',
+    'figure',
+    'figcaption',
+    'table',
+    'caption',
+    'thead',
+    'tbody',
+    'tfoot',
+    'tr',
+    'th',
+    'td',
+    'iframe',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen'],
+    ol: ['start'],
+    th: ['colspan', 'rowspan', 'scope'],
+    td: ['colspan', 'rowspan'],
+    code: ['class'],
+  },
+  allowedClasses: {
+    code: ['language-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: {
+    img: ['http', 'https'],
+  },
+  allowProtocolRelative: false,
+  exclusiveFilter: (frame) =>
+    frame.tag === 'iframe' && !isTrustedEmbed(frame.attribs.src),
+  transformTags: {
+    // Pages opened in a new tab get no handle on ours
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === '_blank'
+          ? { ...attribs, rel: 'noopener noreferrer' }
+          : attribs,
+    }),
+  },
+};
+
+const markdown = new MarkdownIt({ html: true, linkify: true });
+
 /**
- * Sanitize HTML content
+ * Sanitize HTML against the article content allowlist, using a real HTML
+ * parser. Scripts, styles, event handlers and unsafe URLs are removed, and
+ * iframes survive only when they embed a trusted player such as YouTube.
  * @param {string} html - HTML content to sanitize
  * @returns {string} - Sanitized HTML
  */
-const sanitizeHtml = (html) => {
-  // Basic HTML sanitization - in production, use a library like DOMPurify
-  return html
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '')
-    .replace(/javascript:/gi, '')
-    .replace(/on\w+\s*=/gi, '');
-};
+const sanitizeHtml = (html) => sanitize(html || '', SANITIZE_OPTIONS);
+
+/**
+ * Render article content to safe HTML
+ * @param {string} content - Markdown or HTML source
+ * @param {string} format - markdown or html
+ * @returns {string} - Sanitized HTML
+ */
+const renderContent = (content, format = 'html') =>
+  sanitizeHtml(
+    format === 'markdown' ? markdown.render(content || '') : content
+  );
 
 /**
  * Validate email format
@@ -135,6 +232,204 @@ const generateMetaDescription = (content, length = 160) => {
   return truncateText(plainText, length);
 };
 
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Resolve a URL against a base, leaving absolute URLs alone. Used for
+ * uploads stored as paths on this API.
+ * @param {string} url - Absolute URL or path
+ * @param {string} baseUrl - Base URL without a trailing slash
+ * @returns {string} - Absolute URL
+ */
+const toAbsoluteUrl = (url, baseUrl) =>
+  /^https?:\/\//i.test(url)
+    ? url
+    : `${baseUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Split a search query into the words worth highlighting, skipping
+ * negated terms and text search punctuation
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Unique lowercase terms
+ */
+const extractSearchTerms = (query = '') => {
+  const terms = query
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .flatMap((word) => word.toLowerCase().split(/[^\p{L}\p{N}]+/u))
+    .filter(Boolean);
+
+  return [...new Set(terms)];
+};
+
+// Named entities found in sanitized HTML; any others are left as they are
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0',
+};
+
+/**
+ * Decode the character references in text taken from HTML
+ * @param {string} text - Text with HTML entities
+ * @returns {string} - Decoded text
+ */
+const decodeHtmlEntities = (text) =>
+  text.replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') {
+      return NAMED_ENTITIES[name] ?? entity;
+    }
+    const code =
+      name[1] === 'x' || name[1] === 'X'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+/**
+ * Build a plain-text excerpt around the first matching term, with every
+ * word starting with a term wrapped in <mark>. The rest of the text is
+ * HTML-escaped, so the result is safe to render.
+ * @param {string} text - Text or HTML to excerpt
+ * @param {Array<string>} terms - Terms from extractSearchTerms
+ * @param {number} length - Maximum excerpt length, before highlighting
+ * @returns {string} - Highlighted excerpt
+ */
+const highlightSnippet = (text, terms, length = 200) => {
+  // Decoded before escaping, so entities aren't escaped a second time
+  const plainText = decodeHtmlEntities((text || '').replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!plainText || terms.length === 0) {
+    return escapeHtml(truncateText(plainText, length));
+  }
+
+  // Terms only contain letters and digits, so need no escaping
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+
+  // Start a little before the first match, on a word boundary
+  const firstMatch = plainText.search(pattern);
+  let start = 0;
+  if (firstMatch > length / 4) {
+    start = plainText.lastIndexOf(' ', firstMatch - length / 4) + 1;
+  }
+  let end = Math.min(plainText.length, start + length);
+  if (end < plainText.length) {
+    const lastSpace = plainText.lastIndexOf(' ', end);
+    end = lastSpace > start ? lastSpace : end;
+  }
+
+  const excerpt = plainText.slice(start, end);
+  let highlighted = '';
+  let cursor = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    highlighted += escapeHtml(excerpt.slice(cursor, match.index));
+    highlighted += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(excerpt.slice(cursor));
+
+  return `${start > 0 ? '...' : ''}${highlighted}${
+    end < plainText.length ? '...' : ''
+  }`;
+};
+
+// Common English words that say nothing about what a text is about
+const STOP_WORDS = new Set(
+  (
+    'the and for are but not you all any can had her was one our out has ' +
+    'his how its may new now see who did get him let say she too use that ' +
+    'with have this will your from they been were said each which their ' +
+    'there what about would make like into than them then these some more ' +
+    'also when where while after before over under other such only very ' +
+    'just most could should being those through'
+  ).split(' ')
+);
+
+/**
+ * Count the meaningful words in weighted pieces of text, for comparing
+ * how similar two documents are. HTML tags, stop words and words shorter
+ * than three characters are ignored.
+ * @param {Array<{text: string, weight: number}>} fields - Text to count,
+ *   with a weight per occurrence
+ * @returns {Map<string, number>} - Weighted count per lowercase word
+ */
+const buildTermVector = (fields) => {
+  const vector = new Map();
+
+  fields.forEach(({ text, weight }) => {
+    String(text || '')
+      .replace(/<[^>]*>/g, ' ')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+      .forEach((word) => {
+        vector.set(word, (vector.get(word) || 0) + weight);
+      });
+  });
+
+  return vector;
+};
+
+/**
+ * Cosine similarity of two term vectors from buildTermVector
+ * @param {Map<string, number>} a - First vector
+ * @param {Map<string, number>} b - Second vector
+ * @returns {number} - 0 (nothing in common) to 1 (same word mix)
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  a.forEach((count, word) => {
+    if (b.has(word)) {
+      dot += count * b.get(word);
+    }
+  });
+  if (dot === 0) {
+    return 0;
+  }
+
+  const norm = (vector) =>
+    Math.sqrt([...vector.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (norm(a) * norm(b));
+};
+
 module.exports = {
   generateSlug,
   generateUniqueSlug,
@@ -143,7 +438,16 @@ module.exports = {
   formatDate,
   calculateReadTime,
   sanitizeHtml,
+  renderContent,
   isValidEmail,
   truncateText,
   generateMetaDescription,
+  escapeRegex,
+  escapeXml,
+  escapeHtml,
+  toAbsoluteUrl,
+  extractSearchTerms,
+  highlightSnippet,
+  buildTermVector,
+  cosineSimilarity,
 };
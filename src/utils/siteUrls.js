@@ -0,0 +1,55 @@
+/**
+ * Canonical URLs of public content on the website. Keep these in step with
+ * the frontend routes; search results, feeds and sitemaps link through here.
+ * Cached responses must never build links from the request's Host header, so
+ * links back to this API go through apiUrl.
+ */
+
+/**
+ * Build an absolute URL on the public website
+ * @param {string} path - Path starting with a slash
+ * @returns {string} - Absolute URL
+ */
+const siteUrl = (path = '/') => {
+  const base = (process.env.SITE_URL || process.env.CORS_ORIGIN || '').replace(
+    /\/+$/,
+    ''
+  );
+  return `${base}${path}`;
+};
+
+/**
+ * Build an absolute URL on this API, e.g. for uploads and child sitemaps
+ * @param {string} path - Path starting with a slash
+ * @returns {string} - Absolute URL
+ */
+const apiUrl = (path = '/') => {
+  const base = (
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+const articleUrl = (article) => siteUrl(`/news/${article.slug}`);
+
+const authorUrl = (author) => siteUrl(`/authors/${author.profile.slug}`);
+
+const categoryUrl = (category) => siteUrl(`/news/category/${category.slug}`);
+
+// FAQs share one page; each answer is an anchor on it
+const faqUrl = (faq) => siteUrl(faq ? `/faq#faq-${faq._id}` : '/faq');
+
+const successStoryUrl = (story) => siteUrl(`/success-stories/${story._id}`);
+
+const teamMemberUrl = (member) => siteUrl(`/team/${member._id}`);
+
+module.exports = {
+  siteUrl,
+  apiUrl,
+  articleUrl,
+  authorUrl,
+  categoryUrl,
+  faqUrl,
+  successStoryUrl,
+  teamMemberUrl,
+};
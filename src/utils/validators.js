@@ -1,4 +1,54 @@
 const Joi = require('joi');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const { TRANSLATION_LOCALES } = require('../config/locales');
+
+// Translations of some fields keyed by locale, e.g. { ha: { title: '...' } },
+// given the maximum length of each field. An empty string removes one.
+const translationsSchema = (maxLengths) =>
+  Joi.object(
+    TRANSLATION_LOCALES.reduce((locales, locale) => {
+      locales[locale] = Joi.object(
+        Object.entries(maxLengths).reduce((fields, [field, max]) => {
+          fields[field] = Joi.string().max(max).allow('').optional();
+          return fields;
+        }, {})
+      ).optional();
+      return locales;
+    }, {})
+  );
+
+// A user's public author profile. An empty string clears a field.
+const socialLinkSchema = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .max(500)
+  .allow('')
+  .optional()
+  .messages({
+    'string.uri': 'Social links must be http(s) URLs',
+  });
+
+const authorProfileSchema = Joi.object({
+  slug: Joi.string()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .max(100)
+    .allow('')
+    .optional()
+    .messages({
+      'string.pattern.base':
+        'Slug can only contain lowercase letters, numbers and hyphens',
+    }),
+  bio: Joi.string().max(1000).allow('').optional().messages({
+    'string.max': 'Bio cannot exceed 1000 characters',
+  }),
+  photo: Joi.string().max(500).allow('').optional(),
+  socialLinks: Joi.object({
+    website: socialLinkSchema,
+    twitter: socialLinkSchema,
+    linkedin: socialLinkSchema,
+    facebook: socialLinkSchema,
+  }).optional(),
+});
 
 // User validation schemas
 const userValidation = {
@@ -56,6 +106,90 @@ const userValidation = {
       'any.required': 'New password is required',
     }),
   }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required',
+    }),
+  }),
+
+  adminCreate: Joi.object({
+    email: Joi.string().email().required().messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required',
+    }),
+    password: Joi.string().min(8).required().messages({
+      'string.min': 'Password must be at least 8 characters long',
+      'any.required': 'Password is required',
+    }),
+    fullName: Joi.string().min(2).max(100).required().messages({
+      'string.min': 'Full name must be at least 2 characters long',
+      'string.max': 'Full name cannot exceed 100 characters',
+      'any.required': 'Full name is required',
+    }),
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s\-\(\)]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Please provide a valid phone number',
+      }),
+    role: Joi.string()
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .max(50)
+      .default('viewer')
+      .messages({
+        'string.pattern.base': 'Please provide a valid role name',
+      }),
+    sendWelcomeEmail: Joi.boolean().default(true),
+  }),
+
+  adminUpdate: Joi.object({
+    fullName: Joi.string().min(2).max(100).optional().messages({
+      'string.min': 'Full name must be at least 2 characters long',
+      'string.max': 'Full name cannot exceed 100 characters',
+    }),
+    phone: Joi.string()
+      .pattern(/^\+?[\d\s\-\(\)]+$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Please provide a valid phone number',
+      }),
+    role: Joi.string()
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .max(50)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Please provide a valid role name',
+      }),
+    profile: authorProfileSchema.optional(),
+  }),
+
+  authorProfile: authorProfileSchema,
+
+  adminResetPassword: Joi.object({
+    password: Joi.string().min(8).optional().messages({
+      'string.min': 'Password must be at least 8 characters long',
+    }),
+  }),
+
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required().messages({
+      'any.required': 'Refresh token is required',
+    }),
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid or expired reset token',
+      'string.length': 'Invalid or expired reset token',
+      'any.required': 'Reset token is required',
+    }),
+    password: Joi.string().min(8).required().messages({
+      'string.min': 'Password must be at least 8 characters long',
+      'any.required': 'Password is required',
+    }),
+  }),
 };
 
 // News category validation schemas
@@ -148,7 +282,9 @@ const newsArticleValidation = {
       'string.max': 'Tag cannot exceed 30 characters',
     }),
     isFeatured: Joi.boolean().optional(),
-    status: Joi.string().valid('draft', 'published', 'archived').optional(),
+    status: Joi.string()
+      .valid('draft', 'scheduled', 'published', 'suspended', 'archived')
+      .optional(),
   }),
 };
 
@@ -219,6 +355,14 @@ const newsletterValidation = {
       'any.required': 'Email is required',
     }),
   }),
+
+  token: Joi.object({
+    token: Joi.string().hex().length(64).required().messages({
+      'string.hex': 'Invalid token format',
+      'string.length': 'Invalid token format',
+      'any.required': 'Token is required',
+    }),
+  }),
 };
 
 // Team member validation schemas
@@ -387,6 +531,81 @@ const successStoryValidation = {
   }),
 };
 
+// Role validation schemas
+const roleValidation = {
+  create: Joi.object({
+    name: Joi.string()
+      .pattern(/^[a-z][a-z0-9_]*$/)
+      .max(50)
+      .required()
+      .messages({
+        'string.pattern.base':
+          'Role name may only contain lowercase letters, digits and underscores',
+        'any.required': 'Role name is required',
+      }),
+    displayName: Joi.string().min(2).max(100).required().messages({
+      'any.required': 'Display name is required',
+    }),
+    description: Joi.string().max(500).allow('').optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...ALL_PERMISSIONS))
+      .unique()
+      .default([])
+      .messages({
+        'any.only': 'Unknown permission',
+      }),
+  }),
+
+  update: Joi.object({
+    displayName: Joi.string().min(2).max(100).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    permissions: Joi.array()
+      .items(Joi.string().valid(...ALL_PERMISSIONS))
+      .unique()
+      .optional()
+      .messages({
+        'any.only': 'Unknown permission',
+      }),
+  }),
+};
+
+// Collection validation schemas
+const articleIdsSchema = Joi.array()
+  .items(
+    Joi.string().hex().length(24).messages({
+      'string.hex': 'Articles must be a list of article IDs',
+      'string.length': 'Articles must be a list of article IDs',
+    })
+  )
+  .max(100)
+  .messages({
+    'array.max': 'A collection can have at most 100 articles',
+  });
+
+const collectionValidation = {
+  create: Joi.object({
+    title: Joi.string().trim().min(3).max(200).required().messages({
+      'any.required': 'Title is required',
+    }),
+    description: Joi.string().max(1000).allow('').optional(),
+    type: Joi.string().valid('series', 'collection').default('collection'),
+    coverImage: Joi.string().max(500).allow('').optional(),
+    articles: articleIdsSchema.default([]),
+    isPublished: Joi.boolean().default(false),
+    translations: translationsSchema({ title: 200, description: 1000 }),
+  }),
+
+  update: Joi.object({
+    title: Joi.string().trim().min(3).max(200).optional(),
+    description: Joi.string().max(1000).allow('').optional(),
+    type: Joi.string().valid('series', 'collection').optional(),
+    coverImage: Joi.string().max(500).allow('').optional(),
+    articles: articleIdsSchema.optional(),
+    isPublished: Joi.boolean().optional(),
+    translations: translationsSchema({ title: 200, description: 1000 }),
+  }),
+};
+
 // Query parameter validation schemas
 const queryValidation = {
   pagination: Joi.object({
@@ -397,12 +616,28 @@ const queryValidation = {
   search: Joi.object({
     q: Joi.string().min(1).max(100).optional(),
     category: Joi.string().hex().length(24).optional(),
-    status: Joi.string().valid('draft', 'published', 'archived').optional(),
+    status: Joi.string()
+      .valid('draft', 'scheduled', 'published', 'suspended', 'archived')
+      .optional(),
     featured: Joi.boolean().optional(),
   }),
+
+  newsSearch: Joi.object({
+    q: Joi.string().trim().min(1).max(100).required().messages({
+      'any.required': 'Search query is required',
+    }),
+    category: Joi.string().hex().length(24).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  }),
+
+  relatedNews: Joi.object({
+    limit: Joi.number().integer().min(1).max(20).default(5),
+  }),
 };
 
 module.exports = {
+  translationsSchema,
   userValidation,
   newsCategoryValidation,
   newsArticleValidation,
@@ -411,5 +646,7 @@ module.exports = {
   teamMemberValidation,
   impactMetricValidation,
   successStoryValidation,
+  roleValidation,
+  collectionValidation,
   queryValidation,
 };
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger');
+
+const ArticleRevision = require('../../src/models/ArticleRevisionModel');
+const NewsArticle = require('../../src/models/NewsArticleModel');
+const logger = require('../../src/utils/logger');
+
+const ORIGINAL_CONTENT =
+  'The original body of the article, long enough to pass validation.';
+
+// Run the pre-save hooks on a document as if it had been loaded and edited
+const runPreSave = (article) =>
+  new Promise((resolve, reject) => {
+    NewsArticle.schema.s.hooks.execPre('save', article, [], (error) =>
+      error ? reject(error) : resolve(article)
+    );
+  });
+
+const runPostSave = (article) =>
+  new Promise((resolve, reject) => {
+    NewsArticle.schema.s.hooks.execPost('save', article, [article], (error) =>
+      error ? reject(error) : resolve(article)
+    );
+  });
+
+const loadArticle = (fields) => {
+  const article = NewsArticle.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Approved live article',
+    slug: 'approved-live-article',
+    description: 'Description',
+    content: ORIGINAL_CONTENT,
+    contentHtml: `<p>${ORIGINAL_CONTENT}</p>`,
+    categoryId: new mongoose.Types.ObjectId(),
+    authorId: new mongoose.Types.ObjectId(),
+    reviewStatus: 'approved',
+    publishedAt: new Date(),
+    ...fields,
+  });
+  article.$locals.editedBy = new mongoose.Types.ObjectId();
+  return article;
+};
+
+describe('approval of edited articles', () => {
+  it('unpublishes a live article whose content changed', async () => {
+    const article = loadArticle({ status: 'published' });
+    article.content = `${ORIGINAL_CONTENT} Rewritten.`;
+
+    await runPreSave(article);
+
+    expect(article.status).toBe('draft');
+    expect(article.reviewStatus).toBe('not_submitted');
+    expect(article.$locals.unpublishedForReview).toBe(true);
+  });
+
+  it('keeps a live article approved when only SEO fields change', async () => {
+    const article = loadArticle({ status: 'published' });
+    article.metaTitle = 'New search title';
+
+    await runPreSave(article);
+
+    expect(article.status).toBe('published');
+    expect(article.reviewStatus).toBe('approved');
+  });
+
+  it('voids the approval of a suspended article whose title changed', async () => {
+    const article = loadArticle({ status: 'suspended' });
+    article.title = 'A different title';
+
+    await runPreSave(article);
+
+    expect(article.status).toBe('suspended');
+    expect(article.reviewStatus).toBe('not_submitted');
+  });
+});
+
+describe('revision history', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs a failure to record a revision without failing the save', async () => {
+    const error = new Error('E11000 duplicate key error');
+    jest.spyOn(ArticleRevision, 'record').mockRejectedValue(error);
+    const article = loadArticle({ status: 'draft' });
+    article.content = `${ORIGINAL_CONTENT} Rewritten.`;
+
+    await runPreSave(article);
+    await expect(runPostSave(article)).resolves.toBe(article);
+
+    expect(ArticleRevision.record).toHaveBeenCalledWith(
+      article,
+      expect.arrayContaining(['content']),
+      expect.objectContaining({ editedBy: article.$locals.editedBy })
+    );
+    expect(logger.error).toHaveBeenCalledWith(
+      `Record revision error for article ${article._id}:`,
+      error
+    );
+  });
+});
+
+describe('article categories', () => {
+  const primary = new mongoose.Types.ObjectId();
+  const other = new mongoose.Types.ObjectId();
+
+  it('lists an article under its primary category first', async () => {
+    const article = loadArticle({
+      status: 'draft',
+      categoryId: primary,
+      categoryIds: [other, primary],
+    });
+
+    await article.validate();
+
+    expect(article.categoryIds).toEqual([primary, other]);
+  });
+
+  it('lists an article saved without categoryIds under its category', async () => {
+    const article = loadArticle({ status: 'draft', categoryId: primary });
+
+    await article.validate();
+
+    expect(article.categoryIds).toEqual([primary]);
+  });
+
+  it('leaves categories that are already in order unmodified', async () => {
+    const article = loadArticle({
+      status: 'draft',
+      categoryId: primary,
+      categoryIds: [primary, other],
+    });
+
+    await article.validate();
+
+    expect(article.isModified('categoryIds')).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/middleware/audit', () => ({
+  auditTrail: () => (req, res, next) => next(),
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyNewContactSubmission: jest.fn(),
+}));
+
+const Contact = require('../../src/models/ContactModel');
+const ContactSubmission = require('../../src/models/ContactSubmissionModel');
+const {
+  notifyNewContactSubmission,
+} = require('../../src/services/notificationService');
+const contactRoutes = require('../../src/routes/contact');
+
+const app = express();
+app.use(express.json());
+app.use('/api/contact', contactRoutes);
+
+const MESSAGE = {
+  fullName: 'Amina Bello',
+  email: 'amina@example.com',
+  phoneNumber: '+234 800 000 0000',
+  subject: 'Question about waqf',
+  message: 'How do I set up a waqf for my family and who manages it?',
+  category: 'waqf_establishment',
+};
+
+describe('contact message submission', () => {
+  beforeEach(() => {
+    jest.spyOn(Contact.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notifyNewContactSubmission.mockClear();
+  });
+
+  it('opens a ticket for the message and notifies admins', async () => {
+    const ticket = { _id: 'ticket' };
+    const create = jest
+      .spyOn(ContactSubmission, 'create')
+      .mockResolvedValue(ticket);
+
+    const res = await request(app).post('/api/contact').send(MESSAGE);
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ subject: 'waqf_establishment' })
+    );
+    expect(notifyNewContactSubmission).toHaveBeenCalledWith(ticket);
+  });
+
+  it('still accepts the message when the ticket cannot be opened', async () => {
+    jest
+      .spyOn(ContactSubmission, 'create')
+      .mockRejectedValue(new Error('write conflict'));
+
+    const res = await request(app).post('/api/contact').send(MESSAGE);
+
+    expect(res.status).toBe(201);
+    expect(res.body.success).toBe(true);
+    expect(Contact.prototype.save).toHaveBeenCalledTimes(1);
+    expect(notifyNewContactSubmission).not.toHaveBeenCalled();
+  });
+});
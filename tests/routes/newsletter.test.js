@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/middleware/rateLimit', () => ({
+  newsletterLimiter: (req, res, next) => next(),
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendNewsletterOptInEmail: jest.fn().mockResolvedValue(true),
+  sendNewsletterConfirmation: jest.fn().mockResolvedValue(true),
+}));
+
+const NewsletterSubscriber = require('../../src/models/NewsletterSubscriberModel');
+const {
+  sendNewsletterOptInEmail,
+  sendNewsletterConfirmation,
+} = require('../../src/services/emailService');
+const newsletterRoutes = require('../../src/routes/newsletter');
+
+const app = express();
+app.use(express.json());
+app.use('/api/newsletter', newsletterRoutes);
+
+const TOKEN = 'a'.repeat(64);
+
+describe('newsletter confirmation', () => {
+  let subscriber;
+
+  beforeEach(() => {
+    subscriber = new NewsletterSubscriber({
+      email: 'amina@example.com',
+      isActive: false,
+      unsubscribedAt: new Date(),
+    });
+    jest
+      .spyOn(NewsletterSubscriber.prototype, 'save')
+      .mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendNewsletterOptInEmail.mockClear();
+    sendNewsletterConfirmation.mockClear();
+  });
+
+  it('asks an unsubscribed reader to confirm again before resubscribing', async () => {
+    jest
+      .spyOn(NewsletterSubscriber, 'findByUnsubscribeToken')
+      .mockResolvedValue(subscriber);
+
+    const res = await request(app)
+      .post('/api/newsletter/resubscribe')
+      .send({ token: TOKEN });
+
+    expect(res.status).toBe(202);
+    expect(subscriber.isActive).toBe(false);
+    expect(subscriber.confirmationToken).toBeDefined();
+    expect(sendNewsletterOptInEmail).toHaveBeenCalledWith(
+      'amina@example.com',
+      subscriber.confirmationToken
+    );
+    expect(sendNewsletterConfirmation).not.toHaveBeenCalled();
+  });
+
+  it('only accepts confirmation links sent within the last 48 hours', async () => {
+    const findOne = jest
+      .spyOn(NewsletterSubscriber, 'findOne')
+      .mockResolvedValue(null);
+
+    const before = Date.now();
+    const res = await request(app)
+      .post('/api/newsletter/confirm')
+      .send({ token: TOKEN });
+
+    expect(res.status).toBe(404);
+    const [filter] = findOne.mock.calls[0];
+    expect(filter.confirmationToken).toBe(TOKEN);
+    expect(filter.confirmationSentAt.$gt.getTime()).toBeGreaterThanOrEqual(
+      before - NewsletterSubscriber.CONFIRMATION_TTL_MS
+    );
+    expect(filter.confirmationSentAt.$gt.getTime()).toBeLessThanOrEqual(
+      Date.now() - NewsletterSubscriber.CONFIRMATION_TTL_MS
+    );
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { _id: 'a'.repeat(24), email: 'editor@example.com' };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next(),
+}));
+
+const NewsletterCampaign = require('../../src/models/NewsletterCampaignModel');
+const newsletterCampaignRoutes = require('../../src/routes/newsletterCampaigns');
+
+const app = express();
+app.use(express.json());
+app.use('/api/newsletter/campaigns', newsletterCampaignRoutes);
+
+describe('newsletter campaign editing', () => {
+  let campaign;
+
+  beforeEach(() => {
+    campaign = new NewsletterCampaign({
+      subject: 'Ramadan appeal',
+      html: '<p>Support this year’s appeal</p>',
+      status: 'sending',
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only updates campaigns that are still draft or scheduled', async () => {
+    const findOneAndUpdate = jest
+      .spyOn(NewsletterCampaign, 'findOneAndUpdate')
+      .mockResolvedValue(null);
+    jest.spyOn(NewsletterCampaign, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue(campaign),
+    });
+
+    const res = await request(app)
+      .put(`/api/newsletter/campaigns/${campaign._id}`)
+      .send({ subject: 'Updated appeal' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Campaign cannot be changed while sending');
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({
+      _id: campaign._id.toString(),
+      status: { $in: ['draft', 'scheduled'] },
+    });
+  });
+
+  it('only deletes campaigns that are still draft or scheduled', async () => {
+    const findOneAndDelete = jest
+      .spyOn(NewsletterCampaign, 'findOneAndDelete')
+      .mockResolvedValue(null);
+    jest.spyOn(NewsletterCampaign, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue(campaign),
+    });
+
+    const res = await request(app).delete(
+      `/api/newsletter/campaigns/${campaign._id}`
+    );
+
+    expect(res.status).toBe(409);
+    expect(findOneAndDelete).toHaveBeenCalledWith({
+      _id: campaign._id.toString(),
+      status: { $in: ['draft', 'scheduled'] },
+    });
+  });
+
+  it('returns 404 when unscheduling a campaign that does not exist', async () => {
+    jest.spyOn(NewsletterCampaign, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(NewsletterCampaign, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue(null),
+    });
+
+    const res = await request(app).post(
+      `/api/newsletter/campaigns/${campaign._id}/unschedule`
+    );
+
+    expect(res.status).toBe(404);
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const find = jest.spyOn(NewsletterCampaign, 'find');
+
+    const res = await request(app)
+      .get('/api/newsletter/campaigns')
+      .query({ 'status[$ne]': 'draft' });
+
+    expect(res.status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
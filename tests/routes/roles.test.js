@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/middleware/audit', () => ({
+  auditTrail: () => (req, res, next) => next(),
+}));
+
+// Sign every request in as whichever user the test sets
+let mockCurrentUser;
+jest.mock('../../src/middleware/auth', () => ({
+  ...jest.requireActual('../../src/middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  },
+}));
+
+const Role = require('../../src/models/RoleModel');
+const User = require('../../src/models/UserModel');
+const roleRoutes = require('../../src/routes/roles');
+
+const app = express();
+app.use(express.json());
+app.use('/api/roles', roleRoutes);
+
+const ROLE_MANAGER_PERMISSIONS = ['roles:manage', 'news:write'];
+
+const buildRole = (name, permissions) =>
+  new Role({ name, displayName: name, permissions });
+
+describe('role permission grants', () => {
+  beforeEach(() => {
+    mockCurrentUser = new User({
+      email: 'manager@example.com',
+      passwordHash: 'hash',
+      fullName: 'Role Manager',
+      role: 'role_manager',
+    });
+    jest
+      .spyOn(Role, 'getPermissions')
+      .mockResolvedValue(ROLE_MANAGER_PERMISSIONS);
+    jest.spyOn(Role, 'exists').mockResolvedValue(null);
+    jest.spyOn(Role.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects creating a role with a permission the caller lacks', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .send({
+        name: 'escalated',
+        displayName: 'Escalated',
+        permissions: ['news:write', 'users:manage'],
+      });
+
+    expect(res.status).toBe(403);
+    expect(res.body.data.permissions).toEqual(['users:manage']);
+    expect(Role.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('creates a role with permissions the caller holds', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .send({
+        name: 'writer',
+        displayName: 'Writer',
+        permissions: ['news:write'],
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.role.permissions).toEqual(['news:write']);
+  });
+
+  it('rejects adding a permission the caller lacks to their own role', async () => {
+    const ownRole = buildRole('role_manager', ROLE_MANAGER_PERMISSIONS);
+    jest.spyOn(Role, 'findByName').mockResolvedValue(ownRole);
+
+    const res = await request(app)
+      .put('/api/roles/role_manager')
+      .send({ permissions: [...ROLE_MANAGER_PERMISSIONS, 'audit:read'] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.data.permissions).toEqual(['audit:read']);
+    expect(ownRole.permissions).toEqual(ROLE_MANAGER_PERMISSIONS);
+  });
+
+  it("keeps permissions a role already has that the caller doesn't", async () => {
+    const role = buildRole('editor', ['news:write', 'news:publish']);
+    jest.spyOn(Role, 'findByName').mockResolvedValue(role);
+
+    const res = await request(app)
+      .put('/api/roles/editor')
+      .send({ permissions: ['news:publish'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.role.permissions).toEqual(['news:publish']);
+  });
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/middleware/audit', () => ({
+  auditTrail: () => (req, res, next) => next(),
+}));
+
+// Sign every request in as whichever user the test sets
+let mockCurrentUser;
+jest.mock('../../src/middleware/auth', () => ({
+  ...jest.requireActual('../../src/middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  },
+}));
+
+const Role = require('../../src/models/RoleModel');
+const User = require('../../src/models/UserModel');
+const userRoutes = require('../../src/routes/users');
+
+const app = express();
+app.use(express.json());
+app.use('/api/users', userRoutes);
+
+const ROLE_PERMISSIONS = {
+  user_manager: ['users:manage', 'news:write'],
+  writer: ['news:write'],
+  admin: ['users:manage', 'news:write', 'roles:manage'],
+};
+
+describe('user role assignment', () => {
+  let target;
+
+  beforeEach(() => {
+    mockCurrentUser = new User({
+      email: 'manager@example.com',
+      passwordHash: 'hash',
+      fullName: 'User Manager',
+      role: 'user_manager',
+    });
+    target = new User({
+      email: 'writer@example.com',
+      passwordHash: 'hash',
+      fullName: 'Staff Writer',
+      role: 'writer',
+    });
+    jest
+      .spyOn(Role, 'getPermissions')
+      .mockImplementation(async (name) => ROLE_PERMISSIONS[name] || []);
+    jest.spyOn(Role, 'exists').mockResolvedValue({ _id: 'role' });
+    jest.spyOn(User, 'findByEmail').mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockResolvedValue(target);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects creating an account in a more privileged role', async () => {
+    const res = await request(app).post('/api/users').send({
+      email: 'new@example.com',
+      password: 'password123',
+      fullName: 'New Admin',
+      role: 'admin',
+      sendWelcomeEmail: false,
+    });
+
+    expect(res.status).toBe(403);
+    expect(res.body.data.permissions).toEqual(['roles:manage']);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects moving a user into a more privileged role', async () => {
+    const res = await request(app)
+      .put(`/api/users/${target._id}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+    expect(target.role).toBe('writer');
+  });
+
+  it('rejects resetting the password of a user with more permissions', async () => {
+    target.role = 'admin';
+    const passwordHash = target.passwordHash;
+
+    const res = await request(app)
+      .post(`/api/users/${target._id}/reset-password`)
+      .send({ password: 'takeover123' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.data.permissions).toEqual(['roles:manage']);
+    expect(target.passwordHash).toBe(passwordHash);
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects deleting a user with more permissions', async () => {
+    target.role = 'admin';
+    const findByIdAndDelete = jest.spyOn(User, 'findByIdAndDelete');
+
+    const res = await request(app).delete(`/api/users/${target._id}`);
+
+    expect(res.status).toBe(403);
+    expect(findByIdAndDelete).not.toHaveBeenCalled();
+  });
+
+  it("assigns a role within the caller's own permissions", async () => {
+    target.role = 'viewer';
+
+    const res = await request(app)
+      .put(`/api/users/${target._id}`)
+      .send({ role: 'writer' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.role).toBe('writer');
+  });
+});
+
+describe('user search', () => {
+  beforeEach(() => {
+    mockCurrentUser = new User({
+      email: 'manager@example.com',
+      passwordHash: 'hash',
+      fullName: 'User Manager',
+      role: 'user_manager',
+    });
+    jest
+      .spyOn(Role, 'getPermissions')
+      .mockImplementation(async (name) => ROLE_PERMISSIONS[name] || []);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('matches the search text literally', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([]),
+    };
+    const find = jest
+      .spyOn(User, 'find')
+      .mockReturnValue({ select: () => query });
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+    const res = await request(app).get('/api/users').query({ search: 'a.b(' });
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0].$or).toEqual([
+      { fullName: { $regex: 'a\\.b\\(', $options: 'i' } },
+      { email: { $regex: 'a\\.b\\(', $options: 'i' } },
+    ]);
+  });
+});
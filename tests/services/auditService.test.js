@@ -0,0 +1,32 @@
+jest.mock('../../src/utils/logger');
+
+const { diffDocuments } = require('../../src/services/auditService');
+
+describe('diffDocuments', () => {
+  it('records changed fields with their values', () => {
+    const changes = diffDocuments(
+      { _id: 'a', firstName: 'Amina', role: 'editor' },
+      { _id: 'a', firstName: 'Amina', role: 'admin' }
+    );
+
+    expect(changes).toEqual([
+      { field: 'role', before: 'editor', after: 'admin' },
+    ]);
+  });
+
+  it('records password changes without their hashes', () => {
+    const changes = diffDocuments(
+      { passwordHash: 'old-hash' },
+      { passwordHash: 'new-hash', passwordResetTokenHash: 'token-hash' }
+    );
+
+    expect(changes).toEqual([
+      { field: 'passwordHash', before: '[redacted]', after: '[redacted]' },
+      {
+        field: 'passwordResetTokenHash',
+        before: undefined,
+        after: '[redacted]',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/auditService', () => ({
+  recordAudit: jest.fn(),
+}));
+
+const NewsArticle = require('../../src/models/NewsArticleModel');
+const { recordAudit } = require('../../src/services/auditService');
+const {
+  publishDueArticles,
+} = require('../../src/services/newsSchedulerService');
+
+const buildArticle = (fields) =>
+  NewsArticle.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Scheduled article',
+    status: 'scheduled',
+    publishAt: new Date(Date.now() - 60 * 1000),
+    reviewStatus: 'approved',
+    ...fields,
+  });
+
+describe('scheduled publishing', () => {
+  let due;
+
+  beforeEach(() => {
+    due = [buildArticle(), buildArticle()];
+    jest.spyOn(NewsArticle, 'findDueScheduled').mockReturnValue({
+      select: jest.fn().mockResolvedValue(due),
+    });
+    jest.spyOn(NewsArticle.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    recordAudit.mockClear();
+  });
+
+  it('publishes only the articles it manages to claim', async () => {
+    // The second article was claimed by another instance first
+    jest
+      .spyOn(NewsArticle, 'claimDueScheduled')
+      .mockResolvedValueOnce(due[0])
+      .mockResolvedValueOnce(null);
+
+    const published = await publishDueArticles();
+
+    const [now] = NewsArticle.findDueScheduled.mock.calls[0];
+    expect(NewsArticle.claimDueScheduled.mock.calls).toEqual([
+      [due[0]._id, now],
+      [due[1]._id, now],
+    ]);
+    expect(published).toBe(1);
+    expect(NewsArticle.prototype.save).toHaveBeenCalledTimes(1);
+    expect(due[0].status).toBe('published');
+    expect(recordAudit).toHaveBeenCalledTimes(1);
+    expect(recordAudit).toHaveBeenCalledWith(
+      null,
+      expect.objectContaining({
+        action: 'publish_scheduled',
+        targetId: due[0]._id,
+      })
+    );
+  });
+
+  it('moves a claimed article that is not approved back to drafts', async () => {
+    const article = buildArticle({ reviewStatus: 'in_review' });
+    jest.spyOn(NewsArticle, 'claimDueScheduled').mockResolvedValue(article);
+    due.splice(0, due.length, article);
+
+    const published = await publishDueArticles();
+
+    expect(published).toBe(0);
+    expect(article.status).toBe('draft');
+    expect(article.publishAt).toBeUndefined();
+    expect(recordAudit).not.toHaveBeenCalled();
+  });
+});
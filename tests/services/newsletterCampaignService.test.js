@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/logger');
+
+// Stub SMTP transport so sends go through the real email service
+const mockSendMail = jest.fn();
+jest.mock('nodemailer', () => ({
+  createTransport: () => ({ sendMail: mockSendMail }),
+}));
+
+process.env.SMTP_HOST = 'smtp.test';
+
+const NewsletterCampaign = require('../../src/models/NewsletterCampaignModel');
+const NewsletterDelivery = require('../../src/models/NewsletterDeliveryModel');
+const NewsletterSubscriber = require('../../src/models/NewsletterSubscriberModel');
+const {
+  processDueCampaigns,
+} = require('../../src/services/newsletterCampaignService');
+
+const LOCK_MS = 5 * 60 * 1000;
+
+const buildSubscriber = (email) =>
+  NewsletterSubscriber.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    email,
+    unsubscribeToken: `token-${email}`,
+    emailCount: 0,
+  });
+
+describe('newsletter campaign worker', () => {
+  let campaign;
+  let subscribers;
+  let deliveries;
+
+  beforeEach(() => {
+    campaign = new NewsletterCampaign({
+      subject: 'Ramadan appeal',
+      html: '<p>Support this year’s appeal</p>',
+      status: 'sending',
+      createdBy: new mongoose.Types.ObjectId(),
+    });
+    subscribers = [
+      buildSubscriber('amina@example.com'),
+      buildSubscriber('musa@example.com'),
+    ];
+    deliveries = [];
+
+    jest
+      .spyOn(NewsletterCampaign, 'claimNextDue')
+      .mockResolvedValueOnce(campaign)
+      .mockResolvedValue(null);
+    jest.spyOn(NewsletterCampaign.prototype, 'save').mockResolvedValue();
+    jest.spyOn(NewsletterSubscriber, 'countDocuments').mockResolvedValue(2);
+    jest
+      .spyOn(NewsletterSubscriber, 'getSubscribersForCampaign')
+      .mockResolvedValue(subscribers);
+    jest.spyOn(NewsletterSubscriber.prototype, 'save').mockResolvedValue();
+    jest
+      .spyOn(NewsletterDelivery, 'findDeliveredSubscriberIds')
+      .mockResolvedValue(new Set());
+    jest.spyOn(NewsletterDelivery, 'create').mockImplementation(async (doc) => {
+      deliveries.push(doc);
+      return doc;
+    });
+    mockSendMail.mockImplementation(async ({ to }) => ({
+      messageId: `<${to}>`,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mockSendMail.mockReset();
+  });
+
+  it('claims due campaigns with a lease and renews it while sending', async () => {
+    const leases = [];
+    NewsletterCampaign.prototype.save.mockImplementation(async function () {
+      leases.push(this.lockedUntil);
+    });
+
+    const before = Date.now();
+    await processDueCampaigns();
+
+    expect(NewsletterCampaign.claimNextDue).toHaveBeenCalledWith(LOCK_MS);
+    expect(NewsletterCampaign.claimNextDue).toHaveBeenCalledTimes(2);
+
+    // Started, then the lease is pushed forward after the batch and
+    // released once the campaign is sent
+    expect(leases).toHaveLength(3);
+    expect(leases[1].getTime()).toBeGreaterThanOrEqual(before + LOCK_MS);
+    expect(leases[2]).toBeUndefined();
+    expect(campaign.status).toBe('sent');
+    expect(campaign.lastSubscriberId).toEqual(subscribers[1]._id);
+    expect(campaign.completedAt.getTime()).toBeGreaterThanOrEqual(before);
+  });
+
+  it('only claims campaigns that are due or whose lease has expired', async () => {
+    const findOneAndUpdate = jest
+      .spyOn(NewsletterCampaign, 'findOneAndUpdate')
+      .mockResolvedValue(null);
+    NewsletterCampaign.claimNextDue.mockRestore();
+
+    const before = Date.now();
+    await NewsletterCampaign.claimNextDue(LOCK_MS);
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    const now = filter.$or[0].scheduledAt.$lte;
+    expect(filter.$or).toEqual([
+      { status: 'scheduled', scheduledAt: { $lte: now } },
+      { status: 'sending', lockedUntil: { $lt: now } },
+    ]);
+    expect(now.getTime()).toBeGreaterThanOrEqual(before);
+    expect(update).toEqual({
+      status: 'sending',
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+    });
+    expect(options).toEqual({ new: true, sort: { scheduledAt: 1 } });
+  });
+
+  it('sends to each subscriber once and records their delivery', async () => {
+    await processDueCampaigns();
+
+    expect(mockSendMail.mock.calls.map(([mail]) => mail.to)).toEqual([
+      'amina@example.com',
+      'musa@example.com',
+    ]);
+    expect(deliveries).toEqual([
+      expect.objectContaining({
+        subscriberId: subscribers[0]._id,
+        status: 'sent',
+        messageId: '<amina@example.com>',
+      }),
+      expect.objectContaining({
+        subscriberId: subscribers[1]._id,
+        status: 'sent',
+        messageId: '<musa@example.com>',
+      }),
+    ]);
+    expect(subscribers.map((subscriber) => subscriber.emailCount)).toEqual([
+      1, 1,
+    ]);
+    expect(campaign.totalRecipients).toBe(2);
+    expect(campaign.sentCount).toBe(2);
+  });
+
+  it('skips subscribers already delivered to when resuming a send', async () => {
+    campaign.startedAt = new Date();
+    NewsletterDelivery.findDeliveredSubscriberIds.mockResolvedValue(
+      new Set([subscribers[0]._id.toString()])
+    );
+
+    await processDueCampaigns();
+
+    expect(NewsletterDelivery.findDeliveredSubscriberIds).toHaveBeenCalledWith(
+      campaign._id,
+      [subscribers[0]._id, subscribers[1]._id]
+    );
+    expect(mockSendMail).toHaveBeenCalledTimes(1);
+    expect(mockSendMail.mock.calls[0][0].to).toBe('musa@example.com');
+    expect(deliveries).toHaveLength(1);
+    expect(campaign.sentCount).toBe(1);
+  });
+
+  it('records a failed delivery and carries on when a send fails', async () => {
+    mockSendMail.mockImplementation(async ({ to }) => {
+      if (to === 'amina@example.com') {
+        throw new Error('Mailbox unavailable');
+      }
+      return { messageId: `<${to}>` };
+    });
+
+    await processDueCampaigns();
+
+    expect(deliveries).toEqual([
+      expect.objectContaining({
+        subscriberId: subscribers[0]._id,
+        status: 'failed',
+        error: 'Mailbox unavailable',
+      }),
+      expect.objectContaining({
+        subscriberId: subscribers[1]._id,
+        status: 'sent',
+      }),
+    ]);
+    expect(subscribers[0].emailCount).toBe(0);
+    expect(campaign.failedCount).toBe(1);
+    expect(campaign.sentCount).toBe(1);
+    expect(campaign.status).toBe('sent');
+  });
+
+  it('does not count a recipient another worker already recorded', async () => {
+    NewsletterDelivery.create.mockImplementation(async (doc) => {
+      if (doc.subscriberId === subscribers[0]._id) {
+        throw Object.assign(new Error('E11000 duplicate key error'), {
+          code: 11000,
+        });
+      }
+      deliveries.push(doc);
+      return doc;
+    });
+
+    await processDueCampaigns();
+
+    expect(deliveries).toHaveLength(1);
+    expect(subscribers[0].emailCount).toBe(0);
+    expect(campaign.sentCount).toBe(1);
+    expect(campaign.failedCount).toBe(0);
+    expect(campaign.status).toBe('sent');
+  });
+});
@@ -0,0 +1,125 @@
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/config/email', () => ({
+  sendEmail: jest.fn().mockResolvedValue({ messageId: 'digest' }),
+}));
+
+const { sendEmail } = require('../../src/config/email');
+const ContactSubmission = require('../../src/models/ContactSubmissionModel');
+const JobRun = require('../../src/models/JobRunModel');
+const User = require('../../src/models/UserModel');
+const { emailTemplates } = require('../../src/services/emailService');
+const { checkDailyDigest } = require('../../src/services/notificationService');
+
+const SUBMISSION = {
+  name: '<b>Musa</b>',
+  email: 'musa@example.com',
+  title: 'Zakkat & waqf',
+  message: '<script>alert(1)</script>',
+  createdAt: new Date(),
+};
+
+describe('daily contact digest', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2026, 0, 15, 0, 5) });
+    process.env.CONTACT_DIGEST_HOUR = '0';
+    jest.spyOn(JobRun, 'claim').mockResolvedValue(true);
+    jest
+      .spyOn(User, 'findContactNotificationRecipients')
+      .mockResolvedValue([{ email: 'admin@example.com' }]);
+    jest.spyOn(ContactSubmission, 'find').mockReturnValue({
+      sort: jest.fn().mockResolvedValue([SUBMISSION]),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    sendEmail.mockClear();
+    delete process.env.CONTACT_DIGEST_HOUR;
+  });
+
+  it('sends at midnight when the digest hour is 0', async () => {
+    await checkDailyDigest();
+
+    expect(JobRun.claim).toHaveBeenCalledWith(
+      'contact-digest',
+      new Date(2026, 0, 15).toDateString()
+    );
+    expect(sendEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'admin@example.com' })
+    );
+  });
+
+  it("doesn't send a digest that was already claimed for the day", async () => {
+    JobRun.claim.mockResolvedValue(false);
+
+    await checkDailyDigest();
+
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('falls back to 8am when the digest hour is not valid', async () => {
+    process.env.CONTACT_DIGEST_HOUR = '24';
+
+    await checkDailyDigest();
+    expect(JobRun.claim).not.toHaveBeenCalled();
+
+    jest.setSystemTime(new Date(2026, 0, 15, 8, 5));
+    await checkDailyDigest();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('escapes submitted text in the digest', () => {
+    const { html } = emailTemplates.contactDigest([SUBMISSION]);
+
+    expect(html).toContain('&lt;b&gt;Musa&lt;/b&gt;');
+    expect(html).toContain('Zakkat &amp; waqf');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  it('escapes submitted text in instant notifications', () => {
+    const { html } = emailTemplates.contactNotification({
+      ...SUBMISSION,
+      phone: '<a href="https://evil.example">call</a>',
+    });
+
+    expect(html).toContain('&lt;b&gt;Musa&lt;/b&gt;');
+    expect(html).toContain('Zakkat &amp; waqf');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).not.toContain('<a href');
+  });
+});
+
+describe('article review emails', () => {
+  const ARTICLE = { title: 'Wells & <em>water</em>' };
+  const LINK = 'https://kazwab.example/review';
+
+  it('escapes the title and reviewer note', () => {
+    const { html } = emailTemplates.articleReviewDecision(
+      ARTICLE,
+      'changes_requested',
+      'Editor',
+      '<img src=x onerror=alert(1)>',
+      LINK
+    );
+
+    expect(html).toContain('Wells &amp; &lt;em&gt;water&lt;/em&gt;');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).not.toContain('<img');
+  });
+
+  it('escapes the comment body and quoted text', () => {
+    const { html } = emailTemplates.articleReviewComment(
+      ARTICLE,
+      'Editor',
+      { body: '<script>alert(1)</script>', quote: '"quoted" <b>text</b>' },
+      LINK
+    );
+
+    expect(html).toContain('Wells &amp; &lt;em&gt;water&lt;/em&gt;');
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(html).toContain('&quot;quoted&quot; &lt;b&gt;text&lt;/b&gt;');
+    expect(html).not.toContain('<script>');
+  });
+});
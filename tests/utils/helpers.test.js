@@ -0,0 +1,35 @@
+const { highlightSnippet } = require('../../src/utils/helpers');
+
+describe('highlightSnippet', () => {
+  it('shows entities from HTML once, not escaped twice', () => {
+    const snippet = highlightSnippet(
+      '<p>Zakkat &amp; waqf for &quot;orphans&quot; &#8211; 5 &lt; 10</p>',
+      ['waqf']
+    );
+
+    expect(snippet).toBe(
+      'Zakkat &amp; <mark>waqf</mark> for &quot;orphans&quot; – 5 &lt; 10'
+    );
+  });
+
+  it('escapes markup that was only written as entities', () => {
+    const snippet = highlightSnippet(
+      '<p>Use &lt;script&gt;alert(1)&lt;/script&gt; safely</p>',
+      []
+    );
+
+    expect(snippet).toBe('Use &lt;script&gt;alert(1)&lt;/script&gt; safely');
+  });
+
+  it('matches terms next to non-breaking spaces', () => {
+    const snippet = highlightSnippet('<p>Education&nbsp;fund</p>', ['fund']);
+
+    expect(snippet).toBe('Education <mark>fund</mark>');
+  });
+
+  it('leaves unknown entities as they are', () => {
+    expect(highlightSnippet('Caf&eacute; &bogus;', [])).toBe(
+      'Caf&amp;eacute; &amp;bogus;'
+    );
+  });
+});